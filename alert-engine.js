@@ -0,0 +1,257 @@
+// Alert rules, their evaluation and webhook delivery, shared by the two alert
+// backends: mock-server.js for development and alerts-lambda.js on AWS. The
+// dashboard only edits the rules and shows the log, so each alert is evaluated
+// and sent once, by the backend, whether or not anyone has the dashboard open.
+// CommonJS with no dependencies; delivery needs a global fetch (Node 18+).
+//
+// State: { rules, hooks, log, snoozed, qc, labels, costItems }
+//   log      entries newest first: { key, rule, severity, project, assay, sample,
+//            message, firedAt, resolvedAt, deliveries: { hook name: "ok" | error } }
+//   snoozed  { key | "rule:<id>": until (ms) }
+//   qc       { "<project>/<assay>": { project, assay, samples, at } } as reported by
+//            the dashboard: graded samples { id, status, failed, <metric>: value }
+//   labels   metric key -> label, for messages
+//   costItems [{ project, date, cost }]
+const ALERT_DEDUP_MS = 24 * 3600000;
+const ALERT_LOG_MAX = 300;
+const SEVERITIES = ["info", "warning", "critical"];
+const SEVERITY_COLORS = { info: "00d4ff", warning: "ffd166", critical: "ff4d6d" }; // Teams card accents
+const ALERT_KINDS = ["metric", "qcFail", "jobFailed", "dailySpend"];
+const WEBHOOK_TYPES = ["slack", "teams", "generic"];
+
+const DEFAULT_ALERT_RULES = [
+  { id: "chip-frip", kind: "metric", assay: "ChIP-seq", metric: "frip", op: "<", value: 0.1, severity: "warning", enabled: true },
+  { id: "qc-fail", kind: "qcFail", assay: "*", severity: "warning", enabled: false },
+  { id: "step-failed-twice", kind: "jobFailed", count: 2, severity: "critical", enabled: true },
+  { id: "daily-spend", kind: "dailySpend", value: 100, severity: "warning", enabled: true },
+];
+
+const emptyAlertState = () => ({ rules: DEFAULT_ALERT_RULES, hooks: [], log: [], snoozed: {}, qc: {}, labels: {}, costItems: [] });
+
+const severityRank = s => SEVERITIES.indexOf(s);
+const fmtUsd = v => `$${v.toFixed(2)}`;
+
+// A retried job that still fails counts every attempt; one that is running or
+// succeeded again counts the attempts before it.
+const jobFailures = j => (j.state === "failed" ? j.attempts ?? 1 : (j.attempts ?? 1) - 1);
+
+// jobs: { project: [job, ...] } for the projects whose job API answered.
+const evaluateAlerts = (rules, { qc, labels, jobs, costItems }) => rules.filter(r => r.enabled).flatMap(rule => {
+  const alert = (parts, fields) => ({ key: [rule.id, ...parts].join("|"), rule: rule.id, severity: rule.severity, ...fields });
+  const label = m => labels[m] || m;
+  const snapshots = Object.values(qc).filter(q => rule.assay === "*" || rule.assay === q.assay);
+  switch (rule.kind) {
+    case "metric":
+      return snapshots.flatMap(({ project, assay, samples }) => samples
+        .filter(s => s[rule.metric] != null && (rule.op === "<" ? s[rule.metric] < rule.value : s[rule.metric] > rule.value))
+        .map(s => alert([project, assay, s.id], {
+          project, assay, sample: s.id, message: `${label(rule.metric)} ${s[rule.metric]} ${rule.op} ${rule.value}`,
+        })));
+    case "qcFail":
+      return snapshots.flatMap(({ project, assay, samples }) => samples
+        .filter(s => s.status === "FAIL")
+        .map(s => alert([project, assay, s.id], {
+          project, assay, sample: s.id, message: `QC FAIL: ${(s.failed || []).map(label).join(", ")}`,
+        })));
+    case "jobFailed":
+      return Object.entries(jobs).flatMap(([project, list]) => list.filter(j => jobFailures(j) >= rule.count).map(j => alert([project, j.assay, j.sample, j.step], {
+        project, assay: j.assay, sample: j.sample,
+        message: `${j.step} failed ${jobFailures(j)}×${j.reason ? ` (${j.reason})` : j.exitCode ? ` (exit ${j.exitCode})` : ""}`,
+      })));
+    case "dailySpend": {
+      const latest = {};
+      costItems.forEach(it => { if (it.date > (latest[it.project] || "")) latest[it.project] = it.date; });
+      return Object.entries(latest).flatMap(([project, date]) => {
+        const total = costItems.filter(it => it.project === project && it.date === date).reduce((t, it) => t + it.cost, 0);
+        return total > rule.value
+          ? [alert([project, date], { project, assay: null, sample: null, message: `Spent ${fmtUsd(total)} on ${date} (> ${fmtUsd(rule.value)})` })]
+          : [];
+      });
+    }
+    default:
+      return [];
+  }
+});
+
+// Returns the next state and the entries that are new (to be delivered). Only
+// entries `evaluated(entry)` can resolve: a condition that wasn't checked this
+// time (a job API that didn't answer) hasn't cleared.
+const reconcileAlerts = (state, firing, now, evaluated = () => true) => {
+  const firingKeys = new Set(firing.map(a => a.key));
+  const latest = {};
+  state.log.forEach(e => { if (!latest[e.key]) latest[e.key] = e; });
+  const snoozed = a => (state.snoozed[a.key] || 0) > now || (state.snoozed[`rule:${a.rule}`] || 0) > now;
+  const fresh = firing
+    .filter(a => !snoozed(a))
+    .filter(a => !latest[a.key] || (latest[a.key].resolvedAt && now - Date.parse(latest[a.key].firedAt) > ALERT_DEDUP_MS))
+    .map(a => ({ ...a, firedAt: new Date(now).toISOString(), resolvedAt: null }));
+  let changed = fresh.length > 0;
+  const log = state.log.map(e => {
+    if (latest[e.key] !== e) return e;
+    const resolvedAt = firingKeys.has(e.key) ? null : e.resolvedAt || (evaluated(e) ? new Date(now).toISOString() : null);
+    if (resolvedAt === e.resolvedAt) return e;
+    changed = true;
+    return { ...e, resolvedAt };
+  });
+  if (!changed) return { next: state, fresh };
+  const logged = fresh.map(a => ({ ...a, deliveries: {} }));
+  return { next: { ...state, log: [...logged, ...log].slice(0, ALERT_LOG_MAX) }, fresh };
+};
+
+// One evaluation over the reported QC and costs and the given job lists.
+const checkAlerts = (state, jobs, now = Date.now()) => {
+  const jobRule = id => state.rules.find(r => r.id === id)?.kind === "jobFailed";
+  const firing = evaluateAlerts(state.rules, { qc: state.qc, labels: state.labels, jobs, costItems: state.costItems });
+  return reconcileAlerts(state, firing, now, e => !jobRule(e.rule) || e.project in jobs);
+};
+
+const alertLine = a => `[${a.severity.toUpperCase()}] ${[a.project, a.assay, a.sample].filter(Boolean).join(" · ")}: ${a.message}`;
+
+// Slack and Teams get readable text; the generic hook gets the alerts as they are.
+const webhookPayload = (type, alerts) => {
+  const title = alerts.length === 1 ? "QC dashboard alert" : `QC dashboard: ${alerts.length} alerts`;
+  if (type === "slack") return { text: `*${title}*\n${alerts.map(alertLine).join("\n")}` };
+  if (type === "teams") {
+    const worst = alerts.reduce((w, a) => (severityRank(a.severity) > severityRank(w) ? a.severity : w), "info");
+    return {
+      "@type": "MessageCard", "@context": "https://schema.org/extensions", summary: title, title,
+      themeColor: SEVERITY_COLORS[worst], text: alerts.map(alertLine).join("\n\n"),
+    };
+  }
+  return { source: "bings-qc-dashboard", alerts };
+};
+
+// One request per hook per batch, so twenty failing samples are one message.
+// Resolves to [{ hook, keys, result: "ok" | error message }].
+const deliverAlerts = async (hooks, alerts) => {
+  const results = await Promise.all(hooks.filter(h => h.enabled && h.url).map(async hook => {
+    const batch = alerts.filter(a => severityRank(a.severity) >= severityRank(hook.minSeverity));
+    if (!batch.length) return null;
+    const keys = batch.map(a => a.key);
+    try {
+      const res = await fetch(hook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(webhookPayload(hook.type, batch)),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return { hook: hook.id, keys, result: "ok" };
+    } catch (e) {
+      return { hook: hook.id, keys, result: e.message };
+    }
+  }));
+  return results.filter(Boolean);
+};
+
+// Notes each hook's result on the log entries it carried.
+const recordDeliveries = (state, fresh, results) => {
+  if (!results.length) return state;
+  const name = id => state.hooks.find(h => h.id === id)?.name || id;
+  return {
+    ...state,
+    log: state.log.map(e => {
+      const sent = results.filter(r => r.keys.includes(e.key) && fresh.some(f => f.key === e.key && f.firedAt === e.firedAt));
+      if (!sent.length) return e;
+      return { ...e, deliveries: { ...e.deliveries, ...Object.fromEntries(sent.map(r => [name(r.hook), r.result])) } };
+    }),
+  };
+};
+
+// Webhook URLs are secrets (anyone holding a Slack URL can post to the channel),
+// so they are never sent back; the dashboard shows where a hook points.
+const maskUrl = url => {
+  try {
+    const u = new URL(url);
+    return `${u.origin}/…${u.pathname.slice(-4)}`;
+  } catch {
+    return "";
+  }
+};
+const publicAlertState = state => ({
+  rules: state.rules,
+  hooks: state.hooks.map(({ url, ...h }) => ({ ...h, urlHint: maskUrl(url) })),
+  log: state.log,
+  snoozed: state.snoozed,
+});
+
+const isObject = v => !!v && typeof v === "object" && !Array.isArray(v);
+const validRule = r => isObject(r) && typeof r.id === "string" && ALERT_KINDS.includes(r.kind) && SEVERITIES.includes(r.severity);
+const validUrl = url => /^https?:\/\//.test(url || "");
+
+// The alert API under <base>/alerts, for both backends. `path` is what follows
+// /alerts, split on "/"; `canEdit` is false for users who may only read (the
+// dashboard gives the ALERTS tab to analysts and admins). Resolves to
+// { status, body, state } with the state to keep (unchanged if nothing changed).
+//
+//   GET  /alerts                       rules, hooks (URLs masked), log, snoozes
+//   PUT  /alerts/rules    { rules }    replace the rules
+//   POST /alerts/rules/reset           back to DEFAULT_ALERT_RULES
+//   PUT  /alerts/hooks    { hooks }    replace the hooks; one without a url keeps its URL
+//   POST /alerts/hooks/<id>/test       send a test alert to a saved hook
+//   POST /alerts/snooze   { key, until }   key is an alert key or "rule:<id>"
+//   POST /alerts/unsnooze { key }
+//   POST /alerts/qc       { labels, snapshots: [{ project, assay, samples }] }
+//   POST /alerts/costs    { items: [{ project, date, cost }] }
+const handleAlertRequest = async (state, method, path, payload, { canEdit = true, now = Date.now() } = {}) => {
+  const ok = (next, out = publicAlertState(next)) => ({ status: 200, body: out, state: next });
+  const fail = (status, error) => ({ status, body: { error }, state });
+  const route = `${method} /${path.join("/")}`;
+  if (route === "GET /") return ok(state);
+  if (!canEdit) return fail(403, "editing alerts needs the analyst or admin role");
+  if (payload != null && !isObject(payload)) return fail(400, "body is not a JSON object");
+  const body = payload || {};
+  switch (route) {
+    case "PUT /rules":
+      if (!Array.isArray(body.rules) || !body.rules.every(validRule)) return fail(400, `rules need an id, a kind (${ALERT_KINDS.join(", ")}) and a severity`);
+      return ok({ ...state, rules: body.rules });
+    case "POST /rules/reset":
+      return ok({ ...state, rules: DEFAULT_ALERT_RULES });
+    case "PUT /hooks": {
+      if (!Array.isArray(body.hooks) || !body.hooks.every(h => isObject(h) && typeof h.id === "string")) return fail(400, "hooks need an id");
+      const hooks = body.hooks.map(h => ({
+        id: h.id, name: String(h.name || ""), type: WEBHOOK_TYPES.includes(h.type) ? h.type : "generic",
+        minSeverity: SEVERITIES.includes(h.minSeverity) ? h.minSeverity : "info", enabled: !!h.enabled,
+        url: typeof h.url === "string" ? h.url.trim() : state.hooks.find(x => x.id === h.id)?.url || "",
+      }));
+      const bad = hooks.find(h => h.url && !validUrl(h.url));
+      if (bad) return fail(400, `${bad.name || bad.id}: the URL must start with http:// or https://`);
+      return ok({ ...state, hooks });
+    }
+    case "POST /snooze":
+      if (typeof body.key !== "string" || !(body.until > now)) return fail(400, "snooze needs a key and a future until (ms)");
+      return ok({
+        ...state,
+        snoozed: { ...Object.fromEntries(Object.entries(state.snoozed).filter(([, until]) => until > now)), [body.key]: body.until },
+      });
+    case "POST /unsnooze":
+      return ok({ ...state, snoozed: Object.fromEntries(Object.entries(state.snoozed).filter(([k]) => k !== body.key)) });
+    case "POST /qc": {
+      if (!Array.isArray(body.snapshots) || !body.snapshots.every(s => isObject(s) && s.project && s.assay && Array.isArray(s.samples))) {
+        return fail(400, "qc needs snapshots: [{ project, assay, samples }]");
+      }
+      const at = new Date(now).toISOString();
+      const qc = { ...state.qc, ...Object.fromEntries(body.snapshots.map(({ project, assay, samples }) => [`${project}/${assay}`, { project, assay, samples, at }])) };
+      return ok({ ...state, qc, labels: isObject(body.labels) ? { ...state.labels, ...body.labels } : state.labels }, { ok: true });
+    }
+    case "POST /costs":
+      if (!Array.isArray(body.items)) return fail(400, "costs need items: [{ project, date, cost }]");
+      return ok({ ...state, costItems: body.items.map(it => ({ project: String(it.project), date: String(it.date).slice(0, 10), cost: +it.cost || 0 })) }, { ok: true });
+    default:
+      break;
+  }
+  if (method === "POST" && path[0] === "hooks" && path[2] === "test" && path.length === 3) {
+    const hook = state.hooks.find(h => h.id === path[1]);
+    if (!hook) return fail(404, "no such hook; save it first");
+    const [res] = await deliverAlerts([{ ...hook, enabled: true, minSeverity: "info" }], [{
+      key: "test", rule: "test", severity: "info", project: null, assay: null, sample: null,
+      message: "Test notification from the QC dashboard", firedAt: new Date(now).toISOString(),
+    }]);
+    return { status: 200, body: { result: res ? res.result : "no URL" }, state };
+  }
+  return fail(404, `no alert route for ${route}`);
+};
+
+module.exports = {
+  DEFAULT_ALERT_RULES, emptyAlertState, checkAlerts, deliverAlerts, recordDeliveries, handleAlertRequest,
+};
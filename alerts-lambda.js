@@ -0,0 +1,118 @@
+// The alert backend on AWS: the "QC triggers & notifications" Lambda of the
+// architecture tab, running the same alert-engine.js as mock-server.js. Deploy
+// both files together (Node.js 20 runtime; the AWS SDK comes with it) and give
+// the function two triggers:
+//
+//   - an HTTP API route ANY /alerts/{proxy+} with the Cognito JWT authorizer
+//     the dashboard signs in with; REACT_APP_ALERT_API is the API's base URL
+//   - an EventBridge schedule (e.g. rate(5 minutes)) that checks the rules
+//
+// Environment:
+//   ALERT_BUCKET, ALERT_KEY   S3 object holding the alert state (JSON)
+//   PIPELINE_API              the job API the dashboard uses; its jobs are checked
+//                             for every project in ALERT_PROJECTS (comma-separated)
+//                             and every project the dashboard reported QC for
+//   COST_API                  optional cost endpoint answering { items: [...] }
+//
+// The state is one S3 object written with If-Match, so a scheduled check and
+// an edit that overlap retry instead of overwriting each other. New alerts are
+// saved before they are sent, so an overlapping check never sends them twice.
+const { S3Client, GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const { emptyAlertState, checkAlerts, deliverAlerts, recordDeliveries, handleAlertRequest } = require("./alert-engine");
+
+const s3 = new S3Client({});
+const { ALERT_BUCKET, ALERT_KEY = "alerts/state.json", PIPELINE_API, COST_API } = process.env;
+const PROJECTS = (process.env.ALERT_PROJECTS || "").split(",").map(p => p.trim()).filter(Boolean);
+const WRITE_ATTEMPTS = 3;
+
+const load = async () => {
+  try {
+    const out = await s3.send(new GetObjectCommand({ Bucket: ALERT_BUCKET, Key: ALERT_KEY }));
+    return { state: { ...emptyAlertState(), ...JSON.parse(await out.Body.transformToString()) }, etag: out.ETag };
+  } catch (e) {
+    if (e.name === "NoSuchKey") return { state: emptyAlertState(), etag: null };
+    throw e;
+  }
+};
+
+// fn(state) -> { state, ...result }; retried on a concurrent write.
+const update = async fn => {
+  for (let attempt = 1; ; attempt++) {
+    const { state, etag } = await load();
+    const out = await fn(state);
+    if (out.state === state) return out;
+    try {
+      await s3.send(new PutObjectCommand({
+        Bucket: ALERT_BUCKET, Key: ALERT_KEY, Body: JSON.stringify(out.state), ContentType: "application/json",
+        ...(etag ? { IfMatch: etag } : { IfNoneMatch: "*" }),
+      }));
+      return out;
+    } catch (e) {
+      if (attempt >= WRITE_ATTEMPTS || !["PreconditionFailed", "ConditionalRequestConflict"].includes(e.name)) throw e;
+    }
+  }
+};
+
+const getJson = async url => {
+  const res = await fetch(url, { signal: AbortSignal.timeout(10000) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+};
+
+// Projects whose job API fails are left out, so their job alerts don't resolve.
+const fetchJobs = async projects => {
+  if (!PIPELINE_API) return {};
+  const base = PIPELINE_API.replace(/\/$/, "");
+  const lists = await Promise.all(projects.map(p => getJson(`${base}/projects/${encodeURIComponent(p)}/jobs`)
+    .then(json => [p, json.jobs || []])
+    .catch(e => { console.warn(`jobs of ${p}: ${e.message}`); return null; })));
+  return Object.fromEntries(lists.filter(Boolean));
+};
+
+const fetchCosts = async () => {
+  if (!COST_API) return null;
+  const day = t => new Date(t).toISOString().slice(0, 10);
+  const json = await getJson(`${COST_API.replace(/\/$/, "")}?start=${day(Date.now() - 7 * 86400000)}&end=${day(Date.now())}`);
+  return (json.items || []).map(it => ({ project: String(it.project), date: String(it.date).slice(0, 10), cost: +it.cost || 0 }));
+};
+
+const runAlerts = async () => {
+  const { state } = await load();
+  const jobs = await fetchJobs([...new Set([...PROJECTS, ...Object.values(state.qc).map(q => q.project)])]);
+  const costItems = await fetchCosts().catch(e => { console.warn(`costs: ${e.message}`); return null; });
+  const { fresh } = await update(current => {
+    const { next, fresh: added } = checkAlerts(costItems ? { ...current, costItems } : current, jobs);
+    return { state: next, fresh: added };
+  });
+  if (!fresh.length) return;
+  const results = await deliverAlerts(state.hooks, fresh);
+  await update(current => ({ state: recordDeliveries(current, fresh, results) }));
+};
+
+// HTTP API claims arrive flattened: an array claim is the string "[a b]".
+const groupsOf = claims => {
+  const groups = claims?.["cognito:groups"] || [];
+  return Array.isArray(groups) ? groups : String(groups).replace(/^\[|\]$/g, "").split(/[\s,]+/).filter(Boolean);
+};
+
+const reply = (statusCode, body) => ({ statusCode, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+exports.handler = async event => {
+  if (event.source === "aws.events" || event["detail-type"] === "Scheduled Event") return runAlerts();
+  const method = event.requestContext?.http?.method;
+  const path = (event.rawPath || "").split("/").filter(Boolean).map(decodeURIComponent);
+  const at = path.indexOf("alerts");
+  if (!method || at < 0) return reply(404, { error: "not an alert request" });
+  let body = null;
+  try {
+    const text = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString() : event.body;
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    return reply(400, { error: "body is not JSON" });
+  }
+  const groups = groupsOf(event.requestContext.authorizer?.jwt?.claims);
+  const canEdit = groups.includes("analyst") || groups.includes("admin");
+  const out = await update(state => handleAlertRequest(state, method, path.slice(at + 1), body, { canEdit }));
+  if (out.status === 200 && method !== "GET") await runAlerts();
+  return reply(out.status, out.body);
+};
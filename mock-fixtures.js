@@ -0,0 +1,123 @@
+// Demo fixtures shared by the dashboard (its built-in demo data, pipelines and
+// job feed) and mock-server.js (its job API), so the two can't drift apart. CommonJS with
+// no dependencies: node requires it as is and the React build imports it.
+
+// Deterministic PRNG so the mock timeline is the same on every reconnect.
+const seededRandom = seed => {
+  let s = seed % 2147483647 || 1;
+  return () => (s = (s * 16807) % 2147483647) / 2147483647;
+};
+const hashString = str => [...str].reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 2147483647, 7);
+
+const MOCK_FAILURES = [
+  [137, "OutOfMemoryError: container killed (exit 137)"],
+  [1, "Input FASTQ truncated: unexpected end of gzip stream"],
+  [143, "Spot instance reclaimed: job terminated (SIGTERM)"],
+];
+
+// Seed for an empty project store: the demo projects, with sample metadata for
+// the eight demo samples each of their assays generates.
+const seedSamples = (tissue, libraryKit, flowcell) => Array.from({ length: 8 }, (_, i) => ({
+  id: `S${String(i + 1).padStart(2, "0")}`, condition: i < 4 ? "control" : "treated", replicate: String((i % 4) + 1),
+  tissue, libraryKit, flowcell, lane: String((i % 2) + 1), prepDate: i < 4 ? "2024-03-04" : "2024-03-18",
+}));
+
+const SEED_PROJECTS = [
+  { id: "GBM-2024", name: "Glioblastoma Radioresistance", pi: "Dr. Nakamura", group: "pi-nakamura", assays: ["scRNA-seq","scATAC-seq"], demo: true,
+    samples: seedSamples("brain", "10x Chromium Single Cell Multiome", "HV2LKDSX7") },
+  { id: "BRCA-001", name: "BRCA TNBC Epigenome", pi: "Dr. Chen", group: "pi-chen", assays: ["ChIP-seq","ATAC-seq","RNA-seq"], demo: true,
+    samples: seedSamples("breast", "Illumina TruSeq ChIP / Stranded mRNA", "HT7MVDSX5") },
+  { id: "LUAD-007", name: "Lung Adenocarcinoma WGS", pi: "Dr. Patel", group: "pi-patel", assays: ["WGS","RNA-seq"], demo: true,
+    samples: seedSamples("lung", "Illumina DNA PCR-Free", "H5YGJDSX9") },
+  { id: "AML-003",  name: "AML Cut&Run Profiling", pi: "Dr. Torres", group: "pi-torres", assays: ["Cut&Run","RNA-seq"], demo: true,
+    samples: seedSamples("bone marrow", "EpiCypher CUTANA CUT&RUN", "HCJ3WDRX3") },
+];
+
+// Built-in pipeline definitions, used for an assay until a pipeline config,
+// Nextflow trace or Snakemake summary defines it (see Pipeline definitions).
+const stepDef = (name, tool, version, after = []) => ({ name, tool, version, after });
+const DEFAULT_PIPELINES = {
+  "RNA-seq": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("Trim Galore", "trim-galore", "0.6.10"),
+    stepDef("STAR", "star", "2.7.11a", ["Trim Galore"]), stepDef("featureCounts", "subread", "2.0.6", ["STAR"]),
+    stepDef("DESeq2", "deseq2", "1.42.0", ["featureCounts"]), stepDef("Pathway", "clusterprofiler", "4.10.0", ["DESeq2"]),
+  ] },
+  "scRNA-seq": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("STARsolo", "star", "2.7.11a"), stepDef("CellRanger", "cellranger", "8.0.1"),
+    stepDef("Seurat", "seurat", "5.0.3", ["STARsolo", "CellRanger"]), stepDef("DoubletFinder", "doubletfinder", "2.0.4", ["Seurat"]),
+    stepDef("Annotation", "singler", "2.4.0", ["DoubletFinder"]),
+  ] },
+  "ATAC-seq": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("Trim Galore", "trim-galore", "0.6.10"),
+    stepDef("Bowtie2", "bowtie2", "2.5.3", ["Trim Galore"]), stepDef("Samtools", "samtools", "1.19", ["Bowtie2"]),
+    stepDef("MACS3", "macs3", "3.0.1", ["Samtools"]), stepDef("deepTools", "deeptools", "3.5.5", ["Samtools"]),
+  ] },
+  "scATAC-seq": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("Trim Galore", "trim-galore", "0.6.10"),
+    stepDef("BWA", "bwa", "0.7.17", ["Trim Galore"]), stepDef("ArchR", "archr", "1.0.2", ["BWA"]),
+    stepDef("Peak Calling", "macs3", "3.0.1", ["ArchR"]), stepDef("TF Motifs", "chromvar", "1.24.0", ["Peak Calling"]),
+  ] },
+  "ChIP-seq": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("Trim Galore", "trim-galore", "0.6.10"),
+    stepDef("Bowtie2", "bowtie2", "2.5.3", ["Trim Galore"]), stepDef("Samtools", "samtools", "1.19", ["Bowtie2"]),
+    stepDef("MACS3", "macs3", "3.0.1", ["Samtools"]), stepDef("HOMER", "homer", "4.11", ["MACS3"]),
+  ] },
+  "Cut&Run": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("Trimmomatic", "trimmomatic", "0.39"),
+    stepDef("Bowtie2", "bowtie2", "2.5.3", ["Trimmomatic"]), stepDef("SEACR", "seacr", "1.3", ["Bowtie2"]),
+    stepDef("deepTools", "deeptools", "3.5.5", ["Bowtie2"]), stepDef("Motifs", "homer", "4.11", ["SEACR"]),
+  ] },
+  "WGS": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("Trim Galore", "trim-galore", "0.6.10"),
+    stepDef("BWA-MEM2", "bwa-mem2", "2.2.1", ["Trim Galore"]), stepDef("GATK", "gatk4", "4.5.0.0", ["BWA-MEM2"]),
+    stepDef("Mutect2", "gatk4", "4.5.0.0", ["GATK"]), stepDef("Annotation", "vep", "111", ["Mutect2"]),
+  ] },
+  "WGBS": { engine: "Snakemake", executor: "AWS Batch", steps: [
+    stepDef("FastQC", "fastqc", "0.12.1"), stepDef("Trim Galore", "trim-galore", "0.6.10"),
+    stepDef("Bismark", "bismark", "0.24.2", ["Trim Galore"]), stepDef("MethylDackel", "methyldackel", "0.6.1", ["Bismark"]),
+    stepDef("DMRfinder", "dmrfinder", "0.3", ["MethylDackel"]), stepDef("Viz", "methylkit", "1.28.0", ["DMRfinder"]),
+  ] },
+};
+
+// Plans a run for every sample along the pipeline's DAG: a step starts once the
+// steps it runs after are done, steps take 4–12 s, the first few are already
+// finished at t0, ~20% of jobs need a retry and ~10% of samples fail, which
+// stops everything downstream of the failed step.
+const planMockRun = (project, assay, t0, samples, steps) =>
+  samples.flatMap(sample => {
+    const rnd = seededRandom(hashString(`${project}/${assay}/${sample}`));
+    const failAt = rnd() < 0.1 ? Math.floor(rnd() * steps.length) : -1;
+    const failure = MOCK_FAILURES[Math.floor(rnd() * MOCK_FAILURES.length)];
+    const t = t0 - 25000 + rnd() * 10000;
+    const ends = {};
+    const plan = [];
+    steps.forEach((s, k) => {
+      const duration = 4000 + rnd() * 8000;
+      const retry = rnd() < 0.2;
+      if (s.after.some(d => ends[d] == null)) return;
+      const start = Math.max(t, ...s.after.map(d => ends[d] + 500));
+      const end = start + duration * (retry ? 2 : 1);
+      plan.push({ project, sample, assay, step: s.name, start, end, retry, failure: k === failAt ? failure : null });
+      if (k !== failAt) ends[s.name] = end;
+    });
+    return plan;
+  });
+
+// A planned job at `now`, as the job API reports it (without logUrl / logTail).
+const mockJobAt = (p, now) => {
+  const half = p.start + (p.end - p.start) / 2;
+  const state = now < p.start ? "queued"
+    : now >= p.end ? (p.failure ? "failed" : "succeeded")
+    : p.retry && now >= half - 1000 && now < half ? "retrying"
+    : "running";
+  return {
+    sample: p.sample, assay: p.assay, step: p.step, state,
+    startedAt: now >= p.start ? new Date(p.start).toISOString() : null,
+    endedAt: now >= p.end ? new Date(p.end).toISOString() : null,
+    exitCode: state === "succeeded" ? 0 : state === "failed" ? p.failure[0] : null,
+    attempts: p.retry && now >= half ? 2 : 1,
+    reason: state === "failed" ? p.failure[1] : null,
+  };
+};
+
+module.exports = { seededRandom, hashString, SEED_PROJECTS, DEFAULT_PIPELINES, planMockRun, mockJobAt };
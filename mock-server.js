@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+// Local stand-in for the pipeline job API, so the dashboard's pipeline tab can
+// be developed without AWS Batch. No dependencies:
+//
+//   node mock-server.js [--port 4000] [--no-sse]
+//
+// then set the JOB API field on the pipeline tab (or REACT_APP_PIPELINE_API) to
+// http://localhost:4000. --no-sse disables the event stream to exercise the
+// polling fallback.
+//
+// It is also the alert backend (the API in alert-engine.js under /alerts): it
+// keeps the rules, webhooks and alert log in memory, checks the rules against
+// its own jobs every few seconds and sends new alerts to the webhooks. Set
+// REACT_APP_ALERT_API (or the field on the alerts tab) to http://localhost:4000.
+// And a webhook stub to send them to: POST /hooks/<name> records and prints the
+// payload, GET /hooks (or /hooks/<name>) lists what was received.
+//
+// And a mock OpenID Connect issuer for sign-in: build the dashboard with
+// REACT_APP_OIDC_ISSUER=http://localhost:4000 and any REACT_APP_OIDC_CLIENT_ID,
+// then pick one of MOCK_USERS on its sign-in page.
+const crypto = require("crypto");
+const http = require("http");
+const { SEED_PROJECTS, DEFAULT_PIPELINES, planMockRun, mockJobAt } = require("./mock-fixtures");
+const { emptyAlertState, checkAlerts, deliverAlerts, recordDeliveries, handleAlertRequest } = require("./alert-engine");
+
+const args = process.argv.slice(2);
+const PORT = Number(args[args.indexOf("--port") + 1]) || 4000;
+const SSE = !args.includes("--no-sse");
+const BASE = `http://localhost:${PORT}`;
+
+// The projects, their pipelines and the run plan (which follows each step's
+// `after`) are the dashboard's own demo fixtures; only the replay is added here.
+const PROJECT_ASSAYS = Object.fromEntries(SEED_PROJECTS.map(p => [p.id, p.assays]));
+const SAMPLES = Array.from({ length: 8 }, (_, i) => `S${String(i + 1).padStart(2, "0")}`);
+
+// The whole run replays once every sample is done.
+const planRun = (project, t0) =>
+  (PROJECT_ASSAYS[project] || ["RNA-seq"]).flatMap(assay => planMockRun(project, assay, t0, SAMPLES, DEFAULT_PIPELINES[assay].steps));
+
+const runs = {};
+const currentPlan = project => {
+  const now = Date.now();
+  const run = runs[project];
+  if (!run || now > Math.max(...run.map(p => p.end)) + 30000) runs[project] = planRun(project, now);
+  return runs[project];
+};
+
+const iso = t => new Date(t).toISOString();
+
+// ── Mock OIDC issuer ──
+// Groups are the seed projects' access groups (pi-chen, ...), plus analyst /
+// admin for the role.
+const MOCK_USERS = [
+  { sub: "u-chen-analyst", name: "Chen lab analyst", email: "analyst@chen-lab.example", groups: ["pi-chen", "analyst"] },
+  { sub: "u-chen-viewer", name: "Chen lab viewer", email: "viewer@chen-lab.example", groups: ["pi-chen"] },
+  { sub: "u-nakamura-analyst", name: "Nakamura lab analyst", email: "analyst@nakamura-lab.example", groups: ["pi-nakamura", "analyst"] },
+  { sub: "u-patel-viewer", name: "Patel lab viewer", email: "viewer@patel-lab.example", groups: ["pi-patel"] },
+  { sub: "u-core-admin", name: "Core admin", email: "admin@core.example", groups: ["admin"] },
+  { sub: "u-no-lab", name: "New user", email: "new@example.org", groups: [] },
+];
+const TOKEN_TTL_S = 3600;
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const codes = new Map(); // code -> { user, clientId, redirectUri, challenge, expires }
+
+const b64url = data => Buffer.from(data).toString("base64url");
+const signJwt = claims => {
+  const head = b64url(JSON.stringify({ alg: "RS256", typ: "JWT", kid: KEY_ID }));
+  const body = b64url(JSON.stringify(claims));
+  return `${head}.${body}.${crypto.sign("RSA-SHA256", Buffer.from(`${head}.${body}`), privateKey).toString("base64url")}`;
+};
+
+const escapeHtml = text => String(text).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+const oidcConfig = () => ({
+  issuer: BASE,
+  authorization_endpoint: `${BASE}/authorize`,
+  token_endpoint: `${BASE}/token`,
+  jwks_uri: `${BASE}/jwks.json`,
+  end_session_endpoint: `${BASE}/logout`,
+  response_types_supported: ["code"],
+  subject_types_supported: ["public"],
+  id_token_signing_alg_values_supported: ["RS256"],
+  code_challenge_methods_supported: ["S256"],
+});
+
+// Without ?user= shows the user picker; with it, redirects back with a code.
+const authorize = (res, url) => {
+  const q = url.searchParams;
+  const redirectUri = q.get("redirect_uri");
+  if (!redirectUri || !q.get("client_id") || q.get("code_challenge_method") !== "S256") {
+    return send(res, 400, "authorize needs client_id, redirect_uri and an S256 code_challenge", "text/plain");
+  }
+  const user = MOCK_USERS.find(u => u.sub === q.get("user"));
+  if (!user) {
+    const links = MOCK_USERS.map(u => {
+      const pick = new URL(url);
+      pick.searchParams.set("user", u.sub);
+      return `<li><a href="${escapeHtml(pick)}">${escapeHtml(u.name)}</a> <small>${escapeHtml(u.groups.join(", ") || "no groups")}</small></li>`;
+    });
+    return send(res, 200, `<!doctype html><title>Mock sign-in</title><h3>Sign in as</h3><ul>${links.join("")}</ul>`, "text/html");
+  }
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, { user, clientId: q.get("client_id"), redirectUri, challenge: q.get("code_challenge"), expires: Date.now() + 60000 });
+  const back = new URL(redirectUri);
+  back.searchParams.set("code", code);
+  if (q.get("state")) back.searchParams.set("state", q.get("state"));
+  res.writeHead(302, { Location: back.toString() });
+  return res.end();
+};
+
+const issueTokens = (req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    const form = new URLSearchParams(body);
+    const grant = codes.get(form.get("code"));
+    codes.delete(form.get("code"));
+    const verifier = form.get("code_verifier") || "";
+    const fail = error => send(res, 400, { error });
+    if (form.get("grant_type") !== "authorization_code" || !grant || grant.expires < Date.now()) return fail("invalid_grant");
+    if (form.get("client_id") !== grant.clientId || form.get("redirect_uri") !== grant.redirectUri) return fail("invalid_grant");
+    if (crypto.createHash("sha256").update(verifier).digest("base64url") !== grant.challenge) return fail("invalid_grant");
+    const now = Math.floor(Date.now() / 1000);
+    const { user, clientId } = grant;
+    const common = { iss: BASE, sub: user.sub, iat: now, exp: now + TOKEN_TTL_S, "cognito:groups": user.groups };
+    return send(res, 200, {
+      token_type: "Bearer",
+      expires_in: TOKEN_TTL_S,
+      id_token: signJwt({ ...common, aud: clientId, token_use: "id", name: user.name, email: user.email }),
+      access_token: signJwt({ ...common, client_id: clientId, token_use: "access", scope: "openid profile email" }),
+    });
+  });
+};
+
+const jobAt = (p, now) => {
+  const id = [p.project, p.assay, p.sample, p.step].map(encodeURIComponent).join("/");
+  return { ...mockJobAt(p, now), logUrl: now >= p.start ? `${BASE}/logs/${id}` : null };
+};
+
+const jobsFor = project => currentPlan(project).map(p => jobAt(p, Date.now()));
+
+// A few hundred lines of tool chatter so the dashboard's tail actually trims.
+const logFor = (project, assay, sample, step) => {
+  const p = currentPlan(project).find(j => j.assay === assay && j.sample === sample && j.step === step);
+  if (!p) return null;
+  const now = Date.now();
+  const { state } = mockJobAt(p, now);
+  const cmd = step.toLowerCase().replace(/\s+/g, "_");
+  const lines = [`[${iso(p.start)}] ${project} ${assay} ${sample}`, `+ ${cmd} --threads 8 --sample ${sample}`];
+  const upTo = Math.min(now, p.end);
+  for (let t = p.start; t < upTo; t += 100) lines.push(`[${iso(t)}] processed ${Math.round((t - p.start) * 1.7)} records`);
+  if (p.retry && now >= (p.start + p.end) / 2) lines.push("attempt 1 exited 143: host terminated", "retrying (attempt 2/3)");
+  if (state === "succeeded") lines.push(`${step} completed`);
+  if (state === "failed") lines.push(`ERROR ${p.failure[1]}`, `exit status ${p.failure[0]}`);
+  return lines.join("\n");
+};
+
+const send = (res, status, body, type = "application/json") => {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  res.end(type === "application/json" ? JSON.stringify(body) : body);
+};
+
+const readJson = (req, res, then) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    let payload;
+    try {
+      payload = body ? JSON.parse(body) : null;
+    } catch {
+      return send(res, 400, { error: "body is not JSON" });
+    }
+    return then(payload);
+  });
+};
+
+// Newest last; capped so a noisy rule can't grow the process forever.
+const HOOK_LIMIT = 200;
+const received = [];
+
+const receiveHook = (req, res, name) => readJson(req, res, payload => {
+  if (!payload || typeof payload !== "object") return send(res, 400, { error: "body is not a JSON object" });
+  const now = iso(Date.now());
+  received.push({ hook: name, at: now, payload });
+  if (received.length > HOOK_LIMIT) received.shift();
+  const text = payload.text || payload.title || (payload.alerts || []).map(a => a.message).join("; ");
+  console.log(`[${now}] hook ${name}: ${text}`);
+  return send(res, 200, { ok: true });
+});
+
+// ── Alert backend ──
+// One in-memory state for everyone. Jobs come straight from the mock runs of
+// the seed projects and of any project the dashboard reported QC for.
+const ALERT_CHECK_MS = 5000;
+let alertState = emptyAlertState();
+
+const runAlerts = () => {
+  const projects = new Set([...Object.keys(PROJECT_ASSAYS), ...Object.values(alertState.qc).map(q => q.project)]);
+  const { next, fresh } = checkAlerts(alertState, Object.fromEntries([...projects].map(p => [p, jobsFor(p)])));
+  alertState = next;
+  if (!fresh.length) return;
+  fresh.forEach(a => console.log(`[${a.firedAt}] alert ${a.key}: ${a.message}`));
+  deliverAlerts(alertState.hooks, fresh).then(results => { alertState = recordDeliveries(alertState, fresh, results); });
+};
+
+const alertRequest = (req, res, path) => {
+  const handle = body => {
+    const before = alertState;
+    return handleAlertRequest(before, req.method, path, body).then(out => {
+      if (out.state !== before) {
+        alertState = out.state;
+        runAlerts();
+      }
+      send(res, out.status, out.body);
+    });
+  };
+  return req.method === "GET" ? handle(null) : readJson(req, res, handle);
+};
+
+const streamEvents = (req, res, project) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  const emit = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let last = jobsFor(project);
+  emit("snapshot", { jobs: last });
+  const tick = setInterval(() => {
+    const next = jobsFor(project);
+    const before = new Map(last.map(j => [`${j.assay}/${j.sample}/${j.step}`, JSON.stringify(j)]));
+    next.filter(j => before.get(`${j.assay}/${j.sample}/${j.step}`) !== JSON.stringify(j)).forEach(j => emit("job", j));
+    last = next;
+  }, 1000);
+  const ping = setInterval(() => emit("ping", { at: iso(Date.now()) }), 15000);
+  req.on("close", () => { clearInterval(tick); clearInterval(ping); });
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, BASE);
+  let parts;
+  try {
+    parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    return send(res, 400, { error: `bad path: ${e.message}` });
+  }
+  if (req.method === "OPTIONS") return send(res, 204, "", "text/plain");
+  if (url.pathname === "/.well-known/openid-configuration") return send(res, 200, oidcConfig());
+  if (url.pathname === "/jwks.json") return send(res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256", use: "sig" }] });
+  if (url.pathname === "/authorize") return authorize(res, url);
+  if (url.pathname === "/token" && req.method === "POST") return issueTokens(req, res);
+  if (url.pathname === "/logout") {
+    res.writeHead(302, { Location: url.searchParams.get("post_logout_redirect_uri") || "about:blank" });
+    return res.end();
+  }
+  if (parts[0] === "alerts") return alertRequest(req, res, parts.slice(1));
+  if (parts[0] === "hooks" && req.method === "POST" && parts.length === 2) return receiveHook(req, res, parts[1]);
+  if (parts[0] === "hooks" && req.method === "GET") return send(res, 200, { received: received.filter(r => !parts[1] || r.hook === parts[1]) });
+  if (parts[0] === "projects" && parts[2] === "jobs") return send(res, 200, { jobs: jobsFor(parts[1]) });
+  if (parts[0] === "projects" && parts[2] === "events" && SSE) return streamEvents(req, res, parts[1]);
+  if (parts[0] === "logs" && parts.length === 5) {
+    const log = logFor(...parts.slice(1));
+    return log ? send(res, 200, log, "text/plain") : send(res, 404, { error: "no such job" });
+  }
+  return send(res, 404, { error: `no route for ${url.pathname}` });
+});
+
+setInterval(runAlerts, ALERT_CHECK_MS);
+server.listen(PORT, () => console.log(`mock pipeline API, alert backend, webhook stub and OIDC issuer on ${BASE}${SSE ? "" : " (SSE disabled)"}`));
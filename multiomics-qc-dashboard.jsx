@@ -1,172 +1,5375 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useLayoutEffect, useRef, useMemo } from "react";
+import { flushSync } from "react-dom";
 import {
   RadarChart, Radar, PolarGrid, PolarAngleAxis, ResponsiveContainer,
   BarChart, Bar, XAxis, YAxis, Tooltip, Cell, LineChart, Line,
-  ScatterChart, Scatter, CartesianGrid, Legend, ReferenceLine
+  ScatterChart, Scatter, CartesianGrid, Legend, ReferenceLine, ReferenceArea
 } from "recharts";
+import { seededRandom, hashString, SEED_PROJECTS, DEFAULT_PIPELINES, planMockRun, mockJobAt } from "./mock-fixtures";
 
 // ── Palette & helpers ─────────────────────────────────────────────────────────
-const PALETTE = {
-  bg: "#0a0e1a",
-  panel: "#0f1629",
-  border: "#1e2d4a",
-  accent: "#00d4ff",
-  green: "#00ffaa",
-  orange: "#ff8c42",
-  red: "#ff4d6d",
-  purple: "#b48aff",
-  yellow: "#ffd166",
-  muted: "#4a6080",
-  text: "#cce0ff",
-  textDim: "#5a7ca0",
-};
-
-const ASSAY_COLORS = {
-  "RNA-seq":    "#00d4ff",
-  "scRNA-seq":  "#00ffaa",
-  "ATAC-seq":   "#b48aff",
-  "scATAC-seq": "#ffd166",
-  "ChIP-seq":   "#ff8c42",
-  "Cut&Run":    "#ff4d6d",
-  "WGBS":       "#7eb8ff",
-  "WGS":        "#c084fc",
+// Every theme has the same keys and six-digit hex values, since colors get an
+// alpha suffix appended ("#rrggbb22"). The contrast theme uses the Okabe–Ito
+// colors, which stay apart under the common kinds of color blindness.
+const THEMES = {
+  dark: {
+    bg: "#0a0e1a", panel: "#0f1629", border: "#1e2d4a", accent: "#00d4ff",
+    green: "#00ffaa", orange: "#ff8c42", red: "#ff4d6d", purple: "#b48aff", yellow: "#ffd166",
+    blue: "#7eb8ff", violet: "#c084fc", muted: "#4a6080", text: "#cce0ff", textDim: "#5a7ca0",
+  },
+  light: {
+    bg: "#f4f6fa", panel: "#ffffff", border: "#d3dbe7", accent: "#0369a1",
+    green: "#047857", orange: "#c2410c", red: "#be123c", purple: "#6d28d9", yellow: "#a16207",
+    blue: "#1d4ed8", violet: "#9333ea", muted: "#6b7a90", text: "#1a2433", textDim: "#4f6179",
+  },
+  contrast: {
+    bg: "#000000", panel: "#0d0d0d", border: "#707070", accent: "#56b4e9",
+    green: "#009e73", orange: "#e69f00", red: "#d55e00", purple: "#cc79a7", yellow: "#f0e442",
+    blue: "#0072b2", violet: "#b8a2e8", muted: "#a0a0a0", text: "#ffffff", textDim: "#d0d0d0",
+  },
 };
+const THEME_LABELS = { dark: "Dark", light: "Light", contrast: "High contrast" };
+
+// The active theme. applyTheme rewrites it in place, together with every color
+// table built by themed(), so module-level colors follow a theme switch.
+const PALETTE = { ...THEMES.dark };
+const themedTables = [];
+const themed = build => {
+  const table = build();
+  themedTables.push([table, build]);
+  return table;
+};
+const applyTheme = name => {
+  Object.assign(PALETTE, THEMES[name] || THEMES.dark);
+  themedTables.forEach(([table, build]) => Object.assign(table, build()));
+};
+
+const ASSAY_COLORS = themed(() => ({
+  "RNA-seq":    PALETTE.accent,
+  "scRNA-seq":  PALETTE.green,
+  "ATAC-seq":   PALETTE.purple,
+  "scATAC-seq": PALETTE.yellow,
+  "ChIP-seq":   PALETTE.orange,
+  "Cut&Run":    PALETTE.red,
+  "WGBS":       PALETTE.blue,
+  "WGS":        PALETTE.violet,
+}));
 
 const statusColor = (v, lo, hi) =>
-  v >= hi ? PALETTE.green : v >= lo ? PALETTE.yellow : PALETTE.red;
+  v == null ? PALETTE.muted : v >= hi ? PALETTE.green : v >= lo ? PALETTE.yellow : PALETTE.red;
+
+// Metrics a tool didn't report are null and render as "n/a".
+const fmt = (v, unit = "") => (v == null ? "n/a" : `${v}${unit}`);
+
+const mean = (rows, key) => {
+  const vals = rows.map(r => r[key]).filter(v => v != null);
+  return vals.length ? vals.reduce((a, v) => a + v, 0) / vals.length : null;
+};
+
+// ── Mock data ─────────────────────────────────────────────────────────────────
+// Demo values only; pass/fail is graded against the assay's QC profile.
+const generateSamples = assay =>
+  Array.from({ length: 8 }, (_, i) => {
+    const good = Math.random() > 0.2;
+    const sample = { id: `S${String(i + 1).padStart(2, "0")}` };
+    ASSAY_SCHEMAS[assay].metrics.forEach(m => {
+      const { demo: [goodLo, goodHi, badLo, badHi], digits } = metricDef(assay, m);
+      const [lo, hi] = good ? [goodLo, goodHi] : [badLo, badHi];
+      sample[m] = +(lo + Math.random() * (hi - lo)).toFixed(digits);
+    });
+    return sample;
+  });
+
+// Generated once per project/assay so switching tabs doesn't reshuffle the demo.
+const demoCache = {};
+const demoSamplesFor = (project, assay) => (demoCache[`${project}/${assay}`] ??= generateSamples(assay));
+
+// Architecture tiles on the AWS tab; a pipeline config can replace them.
+const DEFAULT_ARCHITECTURE = themed(() => [
+  { service: "S3", icon: "🪣", desc: "Raw FASTQs, BAMs, Peaks", color: PALETTE.orange },
+  { service: "EC2/Spot", icon: "⚡", desc: "Pipeline execution nodes", color: PALETTE.accent },
+  { service: "AWS Batch", icon: "🔄", desc: "Job queue & scheduling", color: PALETTE.purple },
+  { service: "Step Functions", icon: "🔗", desc: "Workflow orchestration", color: PALETTE.green },
+  { service: "RDS Aurora", icon: "🗄️", desc: "Project & sample metadata", color: PALETTE.yellow },
+  { service: "CloudWatch", icon: "📊", desc: "Pipeline monitoring & alerts", color: PALETTE.red },
+  { service: "Lambda", icon: "λ", desc: "QC triggers & notifications", color: PALETTE.blue },
+  { service: "CloudFront", icon: "🌐", desc: "Dashboard CDN delivery", color: PALETTE.violet },
+]);
+
+// ── Assay metric schemas ──────────────────────────────────────────────────────
+// `demo` is [goodLo, goodHi, badLo, badHi] for generateSamples; `radarMax` maps the
+// value onto the radar's 0–100 scale (inverted for lowerIsBetter metrics).
+const METRICS = {
+  reads:        { label: "Reads (M)", title: "SEQUENCING DEPTH (M READS)", source: "FastQC", digits: 1, radarMax: 50, demo: [20, 50, 8, 18] },
+  mapped:       { label: "Mapped %", unit: "%", title: "ALIGNMENT RATE PER SAMPLE", source: "Bowtie2 / STAR", digits: 1, radarMax: 100, demo: [85, 97, 55, 75] },
+  dup:          { label: "Dup %", unit: "%", title: "DUPLICATION RATE", source: "Picard MarkDuplicates", digits: 1, radarMax: 100, lowerIsBetter: true, demo: [5, 25, 35, 65] },
+  q30:          { label: "Q30 %", unit: "%", title: "BASES ≥ Q30", source: "fastp / bcl2fastq", digits: 1, radarMax: 100, demo: [80, 98, 50, 75] },
+  frip:         { label: "FRiP", title: "FRiP SCORE (Fraction Reads in Peaks)", source: "MACS3 peaks", digits: 3, radarMax: 0.5, demo: [0.3, 0.5, 0.04, 0.14] },
+  tss:          { label: "TSS", title: "TSS ENRICHMENT SCORE", source: "deepTools", digits: 2, radarMax: 15, demo: [8, 16, 2, 4.5] },
+  cells:        { label: "Cells", title: "CELLS RECOVERED", source: "CellRanger", digits: 0, radarMax: 10000, demo: [3000, 9000, 200, 1500] },
+  genesPerCell: { label: "Genes / cell", title: "MEDIAN GENES PER CELL", source: "CellRanger", digits: 0, radarMax: 4000, demo: [1200, 3500, 250, 700] },
+  mito:         { label: "Mito %", unit: "%", title: "MITOCHONDRIAL READS", source: "Seurat", digits: 1, radarMax: 30, lowerIsBetter: true, demo: [2, 9, 18, 35] },
+  doublet:      { label: "Doublet %", unit: "%", title: "DOUBLET RATE", source: "DoubletFinder", digits: 1, radarMax: 30, lowerIsBetter: true, demo: [2, 7, 12, 25] },
+  fragsPerCell: { label: "Frags / cell", title: "MEDIAN FRAGMENTS PER CELL", source: "ArchR", digits: 0, radarMax: 20000, demo: [4000, 15000, 400, 900] },
+  coverage:     { label: "Mean cov.", unit: "x", title: "MEAN COVERAGE", source: "Qualimap / Picard WGS", digits: 1, radarMax: 60, demo: [30, 45, 8, 18] },
+  pct30x:       { label: "≥30x %", unit: "%", title: "BASES AT ≥30x", source: "Picard CollectWgsMetrics", digits: 1, radarMax: 100, demo: [70, 92, 15, 45] },
+  insertSize:   { label: "Insert (bp)", title: "MEDIAN INSERT SIZE (bp)", source: "Picard CollectInsertSizeMetrics", digits: 0, radarMax: 600, demo: [300, 450, 150, 250] },
+  cpgMeth:      { label: "CpG meth %", unit: "%", title: "CpG METHYLATION", source: "Bismark", digits: 1, radarMax: 100, demo: [60, 80, 30, 50] },
+  gb:           { label: "Yield (Gb)", title: "SEQUENCING YIELD (Gb)", source: "fastp / bcl2fastq", digits: 2, radarMax: 30, demo: [6, 15, 2, 5] },
+  conversion:   { label: "Bisulfite conv. %", unit: "%", title: "BISULFITE CONVERSION RATE", source: "Bismark (100 − CHH meth.)", digits: 2, radarMax: 100, demo: [99.2, 99.9, 96, 97.9] },
+  // Contamination panel metrics, graded in every assay; `detail` names the sample field explaining the value.
+  foreign:      { label: "Foreign %", unit: "%", title: "READS FROM OTHER ORGANISMS", source: "FastQ Screen / Kraken2", digits: 1, radarMax: 100, lowerIsBetter: true, detail: "foreignTaxa" },
+  adapter:      { label: "Adapter %", unit: "%", title: "ADAPTER CONTENT", source: "FastQC", digits: 1, radarMax: 100, lowerIsBetter: true, detail: "adapterType" },
+};
+
+// Per assay: table/radar `metrics`, overview stat `cards` and bar `charts`, the
+// [x, y] `scatter` pair, the sample detail `curves` (CURVE_KINDS), and
+// per-metric `overrides` of the METRICS defaults.
+const ASSAY_SCHEMAS = {
+  "RNA-seq":    { metrics: ["reads","mapped","dup","q30"], cards: ["mapped","q30","dup"], charts: ["mapped","reads"], scatter: ["dup","q30"], curves: ["baseQuality","gc"] },
+  "scRNA-seq":  { metrics: ["cells","genesPerCell","mito","doublet","reads","mapped","q30"], cards: ["cells","genesPerCell","mito"], charts: ["cells","genesPerCell","doublet"], scatter: ["mito","genesPerCell"], curves: ["baseQuality","gc"],
+                  overrides: { reads: { radarMax: 400, demo: [150, 400, 20, 80] } } },
+  "ATAC-seq":   { metrics: ["reads","mapped","dup","q30","frip","tss"], cards: ["mapped","q30","dup"], charts: ["mapped","tss","frip"], scatter: ["dup","q30"], curves: ["baseQuality","gc","insertSize","tss"],
+                  overrides: { reads: { radarMax: 100, demo: [50, 90, 10, 24] }, mapped: { demo: [95, 99.5, 55, 79] } } },
+  "scATAC-seq": { metrics: ["cells","fragsPerCell","tss","frip","mapped","q30"], cards: ["cells","fragsPerCell","tss"], charts: ["cells","tss","frip"], scatter: ["fragsPerCell","tss"], curves: ["baseQuality","gc","insertSize","tss"] },
+  "ChIP-seq":   { metrics: ["reads","mapped","dup","q30","frip"], cards: ["mapped","q30","dup"], charts: ["mapped","frip","reads"], scatter: ["dup","q30"], curves: ["baseQuality","gc","tss"],
+                  overrides: { frip: { radarMax: 0.2, demo: [0.05, 0.2, 0.002, 0.009] } } },
+  "Cut&Run":    { metrics: ["reads","mapped","dup","q30","frip","tss"], cards: ["mapped","q30","dup"], charts: ["mapped","tss","frip"], scatter: ["dup","q30"], curves: ["baseQuality","gc","insertSize","tss"],
+                  overrides: { reads: { radarMax: 20, demo: [5, 15, 1, 2.9] } } },
+  "WGS":        { metrics: ["coverage","pct30x","insertSize","reads","mapped","dup","q30"], cards: ["coverage","pct30x","dup"], charts: ["coverage","pct30x","insertSize"], scatter: ["dup","q30"], curves: ["baseQuality","gc","insertSize"],
+                  overrides: { reads: { radarMax: 1000, demo: [600, 900, 150, 390] }, mapped: { demo: [95, 99.5, 70, 89] }, dup: { demo: [3, 9, 22, 40] } } },
+  "WGBS":       { metrics: ["cpgMeth","conversion","reads","mapped","dup","q30"], cards: ["conversion","mapped","dup"], charts: ["conversion","cpgMeth","mapped"], scatter: ["dup","conversion"], curves: ["baseQuality","insertSize"],
+                  overrides: { reads: { radarMax: 500, demo: [200, 450, 40, 95] }, mapped: { demo: [70, 85, 35, 49] } } },
+};
+
+const metricDef = (assay, metric) => ({
+  label: metric, digits: 2, radarMax: 100,
+  ...METRICS[metric],
+  ...ASSAY_SCHEMAS[assay]?.overrides?.[metric],
+});
+
+// Missing metrics stay null so the radar leaves a gap instead of a fake best/worst.
+const radarValue = (v, { radarMax, lowerIsBetter }) => {
+  if (v == null) return null;
+  const scaled = Math.min((v / radarMax) * 100, 100);
+  return lowerIsBetter ? 100 - scaled : scaled;
+};
+
+// ── MultiQC import ────────────────────────────────────────────────────────────
+// Fields that are always fractions (fastp rates, Picard PERCENT_DUPLICATION and
+// PCT_30X) are scaled; everything else is already a percentage and is left as is.
+const pct = v => v * 100;
+const millions = v => v / 1e6;
+
+// Candidate [module, key, transform] per dashboard field, in priority order. The
+// module is matched against the MultiQC section name (`multiqc_picard_dups`) or
+// general-stats column prefix, the key against the metric name. A null module
+// matches any section, which picks up custom-content FRiP/TSS tables.
+const MULTIQC_FIELDS = {
+  reads: [
+    ["fastqc", /^total[ _]sequences$/i, millions],
+    ["star", /^total_reads$/i, millions],
+    ["bowtie2", /^total_reads$/i, millions],
+    ["samtools", /^raw_total_sequences$/i, millions],
+  ],
+  mapped: [
+    ["star", /^uniquely_mapped_percent$/i],
+    ["bismark", /^percent_aligned$/i],
+    ["bowtie2", /^overall_alignment_rate$/i],
+    ["samtools", /^(mapped_passed_pct|reads_mapped_percent)$/i],
+  ],
+  dup: [
+    ["picard", /^percent_duplication$/i, pct],
+    ["samtools", /^reads_duplicated_percent$/i],
+    ["fastqc", /^percent_duplicates$/i],
+  ],
+  q30: [
+    ["fastp", /^after_filtering_q30_rate$/i, pct],
+    ["bcl2fastq", /^percent_Q30$/i],
+  ],
+  frip: [
+    ["macs", /frip/i, v => (v > 1 ? v / 100 : v)],
+    [null, /frip/i, v => (v > 1 ? v / 100 : v)],
+  ],
+  tss: [
+    ["deeptools", /tss/i],
+    [null, /tss[_ ]?(enrichment|score)?/i],
+  ],
+  cells: [["cellranger", /estimated.number.of.cells/i], ["archr", /^n?cells$/i]],
+  genesPerCell: [["cellranger", /median.genes.per.cell/i]],
+  // Already percentages (MultiQC, Seurat): a 0.5% rate must stay 0.5.
+  mito: [[null, /^(percent[._]?mt|pct[._]?mito|mito[._]?pct)$/i]],
+  doublet: [[null, /doublet.?(rate|pct|percent)/i]],
+  fragsPerCell: [[null, /median.?frag(ment)?s.?per.?cell/i]],
+  coverage: [
+    ["qualimap", /^mean_coverage$/i],
+    ["mosdepth", /^mean_coverage$/i],
+    ["picard", /^mean_coverage$/i],
+  ],
+  gb: [
+    ["fastp", /^before_filtering_total_bases$/i, v => v / 1e9],
+    ["bcl2fastq", /^total_yield$/i, v => v / 1e9],
+  ],
+  pct30x: [
+    ["qualimap", /^30_x_pc$/i],
+    ["mosdepth", /^30_x_pc$/i],
+    ["picard", /^pct_30x$/i, pct],
+  ],
+  insertSize: [
+    ["qualimap", /^median_insert_size$/i],
+    ["picard", /^median_insert_size$/i],
+  ],
+  cpgMeth: [["bismark", /^percent_cpg_meth$/i]],
+  conversion: [["bismark", /^percent_chh_meth$/i, v => 100 - v]],
+};
+
+// FastQC reports R1/R2 separately; collapse them onto the library name. Only
+// R-prefixed tags are read tags: WT_1 and WT_2 are replicates.
+const cleanSampleName = name =>
+  String(name).replace(/\.(fastq|fq)(\.gz)?$/i, "").replace(/_R[12](_001)?$/, "").trim();
+
+// sections: [{ module, rows: { sample: { metric: value } } }]
+const mapQCSections = sections => {
+  const found = {};
+  Object.entries(MULTIQC_FIELDS).forEach(([field, candidates]) => {
+    candidates.forEach(([module, keyRe, transform = v => v], priority) => {
+      sections
+        .filter(sec => module === null || sec.module.toLowerCase().includes(module))
+        .forEach(sec => Object.entries(sec.rows).forEach(([name, row]) => {
+          const id = cleanSampleName(name);
+          const rec = (found[id] = found[id] || {});
+          if (rec[field] && rec[field].priority <= priority) return;
+          const key = Object.keys(row).find(k => keyRe.test(k) && Number.isFinite(parseFloat(row[k])));
+          if (key) rec[field] = { priority, value: transform(parseFloat(row[key])) };
+        }));
+    });
+  });
+  return Object.keys(found).sort().map(id => {
+    const s = { id };
+    Object.keys(MULTIQC_FIELDS).forEach(f => {
+      s[f] = found[id][f] ? +found[id][f].value.toFixed(METRICS[f].digits) : null;
+    });
+    return s;
+  });
+};
+
+const parseMultiQCJson = json => {
+  const sections = Object.entries(json.report_saved_raw_data || {})
+    .map(([module, rows]) => ({ module, rows }));
+  (json.report_general_stats_data || []).forEach((rows, i) => {
+    const header = (json.report_general_stats_headers || [])[i] || {};
+    const first = Object.values(header)[0] || {};
+    sections.push({ module: first.namespace || "general_stats", rows });
+  });
+  if (!sections.length) throw new Error("no report_saved_raw_data or general stats found");
+  return mapQCSections(sections);
+};
+
+// multiqc_general_stats.txt: "Sample" column, then "<Tool>_mqc-generalstats-<tool>-<metric>".
+const parseGeneralStatsTsv = text => {
+  const [header, ...lines] = text.trim().split(/\r?\n/).map(l => l.split("\t"));
+  if (!header || header[0] !== "Sample") throw new Error("expected a 'Sample' column first");
+  const sections = {};
+  header.slice(1).forEach((col, ci) => {
+    const module = col.split("_mqc")[0];
+    const key = col.split("-").pop();
+    const sec = (sections[module] = sections[module] || { module, rows: {} });
+    lines.forEach(cells => {
+      const row = (sec.rows[cells[0]] = sec.rows[cells[0]] || {});
+      if (cells[ci + 1] !== undefined && cells[ci + 1] !== "") row[key] = cells[ci + 1];
+    });
+  });
+  return mapQCSections(Object.values(sections));
+};
+
+// Later files only fill metrics the earlier ones left empty.
+const mergeSamples = (base, extra) => {
+  const byId = Object.fromEntries(base.map(s => [s.id, { ...s }]));
+  extra.forEach(s => {
+    const cur = (byId[s.id] = byId[s.id] || { id: s.id });
+    Object.entries(s).forEach(([k, v]) => { if (cur[k] == null) cur[k] = v; });
+  });
+  return Object.values(byId).sort((a, b) => a.id.localeCompare(b.id));
+};
+
+// A multiqc_data.json also brings the report's QC curves (see parseMultiQCCurves)
+// and its creation date; without one the run is dated by the newest file.
+const parseQCFiles = async files => {
+  let samples = [], curves = {}, runAt = null;
+  for (const file of files) {
+    const text = await file.text();
+    try {
+      if (/\.json$/i.test(file.name)) {
+        const json = JSON.parse(text);
+        samples = mergeSamples(samples, parseMultiQCJson(json));
+        curves = mergeCurves(parseMultiQCCurves(json), curves);
+        runAt = runAt || multiqcRunDate(json);
+      } else {
+        samples = mergeSamples(samples, parseGeneralStatsTsv(text));
+      }
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+  }
+  if (!samples.length) throw new Error("no samples found");
+  return { samples, curves, runAt: runAt || new Date(Math.max(...files.map(f => f.lastModified))).toISOString() };
+};
+
+// ── QC curves ─────────────────────────────────────────────────────────────────
+// The distributions behind the per-sample numbers, as { [kind]: { [sample]: points } }
+// with points [{ x, y }]. FastQC base quality points also carry median, q1, q3,
+// p10 and p90 when read from fastqc_data.txt (MultiQC keeps only the mean).
+const CURVE_KINDS = {
+  baseQuality: { title: "PER-BASE SEQUENCE QUALITY", x: "Position in read (bp)", y: "Phred score", source: "FastQC" },
+  gc:          { title: "PER-SEQUENCE GC CONTENT", x: "% GC", y: "% of reads", source: "FastQC", normalize: true },
+  insertSize:  { title: "FRAGMENT SIZE DISTRIBUTION", x: "Insert size (bp)", y: "% of fragments", source: "Picard CollectInsertSizeMetrics", normalize: true },
+  tss:         { title: "TSS ENRICHMENT PROFILE", x: "Distance to TSS (bp)", y: "Mean signal", source: "deepTools computeMatrix" },
+};
+const NUCLEOSOME_ASSAYS = ["ATAC-seq", "scATAC-seq", "Cut&Run"];
+// Mono-, di- and tri-nucleosome fragments sit near multiples of ~200 bp (147 bp
+// core plus linker); below 100 bp is nucleosome-free.
+const NUCLEOSOME_BP = 200;
+
+// MultiQC plot ids per curve kind.
+const MULTIQC_CURVE_PLOTS = {
+  baseQuality: /^fastqc_per_base_sequence_quality/,
+  gc: /^fastqc_per_sequence_gc_content/,
+  insertSize: /^(picard_insert_size|qualimap_insert_size)/,
+  tss: /^(read_distribution_profile|deeptools_.*profile)/,
+};
+
+// Later curve sets replace earlier ones sample by sample.
+const mergeCurves = (base, extra) => {
+  const out = { ...base };
+  Object.entries(extra).forEach(([kind, bySample]) => { out[kind] = { ...out[kind], ...bySample }; });
+  return out;
+};
+
+// Percent of the sample's total, so libraries of different depth overlay.
+const normalizeCurve = points => {
+  const total = points.reduce((a, p) => a + (p.y || 0), 0);
+  return total ? points.map(p => ({ ...p, y: p.y == null ? null : +((p.y / total) * 100).toFixed(4) })) : points;
+};
+
+// "S01.sorted.bam", "/data/S01.bw" → "S01"
+const sampleFromPath = path => cleanSampleName(String(path).split(/[\\/]/).pop()
+  .replace(/\.(bam|cram|sam|bw|bigwig|bedgraph)$/i, "").replace(/[._](sorted|dedup|markdup|filtered)+$/i, ""));
+
+// report_plot_data holds line plots as datasets of series: [[{ name, data }]]
+// before MultiQC 1.20, [{ lines: [{ name, pairs }] }] since. Only the first
+// dataset is used (FastQC GC: percentages rather than counts). R1 wins over R2.
+const parseMultiQCCurves = json => {
+  const curves = {};
+  Object.entries(json.report_plot_data || {}).forEach(([id, plot]) => {
+    const kind = Object.keys(MULTIQC_CURVE_PLOTS).find(k => MULTIQC_CURVE_PLOTS[k].test(id));
+    const ds = (plot.datasets || [])[0];
+    if (!kind || !ds) return;
+    (Array.isArray(ds) ? ds : ds.lines || []).forEach(series => {
+      const raw = series.data || series.pairs || [];
+      const points = (Array.isArray(raw) ? raw.filter(Array.isArray) : Object.entries(raw))
+        .map(([x, y]) => ({ x: +x, y: y == null ? null : +y }))
+        .filter(p => Number.isFinite(p.x));
+      const id = sampleFromPath(series.name);
+      curves[kind] = curves[kind] || {};
+      if (points.length && !curves[kind][id]) curves[kind][id] = points;
+    });
+  });
+  return curves;
+};
+
+// fastqc_data.txt: ">>Module\tstatus" … ">>END_MODULE" blocks, keyed by module,
+// each with its last "#" column header line.
+const parseFastQCModules = text => {
+  const modules = {}, headers = {};
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith(">>END_MODULE")) current = null;
+    else if (line.startsWith(">>")) modules[(current = line.slice(2).split("\t")[0])] = [];
+    else if (current && line.startsWith("#")) headers[current] = line.slice(1).split("\t");
+    else if (current && line) modules[current].push(line.split("\t"));
+  });
+  const filename = (modules["Basic Statistics"] || []).find(r => r[0] === "Filename")?.[1];
+  if (!filename) throw new Error("no Basic Statistics / Filename in FastQC data");
+  return { id: cleanSampleName(filename), modules, headers };
+};
+
+// Positions can be ranges ("10-14"), plotted at their midpoint.
+const parseFastQCData = text => {
+  const { id, modules } = parseFastQCModules(text);
+  const num = v => (v == null || v === "NaN" ? null : parseFloat(v));
+  const position = b => b.split("-").map(Number).reduce((a, v, _, all) => a + v / all.length, 0);
+  const curves = {};
+  const quality = modules["Per base sequence quality"];
+  if (quality) {
+    curves.baseQuality = { [id]: quality.map(([b, m, median, q1, q3, p10, p90]) => ({
+      x: position(b), y: num(m), median: num(median), q1: num(q1), q3: num(q3), p10: num(p10), p90: num(p90),
+    })) };
+  }
+  const gc = modules["Per sequence GC content"];
+  if (gc) curves.gc = { [id]: gc.map(([x, count]) => ({ x: +x, y: num(count) })) };
+  return curves;
+};
+
+// Picard CollectInsertSizeMetrics: the "## HISTOGRAM" table, summing the
+// per-orientation count columns. The sample comes from the INPUT on the
+// command-line comment, else the file name.
+const parsePicardInsertSize = (text, fileName) => {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(l => l.startsWith("## HISTOGRAM"));
+  if (start < 0) throw new Error("no ## HISTOGRAM section in Picard metrics");
+  const input = /(?:^|\s)(?:--INPUT|INPUT=|I=)\s*(\S+)/.exec(lines.filter(l => l.startsWith("#")).join("\n"))?.[1];
+  const id = input ? sampleFromPath(input) : cleanSampleName(fileName.replace(/[._]?insert_size_metrics.*$/i, ""));
+  const points = [];
+  for (const line of lines.slice(start + 2)) {
+    const cells = line.split("\t").map(Number);
+    if (!line.trim() || !Number.isFinite(cells[0])) break;
+    points.push({ x: cells[0], y: cells.slice(1).reduce((a, v) => a + (v || 0), 0) });
+  }
+  return { insertSize: { [id]: points } };
+};
+
+// deepTools computeMatrix reference-point output: an "@{…}" JSON header, then
+// one row per region (6 BED columns + bins of every sample side by side).
+// Each sample's profile is the per-bin mean over regions, ignoring nan.
+const parseComputeMatrix = text => {
+  const newline = text.indexOf("\n");
+  const header = JSON.parse(text.slice(1, newline));
+  const bin = header["bin size"][0], upstream = header.upstream[0];
+  const sums = [], counts = [];
+  text.slice(newline + 1).split("\n").forEach(line => {
+    if (!line) return;
+    line.split("\t").slice(6).forEach((v, i) => {
+      const n = parseFloat(v);
+      if (!Number.isFinite(n)) return;
+      sums[i] = (sums[i] || 0) + n;
+      counts[i] = (counts[i] || 0) + 1;
+    });
+  });
+  const bounds = header.sample_boundaries;
+  return { tss: Object.fromEntries(header.sample_labels.map((label, k) => [sampleFromPath(label),
+    Array.from({ length: bounds[k + 1] - bounds[k] }, (_, i) => {
+      const c = bounds[k] + i;
+      return { x: -upstream + i * bin + bin / 2, y: counts[c] ? +(sums[c] / counts[c]).toFixed(4) : null };
+    })])) };
+};
+
+// deepTools plotProfile --outFileNameData: "bin labels" (-1.0Kb … TSS … 1.0Kb)
+// and "bins" rows, then sample, region group, values. Bins are placed from the
+// first label and the TSS column; the first region group of a sample is kept.
+const parsePlotProfileData = text => {
+  const rows = text.split(/\r?\n/).filter(Boolean).map(l => l.split("\t"));
+  const labels = rows[0].slice(2);
+  const tssAt = labels.findIndex(l => /^(TSS|center|TES)$/i.test(l.trim()));
+  const m = /^(-?[\d.]+)\s*(kb|bp)?$/i.exec(labels[0].trim());
+  const binBp = m && tssAt > 0 ? Math.abs(parseFloat(m[1]) * (/kb/i.test(m[2] || "") ? 1000 : 1)) / tssAt : 1;
+  const curves = { tss: {} };
+  rows.slice(2).forEach(([label, , ...values]) => {
+    const id = sampleFromPath(label);
+    if (curves.tss[id]) return;
+    curves.tss[id] = values.map((v, i) => ({ x: (i - Math.max(tssAt, 0)) * binBp, y: parseFloat(v) }))
+      .filter(p => Number.isFinite(p.y));
+  });
+  return curves;
+};
+
+const parseCurveFiles = async files => {
+  let curves = {};
+  for (const file of files) {
+    try {
+      const text = /\.gz$/i.test(file.name) ? await gunzipText(file) : await file.text();
+      const parsed = text.startsWith("@{") ? parseComputeMatrix(text)
+        : text.startsWith("##FastQC") ? parseFastQCData(text)
+        : text.includes("## HISTOGRAM") ? parsePicardInsertSize(text, file.name)
+        : text.startsWith("bin labels") ? parsePlotProfileData(text)
+        : /\.json$/i.test(file.name) ? parseMultiQCCurves(JSON.parse(text))
+        : null;
+      if (!parsed) throw new Error("not a FastQC, Picard insert size, deepTools or MultiQC file");
+      curves = mergeCurves(curves, parsed);
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+  }
+  if (!Object.values(curves).some(bySample => Object.keys(bySample).length)) throw new Error("no curves found");
+  return curves;
+};
+
+// FastQC's theoretical GC: a normal curve with the observed mean and SD,
+// scaled to the same total.
+const theoreticalGc = points => {
+  const total = points.reduce((a, p) => a + (p.y || 0), 0);
+  if (!total) return [];
+  const mu = points.reduce((a, p) => a + p.x * (p.y || 0), 0) / total;
+  const sd = Math.sqrt(points.reduce((a, p) => a + (p.x - mu) ** 2 * (p.y || 0), 0) / total) || 1;
+  return points.map(p => ({ x: p.x, y: (total / (sd * Math.sqrt(2 * Math.PI))) * Math.exp(-((p.x - mu) ** 2) / (2 * sd * sd)) }));
+};
+
+// Demo curves shaped by the sample's own metrics: failing samples get a
+// quality drop-off, a second GC peak and a flattened nucleosome ladder, and
+// the TSS profile peaks at the sample's TSS score.
+const demoCurvesFor = (project, assay, sample) => {
+  const rnd = seededRandom(hashString(`curves/${project}/${assay}/${sample.id}`));
+  const bad = sample.qc?.status === "FAIL";
+  const gauss = (x, mu, sd) => Math.exp(-((x - mu) ** 2) / (2 * sd * sd));
+  const positions = [...Array.from({ length: 9 }, (_, i) => i + 1), ...Array.from({ length: 29 }, (_, i) => 12 + i * 5)];
+  const baseQuality = positions.map(x => {
+    const m = 36 - (bad ? 14 : 4) * (x / 150) ** 3 - rnd() * 0.6;
+    return { x, y: +m.toFixed(2), median: Math.round(m + 0.5), q1: +(m - 2 - x / 40).toFixed(1), q3: Math.min(40, Math.round(m + 2)),
+      p10: +(m - 6 - (bad ? x / 12 : x / 40)).toFixed(1), p90: Math.min(41, Math.round(m + 3)) };
+  });
+  const gcMean = 41 + rnd() * 4;
+  const gc = Array.from({ length: 101 }, (_, x) => ({ x, y: +(gauss(x, gcMean, 8) + (bad ? 0.35 * gauss(x, 62, 4) : 0) + rnd() * 0.01).toFixed(4) }));
+  const ladder = NUCLEOSOME_ASSAYS.includes(assay);
+  const insertSize = Array.from({ length: 160 }, (_, i) => {
+    const x = 20 + i * 5;
+    const y = ladder
+      ? gauss(x, 60, 25) + (bad ? 0.1 : 0.45) * gauss(x, 200, 30) + (bad ? 0.03 : 0.15) * gauss(x, 400, 40) + (bad ? 0 : 0.05) * gauss(x, 600, 45)
+      : gauss(x, sample.insertSize ?? 350, 80);
+    return { x, y: +(y + rnd() * 0.005).toFixed(4) };
+  });
+  const peak = sample.tss ?? 8;
+  const tss = Array.from({ length: 81 }, (_, i) => {
+    const x = -2000 + i * 50;
+    return { x, y: +(1 + (peak - 1) * gauss(x, 0, 180) + rnd() * 0.15).toFixed(3) };
+  });
+  return { baseQuality, gc, insertSize, tss };
+};
+
+// ── Single-cell QC ────────────────────────────────────────────────────────────
+// Per sample: { cells: [{ barcode, isCell, umis, genes, mito, frags, tss }],
+// summary: { label: value } }. Barcode-level tables may hold every barcode
+// (CellRanger, with is_cell) or only called cells (Seurat / ArchR exports).
+const SC_ASSAYS = ["scRNA-seq", "scATAC-seq"];
+const SC_METRICS = {
+  umis:  { label: "UMIs / cell", log: true },
+  genes: { label: "Genes / cell", log: true },
+  mito:  { label: "% mito" },
+  frags: { label: "Fragments / cell", log: true },
+  tss:   { label: "TSS enrichment" },
+};
+// Knee plot ranking, distributions and default filters [metric, "min" | "max", value].
+const SC_VIEWS = {
+  "scRNA-seq":  { rank: "umis", dists: ["umis", "genes", "mito"], filters: [["umis", "min", 500], ["genes", "min", 200], ["genes", "max", 6000], ["mito", "max", 20]] },
+  "scATAC-seq": { rank: "frags", dists: ["frags", "tss", "mito"], filters: [["frags", "min", 1000], ["tss", "min", 4], ["mito", "max", 10]] },
+};
+
+const SC_COLUMNS = {
+  barcode: /^(barcode|cell_?id|cell|)$/i,
+  sample: /^(sample|sample_?id|orig\.ident)$/i,
+  isCell: /^(is_?cell|is__cell_barcode|cell_called)$/i,
+  umis: /^(ncount_rna|n_?umis?|umi_?counts?|total_counts|gex_umis_count)$/i,
+  genes: /^(nfeature_rna|n_?genes(_by_counts)?|genes|detected|gex_genes_count)$/i,
+  mito: /^(percent[._]mt|percent[._]mito|pct_counts_mt|pct_mito|subsets_mito_percent)$/i,
+  frags: /^(nfrags|passed_filters|atac_fragments|n_?fragments)$/i,
+  tss: /^(tssenrichment|tss_?enrichment|tss_?score)$/i,
+  tssFragments: /^(tss_fragments|atac_tss_fragments)$/i,
+  mitoReads: /^(mitochondrial)$/i,
+  totalReads: /^(total)$/i,
+};
+
+// CellRanger metrics_summary.csv values worth showing, by header.
+const SC_SUMMARY_KEYS = [
+  /^estimated number of cells$/i, /^mean reads per cell$/i, /^median genes per cell$/i, /^median umi counts per cell$/i,
+  /^sequencing saturation$/i, /^fraction reads in cells$/i, /^median high-quality fragments per cell$/i, /^tss enrichment score$/i,
+  /^fraction of high-quality fragments overlapping tss$/i,
+];
+
+const scNumber = v => {
+  const n = parseFloat(String(v ?? "").replace(/[,%]/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+const parseTable = text => {
+  const first = text.slice(0, text.indexOf("\n") + 1 || undefined);
+  return first.includes("\t") && !first.includes(",")
+    ? text.split(/\r?\n/).filter(Boolean).map(l => l.split("\t"))
+    : parseCsv(text);
+};
+
+// "runs/S01/outs/metrics_summary.csv" → S01; otherwise the file name without
+// the tool's suffix ("S01_per_barcode_metrics.csv" → S01).
+const scSampleName = file => {
+  const parts = (file.webkitRelativePath || "").split("/");
+  const dir = parts.length >= 2 ? parts[parts.length - (parts.includes("outs") ? 3 : 2)] : null;
+  return cleanSampleName(dir || file.name.replace(/\.(csv|tsv|txt)(\.gz)?$/i, "")
+    .replace(/[._-]?(metrics_summary|summary|per_barcode_metrics|singlecell|cell_?qc|meta_?data|qc)$/i, "")) || file.name;
+};
+
+// metrics_summary.csv: one header row and one value row, or the long format
+// of `cellranger multi` (Metric Name, Metric Value).
+const parseScSummary = rows => {
+  const [header, ...values] = rows;
+  const pairs = header.includes("Metric Name")
+    ? values.map(r => [r[header.indexOf("Metric Name")], r[header.indexOf("Metric Value")]])
+    : header.map((h, i) => [h, values[0]?.[i]]);
+  return Object.fromEntries(pairs.filter(([k]) => SC_SUMMARY_KEYS.some(re => re.test(k))));
+};
+
+// CellRanger ATAC singlecell.csv has no TSS enrichment or % mito; they are
+// derived as % of fragments at TSSs and % of reads on chrM.
+const parseScCells = (rows, fallbackSample) => {
+  const [header, ...data] = rows;
+  const col = Object.fromEntries(Object.entries(SC_COLUMNS).map(([f, re]) => [f, header.findIndex(h => re.test(h.trim()))]));
+  if (col.umis < 0 && col.frags < 0 && col.genes < 0) throw new Error("no UMI, gene or fragment count column");
+  const get = (r, f) => (col[f] >= 0 ? scNumber(r[col[f]]) : null);
+  const bySample = {};
+  data.forEach(r => {
+    const sample = col.sample >= 0 && r[col.sample] ? cleanSampleName(r[col.sample]) : fallbackSample;
+    const frags = get(r, "frags");
+    const cell = {
+      barcode: r[Math.max(col.barcode, 0)],
+      isCell: col.isCell >= 0 ? /^(1|true|yes)$/i.test(r[col.isCell]) : true,
+      umis: get(r, "umis"), genes: get(r, "genes"), frags,
+      mito: get(r, "mito") ?? (get(r, "mitoReads") != null && get(r, "totalReads") ? +((get(r, "mitoReads") / get(r, "totalReads")) * 100).toFixed(2) : null),
+      tss: get(r, "tss") ?? (get(r, "tssFragments") != null && frags ? +((get(r, "tssFragments") / frags) * 100).toFixed(2) : null),
+    };
+    (bySample[sample] = bySample[sample] || []).push(cell);
+  });
+  return bySample;
+};
+
+const parseScFiles = async files => {
+  const samples = {};
+  const entry = id => (samples[id] = samples[id] || { cells: [], summary: {} });
+  for (const file of files) {
+    try {
+      const text = /\.gz$/i.test(file.name) ? await gunzipText(file) : await file.text();
+      const rows = parseTable(text);
+      if (!rows.length) throw new Error("empty file");
+      if (rows[0].some(h => /^(estimated number of cells|metric name)$/i.test(h.trim()))) {
+        Object.assign(entry(scSampleName(file)).summary, parseScSummary(rows));
+      } else {
+        Object.entries(parseScCells(rows, scSampleName(file))).forEach(([id, cells]) => { entry(id).cells.push(...cells); });
+      }
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+  }
+  if (!Object.keys(samples).length) throw new Error("no cells found");
+  return samples;
+};
+
+const passesScFilter = (cell, [metric, dir, value]) =>
+  cell[metric] == null || (dir === "min" ? cell[metric] >= value : cell[metric] <= value);
+
+// Barcode-rank curve on ~200 log-spaced ranks.
+const kneeCurve = (cells, metric) => {
+  const values = cells.map(c => c[metric]).filter(v => v > 0).sort((a, b) => b - a);
+  const points = [];
+  for (let k = 0, last = 0; k <= 200; k++) {
+    const rank = Math.round(values.length ** (k / 200));
+    if (rank > last && rank <= values.length) points.push({ x: rank, y: values[rank - 1] });
+    last = Math.max(last, rank);
+  }
+  return points;
+};
+
+// Share of each sample's cells per bin, on log10 for count metrics.
+const scHistogram = (cellsBySample, metric, bins = 40) => {
+  const tx = v => (SC_METRICS[metric].log ? Math.log10(Math.max(v, 1)) : v);
+  let lo = Infinity, hi = -Infinity;
+  Object.values(cellsBySample).forEach(cells => cells.forEach(c => {
+    if (c[metric] == null) return;
+    const v = tx(c[metric]);
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }));
+  if (lo === Infinity) return null;
+  const width = (hi - lo) / bins || 1;
+  const rows = Array.from({ length: bins }, (_, i) => ({ x: +(lo + (i + 0.5) * width).toFixed(3) }));
+  Object.entries(cellsBySample).forEach(([id, cells]) => {
+    const present = cells.filter(c => c[metric] != null);
+    rows.forEach(r => { r[id] = 0; });
+    present.forEach(c => { rows[Math.min(bins - 1, Math.floor((tx(c[metric]) - lo) / width))][id] += 100 / present.length; });
+  });
+  return { rows, tx };
+};
+
+// Called cells around the sample's own QC metrics plus three times as many
+// empty-droplet barcodes; ~5% of cells are dying (low counts, high mito).
+const demoScCache = {};
+const demoCellsFor = (project, assay, sample) => (demoScCache[`${project}/${assay}/${sample.id}`] ??= (() => {
+  const rnd = seededRandom(hashString(`cells/${project}/${assay}/${sample.id}`));
+  const normal = () => Math.sqrt(-2 * Math.log(rnd() || 1e-9)) * Math.cos(2 * Math.PI * rnd());
+  const n = Math.round(sample.cells ?? 3000);
+  const atac = assay === "scATAC-seq";
+  const cells = Array.from({ length: n }, (_, i) => {
+    const dying = rnd() < 0.05;
+    if (atac) {
+      const frags = Math.round(10 ** (Math.log10(sample.fragsPerCell ?? 5000) + 0.3 * normal() - (dying ? 0.6 : 0)));
+      return { barcode: `C${i}`, isCell: true, frags, tss: +Math.max(0, (sample.tss ?? 8) + 2.5 * normal() - (dying ? 4 : 0)).toFixed(2),
+        mito: +Math.abs(3 + 1.5 * normal() + (dying ? 15 : 0)).toFixed(2) };
+    }
+    const genes = Math.round(10 ** (Math.log10(sample.genesPerCell ?? 1500) + 0.22 * normal() - (dying ? 0.5 : 0)));
+    return { barcode: `C${i}`, isCell: true, genes, umis: Math.round(genes * (2.2 + 0.4 * rnd()) ** (1 + 0.1 * normal())),
+      mito: +Math.abs((sample.mito ?? 5) + 2.5 * normal() + (dying ? 30 + 15 * rnd() : 0)).toFixed(2) };
+  });
+  const empty = Array.from({ length: n * 3 }, (_, i) => {
+    const count = Math.round(10 ** (rnd() * (atac ? 2.8 : 2.3)));
+    return atac
+      ? { barcode: `E${i}`, isCell: false, frags: count, tss: +Math.max(0, 1.5 + 0.8 * normal()).toFixed(2), mito: +Math.abs(5 + 3 * normal()).toFixed(2) }
+      : { barcode: `E${i}`, isCell: false, umis: count, genes: Math.round(count * 0.8), mito: +Math.abs(8 + 5 * normal()).toFixed(2) };
+  });
+  const summary = atac
+    ? { "Estimated number of cells": n, "Median high-quality fragments per cell": sample.fragsPerCell, "TSS enrichment score": sample.tss }
+    : { "Estimated Number of Cells": n, "Median Genes per Cell": sample.genesPerCell, "Mito %": sample.mito };
+  return { cells: [...cells, ...empty], summary };
+})());
+
+// ── Contamination ─────────────────────────────────────────────────────────────
+// Per dataset: { samples: { id: { species: { name: % of reads }, adapter, adapterType } },
+// demux: { indexes: { id: "i7+i5" }, undetermined: [{ lane, barcode, reads }],
+// totalReads, undeterminedReads }, source }. Species come from FastQ Screen or
+// Kraken2, adapter content from FastQC, the demux part from bcl2fastq / BCL Convert.
+const UNASSIGNED = "Unassigned";
+const MULTI_GENOME = "Multiple genomes";
+const SPIKE_INS = /phix|lambda/i; // added on purpose, never foreign
+const CONTAMINATION_METRICS = ["foreign", "adapter"];
+
+const emptyDemux = () => ({ indexes: {}, undetermined: [], totalReads: 0, undeterminedReads: 0 });
+
+const mergeDemux = (a, b) => ({
+  indexes: { ...a.indexes, ...b.indexes },
+  undetermined: [...a.undetermined, ...b.undetermined],
+  totalReads: a.totalReads + b.totalReads,
+  undeterminedReads: a.undeterminedReads + b.undeterminedReads,
+});
+
+// "S01_R1_screen.txt" → S01, "S01.kraken2.report.txt" → S01
+const contaminationSampleName = name => cleanSampleName(String(name).split(/[\\/]/).pop().replace(/\.gz$/i, "")
+  .replace(/[._-]?(screen\.txt|(kraken2?[._-]?)?report(\.txt)?|k2report|kreport2?)$/i, ""));
+
+// FastQ Screen _screen.txt: per genome, the reads hitting only that genome;
+// reads hitting several genomes are pooled, %Hit_no_genomes is unassigned.
+const parseFastqScreen = text => {
+  const rows = text.split(/\r?\n/).filter(l => l && !l.startsWith("#")).map(l => l.split("\t"));
+  const header = rows.find(r => r[0] === "Genome");
+  if (!header) throw new Error("no Genome table in FastQ Screen output");
+  const pct = (r, name) => parseFloat(r[header.indexOf(name)]) || 0;
+  const species = {};
+  rows.filter(r => r !== header && r.length === header.length).forEach(r => {
+    species[r[0]] = +(pct(r, "%One_hit_one_genome") + pct(r, "%Multiple_hits_one_genome")).toFixed(2);
+  });
+  const noHit = parseFloat(/%Hit_no_genomes:\s*([\d.]+)/.exec(text)?.[1]);
+  if (Number.isFinite(noHit)) {
+    const unique = Object.values(species).reduce((a, v) => a + v, 0);
+    species[MULTI_GENOME] = +Math.max(0, 100 - noHit - unique).toFixed(2);
+    species[UNASSIGNED] = noHit;
+  }
+  return species;
+};
+
+// Kraken2 report, with or without --report-minimizer-data: clade % of the
+// species-rank rows plus the unclassified row.
+const parseKrakenReport = text => {
+  const species = {};
+  text.split(/\r?\n/).forEach(line => {
+    const cells = line.split("\t");
+    if (cells.length < 6) return;
+    const [rank, , name] = cells.slice(-3);
+    if (rank === "U") species[UNASSIGNED] = parseFloat(cells[0]);
+    else if (rank === "S") species[name.trim()] = parseFloat(cells[0]);
+  });
+  if (!Object.keys(species).length) throw new Error("no species rows in Kraken2 report");
+  return species;
+};
+
+// FastQC "Adapter Content" is cumulative along the read, so the worst adapter
+// at the last position is the share of reads carrying adapter.
+const parseFastQCAdapter = text => {
+  const { id, modules, headers } = parseFastQCModules(text);
+  const rows = modules["Adapter Content"];
+  if (!rows?.length) throw new Error("no Adapter Content module in FastQC data");
+  const names = headers["Adapter Content"] || [];
+  let adapter = 0, adapterType = null;
+  rows.forEach(r => r.slice(1).forEach((v, i) => {
+    if (parseFloat(v) > adapter) [adapter, adapterType] = [parseFloat(v), names[i + 1] || null];
+  }));
+  return { id, adapter: +adapter.toFixed(2), adapterType };
+};
+
+// bcl2fastq Stats.json: lane totals, each sample's index from DemuxResults and
+// the per-lane UnknownBarcodes ("i7+i5": reads).
+const parseDemuxStats = json => {
+  if (!Array.isArray(json.ConversionResults)) throw new Error("no ConversionResults in Stats.json");
+  const demux = emptyDemux();
+  json.ConversionResults.forEach(lane => {
+    demux.totalReads += lane.TotalClustersPF || 0;
+    demux.undeterminedReads += lane.Undetermined?.NumberReads || 0;
+    (lane.DemuxResults || []).forEach(d => {
+      const index = d.IndexMetrics?.[0]?.IndexSequence;
+      if (index) demux.indexes[cleanSampleName(d.SampleName || d.SampleId)] = index;
+    });
+  });
+  (json.UnknownBarcodes || []).forEach(({ Lane, Barcodes }) => Object.entries(Barcodes || {})
+    .forEach(([barcode, reads]) => demux.undetermined.push({ lane: Lane, barcode, reads })));
+  return demux;
+};
+
+// BCL Convert Reports/: Demultiplex_Stats.csv (Lane, SampleID, Index "i7-i5",
+// # Reads, with an Undetermined row) or Top_Unknown_Barcodes.csv (Lane, index,
+// index2, # Reads).
+const parseBclConvertReport = rows => {
+  const [header, ...data] = rows;
+  const col = name => header.findIndex(h => h.trim().toLowerCase() === name);
+  const reads = r => parseFloat(r[col("# reads")]) || 0;
+  const demux = emptyDemux();
+  if (col("sampleid") >= 0) {
+    data.forEach(r => {
+      demux.totalReads += reads(r);
+      if (/^undetermined$/i.test(r[col("sampleid")])) demux.undeterminedReads += reads(r);
+      else if (r[col("index")]) demux.indexes[cleanSampleName(r[col("sampleid")])] = r[col("index")].replace("-", "+");
+    });
+  } else {
+    data.forEach(r => demux.undetermined.push({
+      lane: +r[col("lane")], barcode: [r[col("index")], r[col("index2")]].filter(Boolean).join("+"), reads: reads(r),
+    }));
+  }
+  return demux;
+};
+
+// Later imports add to earlier ones per sample; a new run's demux report replaces the old.
+const mergeContamination = (a, b) => (!a ? b : {
+  samples: {
+    ...a.samples,
+    ...Object.fromEntries(Object.entries(b.samples).map(([id, s]) => [id, {
+      ...a.samples[id], ...Object.fromEntries(Object.entries(s).filter(([, v]) => v != null)),
+    }])),
+  },
+  demux: b.demux || a.demux,
+  source: `${a.source} + ${b.source}`,
+});
+
+const parseContaminationFiles = async files => {
+  const samples = {};
+  let demux = null;
+  const entry = id => (samples[id] = samples[id] || { species: null, adapter: null, adapterType: null });
+  for (const file of files) {
+    try {
+      const text = /\.gz$/i.test(file.name) ? await gunzipText(file) : await file.text();
+      if (text.startsWith("#Fastq_screen") || text.includes("%Hit_no_genomes")) {
+        entry(contaminationSampleName(file.name)).species = parseFastqScreen(text);
+      } else if (text.startsWith("##FastQC")) {
+        // R1 and R2 reports fold into one sample; the worse one counts.
+        const { id, adapter, adapterType } = parseFastQCAdapter(text);
+        if (adapter >= (entry(id).adapter ?? -1)) Object.assign(entry(id), { adapter, adapterType });
+      } else if (/^\s*[\d.]+\t\d+\t\d+\t/.test(text)) {
+        entry(contaminationSampleName(file.name)).species = parseKrakenReport(text);
+      } else if (/\.json$/i.test(file.name)) {
+        demux = mergeDemux(demux || emptyDemux(), parseDemuxStats(JSON.parse(text)));
+      } else if (/#\s*reads/i.test(text.slice(0, text.indexOf("\n")))) {
+        demux = mergeDemux(demux || emptyDemux(), parseBclConvertReport(parseCsv(text)));
+      } else {
+        throw new Error("not a FastQ Screen, Kraken2, FastQC, Stats.json or BCL Convert report");
+      }
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+  }
+  return { samples, demux };
+};
+
+const taxa = species => Object.entries(species || {})
+  .filter(([name]) => name !== UNASSIGNED && name !== MULTI_GENOME && !SPIKE_INS.test(name));
+
+// The expected organism is the one most samples are dominated by, so a
+// swapped sample counts as foreign as much as a contaminated one.
+const expectedSpecies = data => {
+  const votes = {};
+  Object.values(data.samples).forEach(s => {
+    const [top] = taxa(s.species).sort((a, b) => b[1] - a[1]);
+    if (top) votes[top[0]] = (votes[top[0]] || 0) + 1;
+  });
+  return Object.entries(votes).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+};
+
+// Sample fields graded like any other metric: `foreign` % of reads from other
+// organisms (named in `foreignTaxa`) and `adapter` %.
+const contaminationMetrics = data => {
+  const expected = expectedSpecies(data);
+  return Object.fromEntries(Object.entries(data.samples).map(([id, s]) => {
+    const foreign = taxa(s.species).filter(([name]) => name !== expected).sort((a, b) => b[1] - a[1]);
+    return [id, {
+      foreign: s.species ? +foreign.reduce((a, [, v]) => a + v, 0).toFixed(1) : null,
+      foreignTaxa: foreign.slice(0, 3).filter(([, v]) => v >= 0.1).map(([name, v]) => `${name} ${v}%`).join(", ") || null,
+      adapter: s.adapter ?? null,
+      adapterType: s.adapterType ?? null,
+    }];
+  }));
+};
+
+const withContamination = (samples, data) => {
+  if (!data) return samples;
+  const found = contaminationMetrics(data);
+  return samples.map(s => (found[s.id] ? { ...s, ...found[s.id] } : s));
+};
+
+// An undetermined pair made of one sample's i7 and another's i5 is the
+// signature of index hopping on patterned flow cells.
+const undeterminedBarcodes = demux => {
+  const byI7 = {}, byI5 = {};
+  Object.entries(demux.indexes).forEach(([id, index]) => {
+    const [i7, i5] = index.split("+");
+    (byI7[i7] = byI7[i7] || []).push(id);
+    if (i5) (byI5[i5] = byI5[i5] || []).push(id);
+  });
+  return demux.undetermined.map(u => {
+    const [i7, i5] = u.barcode.split("+");
+    const i7Of = byI7[i7] || [], i5Of = (i5 && byI5[i5]) || [];
+    const hop = i7Of.length && i5Of.length ? [i7Of[0], i5Of.find(id => !i7Of.includes(id))] : null;
+    return { ...u, i7Of, i5Of, hop: hop?.[1] ? hop : null };
+  }).sort((a, b) => b.reads - a.reads);
+};
+
+// Demo: mostly clean host reads, with the odd sample carrying mouse or
+// Mycoplasma, read-through adapter, and a run with hopped and dark barcodes.
+const DEMO_BASES = "ACGT";
+const demoContaminationCache = {};
+const demoContaminationFor = (project, assay, ids) => (demoContaminationCache[`${project}/${assay}`] ??= (() => {
+  const rnd = seededRandom(hashString(`contamination/${project}/${assay}`));
+  const index = () => Array.from({ length: 8 }, () => DEMO_BASES[Math.floor(rnd() * 4)]).join("");
+  const adapterType = /ATAC|Cut&Run/.test(assay) ? "Nextera Transposase Sequence" : "Illumina Universal Adapter";
+  const samples = Object.fromEntries(ids.map(id => {
+    const species = { Mouse: +(0.2 + rnd() * 0.8).toFixed(2), "E. coli": +(rnd() * 0.3).toFixed(2), PhiX: +(0.5 + rnd()).toFixed(2) };
+    const roll = rnd();
+    if (roll < 0.05) species.Mouse = +(8 + rnd() * 12).toFixed(2);
+    else if (roll < 0.09) species.Mycoplasma = +(4 + rnd() * 6).toFixed(2);
+    species[MULTI_GENOME] = +(1 + rnd() * 2).toFixed(2);
+    species[UNASSIGNED] = +(1 + rnd() * 4).toFixed(2);
+    species.Human = +(100 - Object.values(species).reduce((a, v) => a + v, 0)).toFixed(2);
+    const adapter = rnd() < 0.12 ? 8 + rnd() * 20 : 0.2 + rnd() * 4;
+    return [id, { species, adapter: +adapter.toFixed(2), adapterType }];
+  }));
+  const indexes = Object.fromEntries(ids.map(id => [id, `${index()}+${index()}`]));
+  const hopped = () => {
+    const a = Math.floor(rnd() * ids.length), b = (a + 1 + Math.floor(rnd() * (ids.length - 1))) % ids.length;
+    return `${indexes[ids[a]].split("+")[0]}+${indexes[ids[b]].split("+")[1]}`;
+  };
+  const undetermined = [
+    ...Array.from({ length: 6 }, () => ({ lane: 1 + Math.floor(rnd() * 2), barcode: hopped(), reads: Math.round(2000 + rnd() * 30000) })),
+    ...Array.from({ length: 4 }, () => ({ lane: 1 + Math.floor(rnd() * 2), barcode: `${index()}+${index()}`, reads: Math.round(500 + rnd() * 8000) })),
+    { lane: 1, barcode: "GGGGGGGG+GGGGGGGG", reads: Math.round(40000 + rnd() * 40000) },
+  ];
+  const undeterminedReads = Math.round(undetermined.reduce((a, u) => a + u.reads, 0) * 2.5);
+  return { samples, demux: { indexes, undetermined, undeterminedReads, totalReads: ids.length * 40e6 + undeterminedReads } };
+})());
+
+// ── QC threshold profiles ─────────────────────────────────────────────────────
+// ENCODE-style defaults. `dir: "min"` metrics must be at least `pass` (WARN down
+// to `warn`); `dir: "max"` metrics at most. Adapter limits are FastQC's own.
+const CONTAMINATION_RULES = {
+  foreign: { dir: "max", pass: 5, warn: 10 },
+  adapter: { dir: "max", pass: 5, warn: 10 },
+};
+const DEFAULT_QC_PROFILES = {
+  "RNA-seq": {
+    reads:  { dir: "min", pass: 30, warn: 20 },
+    mapped: { dir: "min", pass: 80, warn: 70 },
+    dup:    { dir: "max", pass: 50, warn: 70 },
+    q30:    { dir: "min", pass: 80, warn: 65 },
+    ...CONTAMINATION_RULES,
+  },
+  "scRNA-seq": {
+    cells:        { dir: "min", pass: 2000, warn: 500 },
+    genesPerCell: { dir: "min", pass: 1000, warn: 500 },
+    mito:         { dir: "max", pass: 10, warn: 20 },
+    doublet:      { dir: "max", pass: 8, warn: 15 },
+    reads:        { dir: "min", pass: 100, warn: 50 },
+    mapped:       { dir: "min", pass: 70, warn: 50 },
+    q30:          { dir: "min", pass: 80, warn: 65 },
+    ...CONTAMINATION_RULES,
+  },
+  "ATAC-seq": {
+    reads:  { dir: "min", pass: 50, warn: 25 },
+    mapped: { dir: "min", pass: 95, warn: 80 },
+    dup:    { dir: "max", pass: 30, warn: 50 },
+    q30:    { dir: "min", pass: 80, warn: 65 },
+    frip:   { dir: "min", pass: 0.3, warn: 0.2 },
+    tss:    { dir: "min", pass: 7, warn: 5 },
+    ...CONTAMINATION_RULES,
+  },
+  "scATAC-seq": {
+    cells:        { dir: "min", pass: 2000, warn: 500 },
+    fragsPerCell: { dir: "min", pass: 3000, warn: 1000 },
+    tss:          { dir: "min", pass: 8, warn: 4 },
+    frip:         { dir: "min", pass: 0.25, warn: 0.15 },
+    mapped:       { dir: "min", pass: 80, warn: 70 },
+    q30:          { dir: "min", pass: 80, warn: 65 },
+    ...CONTAMINATION_RULES,
+  },
+  "ChIP-seq": {
+    reads:  { dir: "min", pass: 20, warn: 10 },
+    mapped: { dir: "min", pass: 80, warn: 70 },
+    dup:    { dir: "max", pass: 20, warn: 50 },
+    q30:    { dir: "min", pass: 80, warn: 65 },
+    frip:   { dir: "min", pass: 0.05, warn: 0.01 },
+    ...CONTAMINATION_RULES,
+  },
+  "Cut&Run": {
+    reads:  { dir: "min", pass: 5, warn: 3 },
+    mapped: { dir: "min", pass: 80, warn: 70 },
+    dup:    { dir: "max", pass: 30, warn: 50 },
+    q30:    { dir: "min", pass: 80, warn: 65 },
+    frip:   { dir: "min", pass: 0.1, warn: 0.05 },
+    tss:    { dir: "min", pass: 5, warn: 3 },
+    ...CONTAMINATION_RULES,
+  },
+  "WGS": {
+    coverage: { dir: "min", pass: 30, warn: 20 },
+    pct30x: { dir: "min", pass: 70, warn: 50 },
+    reads:  { dir: "min", pass: 600, warn: 400 },
+    mapped: { dir: "min", pass: 95, warn: 90 },
+    dup:    { dir: "max", pass: 10, warn: 20 },
+    q30:    { dir: "min", pass: 85, warn: 75 },
+    ...CONTAMINATION_RULES,
+  },
+  "WGBS": {
+    reads:      { dir: "min", pass: 200, warn: 100 },
+    mapped:     { dir: "min", pass: 70, warn: 50 },
+    dup:        { dir: "max", pass: 20, warn: 35 },
+    q30:        { dir: "min", pass: 80, warn: 65 },
+    conversion: { dir: "min", pass: 99, warn: 98 },
+    ...CONTAMINATION_RULES,
+  },
+};
+
+// Saved profiles are merged per assay, so a metric added to the defaults after
+// a profile was saved still gets its default rule.
+const withDefaultProfiles = saved => Object.fromEntries([...new Set([...Object.keys(DEFAULT_QC_PROFILES), ...Object.keys(saved)])]
+  .map(assay => [assay, { ...DEFAULT_QC_PROFILES[assay], ...saved[assay] }]));
+
+const QC_COLORS = themed(() => ({ PASS: PALETTE.green, WARN: PALETTE.yellow, FAIL: PALETTE.red }));
+
+// A rule with a cutoff cleared in the editor scores nothing until it's filled in.
+const gradeMetric = (v, rule) => {
+  if (v == null || !rule || !Number.isFinite(rule.pass) || !Number.isFinite(rule.warn)) return null;
+  const ok = t => (rule.dir === "max" ? v <= t : v >= t);
+  return ok(rule.pass) ? "PASS" : ok(rule.warn) ? "WARN" : "FAIL";
+};
+
+const gradeColor = (v, rule) => QC_COLORS[gradeMetric(v, rule)] || PALETTE.muted;
+
+// Status never rests on color alone: labels carry an icon, failing and warning
+// bars a hatch and scatter points a shape.
+const QC_ICONS = { PASS: "✓", WARN: "!", FAIL: "✕" };
+const qcLabel = status => (QC_ICONS[status] ? `${QC_ICONS[status]} ${status}` : status);
+
+// Pattern fills for WARN and FAIL bars; render statusHatches() inside the
+// chart's <defs> and fill cells with gradeFill.
+const statusHatches = () => [["WARN", PALETTE.orange, 1.5], ["FAIL", PALETTE.red, 3]].map(([grade, color, width]) => (
+  <pattern key={grade} id={`hatch-${grade}`} width={6} height={6} patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+    <rect width={6} height={6} fill={color} />
+    <line x1={0} y1={0} x2={0} y2={6} stroke={PALETTE.panel} strokeWidth={width} />
+  </pattern>
+));
+const gradeFill = (grade, color) => (grade === "FAIL" || grade === "WARN" ? `url(#hatch-${grade})` : color);
+
+// Scatter point for a QC status: circle for PASS, triangle for WARN, cross for FAIL.
+const StatusMark = ({ status, cx, cy, r = 6, fill, fillOpacity = 0.8 }) => {
+  if (status === "FAIL") {
+    const d = r * 0.8;
+    return <path d={`M${cx - d},${cy - d}L${cx + d},${cy + d}M${cx - d},${cy + d}L${cx + d},${cy - d}`} stroke={fill} strokeWidth={3} strokeOpacity={fillOpacity} />;
+  }
+  if (status === "WARN") return <polygon points={`${cx},${cy - r} ${cx + r},${cy + r * 0.8} ${cx - r},${cy + r * 0.8}`} fill={fill} fillOpacity={fillOpacity} />;
+  return <circle cx={cx} cy={cy} r={r} fill={fill} fillOpacity={fillOpacity} />;
+};
+
+// Metrics the sample didn't report are skipped rather than failed.
+const evaluateSample = (sample, profile) => {
+  const failed = [], warned = [];
+  Object.entries(profile).forEach(([metric, rule]) => {
+    const grade = gradeMetric(sample[metric], rule);
+    if (grade === "FAIL") failed.push(metric);
+    if (grade === "WARN") warned.push(metric);
+  });
+  return { status: failed.length ? "FAIL" : warned.length ? "WARN" : "PASS", failed, warned };
+};
+
+const gradeSamples = (samples, profile) => samples.map(s => {
+  const qc = evaluateSample(s, profile);
+  return { ...s, qc, pass: qc.status !== "FAIL" };
+});
+
+const describeMetric = (sample, metric, rule) => {
+  const { label, unit = "", detail } = METRICS[metric] || { label: metric };
+  const limit = gradeMetric(sample[metric], rule) === "FAIL" ? rule.warn : rule.pass;
+  const why = detail && sample[detail] ? `; ${sample[detail]}` : "";
+  return `${label} ${sample[metric]}${unit} (${rule.dir === "max" ? "≤" : "≥"} ${limit}${unit}${why})`;
+};
+
+// The warn cutoff must be the looser one, or no sample could ever be WARN.
+const ruleProblem = rule => {
+  if (!["min", "max"].includes(rule.dir) || !Number.isFinite(rule.pass) || !Number.isFinite(rule.warn)) {
+    return 'needs dir "min"|"max" and numeric pass/warn';
+  }
+  if (rule.dir === "min" ? rule.warn > rule.pass : rule.warn < rule.pass) {
+    return `warn must be ${rule.dir === "min" ? "at most" : "at least"} pass`;
+  }
+  return null;
+};
+
+const validateProfiles = profiles => {
+  if (!profiles || typeof profiles !== "object") throw new Error("expected an object keyed by assay");
+  Object.entries(profiles).forEach(([assay, profile]) => {
+    Object.entries(profile).forEach(([metric, rule]) => {
+      const problem = ruleProblem(rule || {});
+      if (problem) throw new Error(`${assay}.${metric}: ${problem}`);
+    });
+  });
+  return profiles;
+};
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+const store = {
+  get: (key, fallback) => {
+    try {
+      const v = localStorage.getItem(key);
+      return v == null ? fallback : JSON.parse(v);
+    } catch {
+      return fallback;
+    }
+  },
+  set: (key, value) => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // private mode or quota exceeded: keep the in-memory copy
+    }
+  },
+};
+
+// CRA inlines REACT_APP_* at build time; there is no `process` otherwise.
+const env = name => {
+  try {
+    return process.env[name];
+  } catch {
+    return undefined;
+  }
+};
+
+const downloadFile = (name, text, type = "application/json") => {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = name;
+  a.click();
+  // Firefox and Safari start the download after click() returns.
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+};
+
+// ── Authentication ────────────────────────────────────────────────────────────
+// OpenID Connect authorization code flow with PKCE, against Cognito or any other
+// OIDC issuer (`node mock-server.js` runs a local one). Without
+// REACT_APP_OIDC_ISSUER a development build has no sign-in and everyone is an
+// admin; a production build shows no data at all. The ID token comes straight
+// from the token endpoint over TLS, so its issuer, audience and expiry are
+// checked but not its signature; the APIs the dashboard calls get the access
+// token and must verify it themselves.
+const OIDC_ISSUER = (env("REACT_APP_OIDC_ISSUER") || "").replace(/\/$/, "");
+const OIDC_CLIENT_ID = env("REACT_APP_OIDC_CLIENT_ID") || "";
+const OIDC_GROUPS_CLAIM = env("REACT_APP_OIDC_GROUPS_CLAIM") || "cognito:groups";
+const OIDC_SCOPE = "openid profile email";
+const AUTH_REQUIRED = env("NODE_ENV") === "production";
+const SESSION_KEY = "bings.session";
+const LOGIN_KEY = "bings.login"; // PKCE verifier, state and the page to return to
+
+// A user's role is the highest of these their groups grant; anyone signed in
+// is a viewer. Tabs and actions not listed are open to viewers.
+const ROLES = ["viewer", "analyst", "admin"];
+const ROLE_GROUPS = { analyst: "analyst", admin: "admin" };
+const TAB_ROLES = { aws: "analyst", alerts: "analyst", project: "analyst", thresholds: "admin" };
+const ACTION_ROLES = { review: "analyst", import: "analyst", editProjects: "admin", editThresholds: "admin" };
+const LOCAL_USER = { id: "local", name: "local", email: null, groups: [], role: "admin", local: true };
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+const canSeeTab = (user, tab) => hasRole(user, TAB_ROLES[tab] || "viewer");
+const can = (user, action) => hasRole(user, ACTION_ROLES[action] || "viewer");
+
+// Each project names the group whose members see it (e.g. "pi-chen"); one
+// without a group is only seen by admins, who see every project.
+const visibleProjects = (projects, user) => (hasRole(user, "admin") ? projects : projects.filter(p => p.group && user.groups.includes(p.group)));
+
+const userFromClaims = claims => {
+  const groups = [].concat(claims[OIDC_GROUPS_CLAIM] || []);
+  const role = [...ROLES].reverse().find(r => groups.includes(ROLE_GROUPS[r])) || "viewer";
+  return { id: claims.sub, name: claims.name || claims["cognito:username"] || claims.email || claims.sub, email: claims.email || null, groups, role };
+};
+
+const base64Url = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const decodeJwt = token => {
+  const b64 = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(b64), c => c.charCodeAt(0))));
+};
+
+const oidcCache = {};
+const oidcDiscovery = () => (oidcCache.config ??= fetch(`${OIDC_ISSUER}/.well-known/openid-configuration`).then(res => {
+  if (!res.ok) throw new Error(`OIDC discovery: HTTP ${res.status}`);
+  return res.json();
+}).catch(e => {
+  delete oidcCache.config;
+  throw e;
+}));
+const redirectUri = () => `${window.location.origin}${ROUTE_BASE}/`;
+
+const startLogin = async () => {
+  const config = await oidcDiscovery();
+  const verifier = base64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const state = base64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const challenge = base64Url(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
+  store.set(LOGIN_KEY, { verifier, state, returnTo: window.location.pathname + window.location.search });
+  const q = new URLSearchParams({
+    response_type: "code", client_id: OIDC_CLIENT_ID, redirect_uri: redirectUri(), scope: OIDC_SCOPE,
+    state, code_challenge: challenge, code_challenge_method: "S256",
+  });
+  window.location.assign(`${config.authorization_endpoint}?${q}`);
+};
+
+// Back from the issuer with ?code&state (or ?error): trade the code for tokens
+// and put back the page the user was on.
+const finishLogin = async params => {
+  const pending = store.get(LOGIN_KEY, null);
+  store.set(LOGIN_KEY, null);
+  window.history.replaceState(null, "", pending?.returnTo || `${ROUTE_BASE}/`);
+  if (params.get("error")) throw new Error(params.get("error_description") || params.get("error"));
+  if (!pending || params.get("state") !== pending.state) throw new Error("Sign-in was interrupted; try again.");
+  const config = await oidcDiscovery();
+  const res = await fetch(config.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code", code: params.get("code"), redirect_uri: redirectUri(),
+      client_id: OIDC_CLIENT_ID, code_verifier: pending.verifier,
+    }),
+  });
+  if (!res.ok) throw new Error(`Token endpoint: HTTP ${res.status}`);
+  const tokens = await res.json();
+  const claims = decodeJwt(tokens.id_token);
+  if (claims.iss !== config.issuer || ![].concat(claims.aud).includes(OIDC_CLIENT_ID)) throw new Error("The ID token was not issued for this app.");
+  if (claims.exp * 1000 < Date.now()) throw new Error("The ID token has expired.");
+  return {
+    idToken: tokens.id_token, accessToken: tokens.access_token,
+    expiresAt: Math.min(claims.exp * 1000, Date.now() + (tokens.expires_in || 3600) * 1000), user: userFromClaims(claims),
+  };
+};
+
+// Headers for the project store, job and cost APIs.
+const authHeaders = () => {
+  const session = store.get(SESSION_KEY, null);
+  return session?.accessToken ? { Authorization: `Bearer ${session.accessToken}` } : {};
+};
+
+const useAuth = () => {
+  const [state, setState] = useState(() => {
+    if (!OIDC_ISSUER && AUTH_REQUIRED) return { session: null, error: null, busy: false, unconfigured: true };
+    if (!OIDC_ISSUER) return { session: { user: LOCAL_USER }, error: null, busy: false };
+    const session = store.get(SESSION_KEY, null);
+    const returning = /[?&](code|error)=/.test(window.location.search) && !!store.get(LOGIN_KEY, null);
+    return { session: session?.expiresAt > Date.now() ? session : null, error: null, busy: returning };
+  });
+
+  useEffect(() => {
+    if (!state.busy) return;
+    finishLogin(new URLSearchParams(window.location.search))
+      .then(session => { store.set(SESSION_KEY, session); setState({ session, error: null, busy: false }); })
+      .catch(e => setState({ session: null, error: e.message, busy: false }));
+  }, [state.busy]);
+
+  const expiresAt = state.session?.expiresAt;
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const t = setTimeout(() => {
+      store.set(SESSION_KEY, null);
+      setState({ session: null, error: "Your session has expired.", busy: false });
+    }, expiresAt - Date.now());
+    return () => clearTimeout(t);
+  }, [expiresAt]);
+
+  const login = () => {
+    setState(s => ({ ...s, error: null, busy: true }));
+    startLogin().catch(e => setState({ session: null, error: e.message, busy: false }));
+  };
+  // Ends the issuer's session too when it advertises how (Cognito doesn't).
+  const logout = async () => {
+    const { idToken } = state.session || {};
+    store.set(SESSION_KEY, null);
+    setState({ session: null, error: null, busy: false });
+    const config = await oidcDiscovery().catch(() => ({}));
+    if (config.end_session_endpoint && idToken) {
+      const q = new URLSearchParams({ id_token_hint: idToken, client_id: OIDC_CLIENT_ID, post_logout_redirect_uri: redirectUri() });
+      window.location.assign(`${config.end_session_endpoint}?${q}`);
+    }
+  };
+  return { ...state, login, logout };
+};
+
+// ── Project store ─────────────────────────────────────────────────────────────
+// Projects are { id, name, pi, assays, samples, demo? } where samples carry the
+// sample-sheet metadata { id, condition, replicate, tissue, libraryKit,
+// flowcell, lane, prepDate }. They live behind an adapter { label, load(),
+// save(projects), loadReviews(), appendReviews(entries) }: browser storage by
+// default, or a JSON endpoint (GET/PUT <url>/projects; GET/POST <url>/reviews,
+// which only ever appends).
+const PROJECT_STORE = env("REACT_APP_PROJECT_STORE") || "";
+const SAMPLE_FIELDS = [
+  ["id", "Sample"], ["condition", "Condition"], ["replicate", "Replicate"], ["tissue", "Tissue"],
+  ["libraryKit", "Library kit"], ["flowcell", "Flowcell"], ["lane", "Lane"], ["prepDate", "Prep date"],
+];
+
+const localProjectStore = {
+  label: "browser storage",
+  load: async () => store.get("bings.projects", null),
+  save: async projects => store.set("bings.projects", projects),
+  loadReviews: async () => store.get(REVIEW_KEY, {}),
+  appendReviews: async entries => {
+    const reviews = store.get(REVIEW_KEY, {});
+    entries.forEach(e => { reviews[e.project] = [...(reviews[e.project] || []), e]; });
+    store.set(REVIEW_KEY, reviews);
+  },
+};
+
+const jsonProjectStore = url => ({
+  label: url,
+  load: async () => {
+    const res = await fetch(`${url.replace(/\/$/, "")}/projects`, { headers: authHeaders() });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.json()).projects;
+  },
+  save: async projects => {
+    const res = await fetch(`${url.replace(/\/$/, "")}/projects`, {
+      method: "PUT", headers: { "Content-Type": "application/json", ...authHeaders() }, body: JSON.stringify({ projects }),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  },
+  // { project: [entry, ...] } for the projects the caller may see.
+  loadReviews: async () => {
+    const res = await fetch(`${url.replace(/\/$/, "")}/reviews`, { headers: authHeaders() });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.json()).reviews || {};
+  },
+  appendReviews: async entries => {
+    const res = await fetch(`${url.replace(/\/$/, "")}/reviews`, {
+      method: "POST", headers: { "Content-Type": "application/json", ...authHeaders() }, body: JSON.stringify({ reviews: entries }),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  },
+});
+
+const projectStoreFor = url => (url ? jsonProjectStore(url) : localProjectStore);
+
+// An empty store starts from SEED_PROJECTS. Nothing is shown while a store
+// loads or after it failed to, and nothing is saved either: saving writes the
+// whole list, which would replace the store's projects with what's on screen.
+const useProjects = url => {
+  const [attempt, setAttempt] = useState(0); // bumped by retry()
+  const [state, setState] = useState({ key: null, projects: [], loadError: null, saveError: null });
+  const key = `${attempt}|${url}`;
+  useEffect(() => {
+    let cancelled = false;
+    projectStoreFor(url).load()
+      .then(projects => !cancelled && setState({ key, projects: projects?.length ? projects : SEED_PROJECTS, loadError: null, saveError: null }))
+      .catch(e => !cancelled && setState({ key, projects: [], loadError: `Project store: ${e.message}`, saveError: null }));
+    return () => { cancelled = true; };
+  }, [key, url]);
+  const loading = state.key !== key;
+  const save = projects => {
+    if (loading || state.loadError) {
+      setState(s => ({ ...s, saveError: `Project store: not saved, ${s.loadError ? "the store failed to load" : "the store is still loading"}` }));
+      return false;
+    }
+    setState(s => ({ ...s, projects, saveError: null }));
+    projectStoreFor(url).save(projects).catch(e => setState(s => ({ ...s, saveError: `Project store: ${e.message}` })));
+    return true;
+  };
+  return {
+    projects: loading ? [] : state.projects, save, retry: () => setAttempt(a => a + 1),
+    error: state.loadError || state.saveError, loadError: state.loadError, loading,
+  };
+};
+
+// The review log comes from the same store as the projects. Decisions are only
+// added to the log once the store has taken them.
+const useReviews = url => {
+  const [state, setState] = useState({ url: null, reviews: {}, loadError: null, saveError: null });
+  useEffect(() => {
+    let cancelled = false;
+    projectStoreFor(url).loadReviews()
+      .then(reviews => !cancelled && setState({ url, reviews, loadError: null, saveError: null }))
+      .catch(e => !cancelled && setState({ url, reviews: {}, loadError: `Review log: ${e.message}`, saveError: null }));
+    return () => { cancelled = true; };
+  }, [url]);
+  const loading = state.url !== url;
+  const append = entries => {
+    if (loading || state.loadError) {
+      setState(s => ({ ...s, saveError: `Review log: not recorded, ${s.loadError ? "the log failed to load" : "the log is still loading"}` }));
+      return;
+    }
+    projectStoreFor(url).appendReviews(entries)
+      .then(() => setState(s => {
+        const reviews = { ...s.reviews };
+        entries.forEach(e => { reviews[e.project] = [...(reviews[e.project] || []), e]; });
+        return { ...s, reviews, saveError: null };
+      }))
+      .catch(e => setState(s => ({ ...s, saveError: `Review log: not recorded, ${e.message}` })));
+  };
+  return { reviews: loading ? {} : state.reviews, append, error: state.loadError || state.saveError };
+};
+
+// Derived rather than typed in: running while any job is queued or running,
+// pending before there is QC data or a job, qc while a job failed, an assay
+// still has no QC data or a sample awaits a review decision, complete once
+// every sample is reviewed. Only the open project streams job state; the
+// others are judged on QC data and reviews alone.
+const projectStatus = (project, qcByAssay, jobs = [], reviews = {}) => {
+  if (jobs.some(j => ["queued", "running", "retrying"].includes(j.state))) return "running";
+  const withQc = project.assays.filter(a => qcByAssay[a]?.length);
+  if (!withQc.length) return jobs.length ? "qc" : "pending";
+  const unreviewed = withQc.some(a => qcByAssay[a].some(s => !reviews[`${a}/${s.id}`]));
+  return unreviewed || jobs.some(j => j.state === "failed") || withQc.length < project.assays.length ? "qc" : "complete";
+};
+
+// ── Sample sheets ─────────────────────────────────────────────────────────────
+// Illumina SampleSheet.csv (v1 [Data] or v2 [BCLConvert_Data]) and nf-core style
+// samplesheets (sample,fastq_1,fastq_2,...). Extra columns named after the
+// metadata fields (condition, replicate, tissue, ...) are picked up too.
+const SHEET_COLUMNS = {
+  id: /^(sample_id|sample)$/i,
+  condition: /^(condition|group|treatment|status)$/i,
+  replicate: /^(replicate|rep)$/i,
+  tissue: /^(tissue|tissue_type)$/i,
+  libraryKit: /^(library_?kit|library_?prep_?kit(_?name)?)$/i,
+  flowcell: /^(flow_?cell(_?id)?)$/i,
+  lane: /^lane$/i,
+  prepDate: /^((library_?)?prep_?date|date_?prepared)$/i,
+  fastq1: /^fastq_1$/i,
+  project: /^sample_project$/i,
+};
+
+const parseSampleSheet = (text, projectId) => {
+  const rows = parseCsv(text.replace(/^\uFEFF/, "")).map(r => r.map(c => c.trim()));
+  const illumina = rows.some(r => /^\[(Header|Data|BCLConvert_Data)\]$/i.test(r[0]));
+  const header = {};
+  let table = rows;
+  if (illumina) {
+    const sections = {};
+    let current = null;
+    rows.forEach(r => {
+      const m = /^\[(.+)\]$/.exec(r[0]);
+      if (m) sections[(current = m[1])] = [];
+      else if (current) sections[current].push(r);
+    });
+    (sections.Header || []).forEach(([k, v]) => { header[k] = v || ""; });
+    table = sections.Data || sections.BCLConvert_Data || sections.Cloud_Data;
+    if (!table) throw new Error("no [Data] or [BCLConvert_Data] section");
+  }
+  const [cols = [], ...data] = table;
+  const col = Object.fromEntries(Object.entries(SHEET_COLUMNS).map(([f, re]) => [f, cols.findIndex(c => re.test(c))]));
+  if (col.id < 0) throw new Error("no Sample_ID or sample column");
+  const fromHeader = re => Object.entries(header).find(([k]) => re.test(k))?.[1] || "";
+  const value = (r, f) => (col[f] >= 0 ? r[col[f]] || "" : "");
+
+  // Only the project's rows when Sample_Project names it.
+  let lines = data.filter(r => value(r, "id"));
+  if (lines.some(r => value(r, "project") === projectId)) lines = lines.filter(r => value(r, "project") === projectId);
+  const records = lines.map(r => ({
+    id: value(r, "id"),
+    condition: value(r, "condition"),
+    replicate: value(r, "replicate"),
+    tissue: value(r, "tissue"),
+    libraryKit: value(r, "libraryKit") || fromHeader(/^(library ?prep ?kit|librarypreparationkit|assay)$/i),
+    flowcell: value(r, "flowcell") || fromHeader(/^flow ?cell/i),
+    lane: value(r, "lane") || (/_L0*(\d+)_/.exec(value(r, "fastq1")) || [])[1] || "",
+    prepDate: value(r, "prepDate") || fromHeader(/^date$/i),
+  }));
+
+  // One sample over several lanes (or fastq pairs) is one entry.
+  const byId = {};
+  records.forEach(r => {
+    const cur = byId[r.id];
+    if (!cur) { byId[r.id] = r; return; }
+    ["lane", "flowcell"].forEach(k => {
+      cur[k] = [...new Set([...cur[k].split(","), r[k]].filter(Boolean))].join(",");
+    });
+    SAMPLE_FIELDS.forEach(([k]) => { if (!cur[k]) cur[k] = r[k]; });
+  });
+  const format = illumina ? `Illumina SampleSheet${header.FileFormatVersion ? ` v${header.FileFormatVersion}` : ""}`
+    : col.fastq1 >= 0 ? "nf-core samplesheet" : "CSV sample sheet";
+  return { samples: Object.values(byId), format };
+};
+
+// Sheet values win over what was typed in, except where the sheet is blank.
+const mergeSampleMeta = (base, incoming) => {
+  const byId = Object.fromEntries(base.map(s => [s.id, { ...s }]));
+  incoming.forEach(s => {
+    const cur = (byId[s.id] = byId[s.id] || { id: s.id });
+    SAMPLE_FIELDS.forEach(([k]) => { if (s[k]) cur[k] = s[k]; });
+  });
+  return Object.values(byId);
+};
+
+// ── QC run history ────────────────────────────────────────────────────────────
+// Every import is kept per "<project>/<assay>" as a run summary (per-metric
+// means), small enough for a few hundred runs in localStorage. A run is keyed by
+// its source and report date, so importing the same report again replaces it.
+const HISTORY_KEY = "bings.qcHistory";
+const HISTORY_LIMIT = 200;
+const TREND_METRICS = ["mapped", "q30", "dup", "frip"];
+const CONTROL_MIN_RUNS = 5;
+
+const summarizeRun = (samples, { source, runAt }) => ({
+  id: `${source}|${runAt}`,
+  runAt, source, n: samples.length,
+  means: Object.fromEntries(Object.keys(METRICS).map(m => [m, mean(samples, m)]).filter(([, v]) => v != null).map(([m, v]) => [m, +v.toFixed(3)])),
+});
+
+const addRuns = (history, key, runs) => {
+  const byId = new Map((history[key] || []).map(r => [r.id, r]));
+  runs.forEach(r => byId.set(r.id, r));
+  return { ...history, [key]: [...byId.values()].sort((a, b) => a.runAt.localeCompare(b.runAt)).slice(-HISTORY_LIMIT) };
+};
+
+// MultiQC stamps reports as "2024-03-01, 14:05 UTC".
+const multiqcRunDate = json => {
+  const m = /(\d{4}-\d{2}-\d{2})(?:,?\s*(\d{2}:\d{2}))?/.exec(json.config_creation_date || "");
+  return m ? new Date(`${m[1]}T${m[2] || "00:00"}:00Z`).toISOString() : null;
+};
+
+// A run directory holds one multiqc_data.json per run at any depth; each run is
+// named after its folder and dated by the report, else the file's mtime. JSON
+// that isn't a MultiQC report is skipped, except exported history ({ runs }).
+const parseHistoryFiles = async files => {
+  const runs = [];
+  for (const file of files.filter(f => /\.json$/i.test(f.name))) {
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+    if (Array.isArray(json.runs)) {
+      runs.push(...json.runs.filter(r => r.runAt && r.means));
+      continue;
+    }
+    let samples;
+    try {
+      samples = parseMultiQCJson(json);
+    } catch {
+      continue;
+    }
+    if (!samples.length) continue;
+    const folder = (file.webkitRelativePath || "").split("/").slice(1, -1).filter(p => p !== "multiqc_data").join("/");
+    runs.push(summarizeRun(samples, {
+      source: folder || file.name,
+      runAt: multiqcRunDate(json) || new Date(file.lastModified).toISOString(),
+    }));
+  }
+  if (!runs.length) throw new Error("no MultiQC reports found");
+  return runs;
+};
+
+// Each run is judged against the mean ± SD of the *other* runs, so a single
+// bad flowcell can't widen the limits enough to hide itself (with ten runs or
+// fewer it never could exceed 3 SD of a baseline that includes it). The bands
+// drawn are the limits over every run that isn't out of control.
+const meanSd = values => {
+  const m = values.reduce((a, b) => a + b, 0) / values.length;
+  return { mean: m, sd: Math.sqrt(values.reduce((a, b) => a + (b - m) ** 2, 0) / (values.length - 1)), n: values.length };
+};
+
+const controlFlag = (v, limits) => {
+  if (v == null || !limits?.sd) return null;
+  const z = Math.abs(v - limits.mean) / limits.sd;
+  return z > 3 ? "FAIL" : z > 2 ? "WARN" : "PASS";
+};
+
+const controlChart = values => {
+  const present = values.filter(v => v != null);
+  if (present.length < CONTROL_MIN_RUNS) return { limits: null, flags: values.map(() => null) };
+  const flags = values.map((v, i) => v == null ? null : controlFlag(v, meanSd(values.filter((w, j) => j !== i && w != null))));
+  const inControl = values.filter((v, i) => v != null && flags[i] !== "FAIL");
+  return { limits: meanSd(inControl.length >= CONTROL_MIN_RUNS ? inControl : present), flags };
+};
+
+const demoHistoryCache = {};
+const demoHistoryFor = (project, assay) => (demoHistoryCache[`${project}/${assay}`] ??= Array.from({ length: 12 }, (_, i) =>
+  summarizeRun(generateSamples(assay), {
+    source: `demo run ${String(i + 1).padStart(2, "0")}`,
+    runAt: new Date(Date.now() - (11 - i) * 7 * 86400000).toISOString(),
+  })));
+
+const fmtDate = iso => new Date(iso).toLocaleDateString([], { month: "short", day: "numeric" });
+
+// ── QC review ─────────────────────────────────────────────────────────────────
+// Reviewer decisions are appended to a per-project log and never edited or
+// removed; a sample's current decision is its latest entry for the assay. Each
+// entry keeps the QC grade and metric values the reviewer saw.
+const REVIEW_KEY = "bings.qcReviews";
+const REVIEW_DECISIONS = themed(() => ({
+  approved:   { label: "Approved", color: PALETTE.green },
+  rejected:   { label: "Rejected", color: PALETTE.red },
+  resequence: { label: "Re-sequence", color: PALETTE.orange },
+  override:   { label: "Override-pass", color: PALETTE.purple },
+}));
+
+// The reviewer is the signed-in user: their name, and their email (or subject)
+// as reviewerId.
+const reviewEntry = ({ project, assay, sample, decision, comment, user, at }) => ({
+  id: `${project}/${assay}/${sample.id}/${at}`,
+  at, project, assay, sample: sample.id, decision, comment, reviewer: user.name, reviewerId: user.email || user.id,
+  qcStatus: sample.qc.status,
+  metrics: Object.fromEntries(ASSAY_SCHEMAS[assay].metrics.map(m => [m, sample[m] ?? null])),
+});
+
+// "<assay>/<sample>" -> latest entry
+const latestReviews = log => {
+  const latest = {};
+  log.forEach(e => { latest[`${e.assay}/${e.sample}`] = e; });
+  return latest;
+};
+
+const buildReviewLogCsv = log => {
+  const metrics = [...new Set(log.flatMap(e => Object.keys(e.metrics)))];
+  const header = ["at", "project", "assay", "sample", "decision", "reviewer", "reviewer_id", "comment", "qc_status", ...metrics];
+  const rows = log.map(e => [e.at, e.project, e.assay, e.sample, REVIEW_DECISIONS[e.decision]?.label || e.decision,
+    e.reviewer, e.reviewerId || "", e.comment, e.qcStatus, ...metrics.map(m => e.metrics[m] ?? "")]);
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+};
+
+// ── Outliers & batch effects ──────────────────────────────────────────────────
+// Within one project and assay. Robust z-scores use the median and MAD, so a
+// few bad libraries can't hide themselves by inflating the spread; |z| beyond
+// OUTLIER_Z (Iglewicz–Hoaglin) flags a sample. A metadata group (a flowcell,
+// a prep date) whose median z sits beyond BATCH_Z is a batch effect, even when
+// each of its samples clears its thresholds.
+const OUTLIER_Z = 3.5;
+const BATCH_Z = 2;
+const OUTLIER_MIN_SAMPLES = 5;
+const BATCH_FIELDS = [["flowcell", "Flowcell"], ["prepDate", "Prep date"], ["condition", "Condition"], ["lane", "Lane"], ["libraryKit", "Library kit"]];
+
+const median = values => {
+  const v = [...values].sort((a, b) => a - b);
+  return v.length % 2 ? v[(v.length - 1) / 2] : (v[v.length / 2 - 1] + v[v.length / 2]) / 2;
+};
+
+// MAD scaled to match the SD of a normal; falls back to the mean absolute
+// deviation when more than half the values are identical.
+const robustZ = values => {
+  const present = values.filter(v => v != null);
+  if (present.length < OUTLIER_MIN_SAMPLES) return values.map(() => null);
+  const m = median(present);
+  const scale = 1.4826 * median(present.map(v => Math.abs(v - m)))
+    || 1.2533 * present.reduce((a, v) => a + Math.abs(v - m), 0) / present.length;
+  return values.map(v => (v == null ? null : scale ? (v - m) / scale : 0));
+};
+
+// { z: { [sample]: { [metric]: z } }, outliers: [{ id, drivers: [{ metric, z }] }] }
+const outlierScores = (samples, metrics) => {
+  const z = Object.fromEntries(samples.map(s => [s.id, {}]));
+  metrics.forEach(m => robustZ(samples.map(s => s[m])).forEach((v, i) => { if (v != null) z[samples[i].id][m] = v; }));
+  const outliers = samples.map(s => ({
+    id: s.id,
+    drivers: Object.entries(z[s.id]).filter(([, v]) => Math.abs(v) > OUTLIER_Z)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).map(([metric, v]) => ({ metric, z: v })),
+  })).filter(o => o.drivers.length);
+  return { z, outliers };
+};
+
+// Groups of at least two samples (and not every sample) by a metadata field.
+const batchEffects = (samples, z, metrics, field) => {
+  const groups = {};
+  samples.forEach(s => { const g = s.meta?.[field]; if (g) (groups[g] = groups[g] || []).push(s.id); });
+  return Object.entries(groups).filter(([, ids]) => ids.length >= 2 && ids.length < samples.length).flatMap(([group, ids]) =>
+    metrics.map(metric => {
+      const zs = ids.map(id => z[id][metric]).filter(v => v != null);
+      return { group, n: ids.length, metric, z: zs.length >= 2 ? median(zs) : null };
+    }).filter(b => b.z != null && Math.abs(b.z) > BATCH_Z));
+};
+
+// Eigen-decomposition of a small symmetric matrix by cyclic Jacobi rotations.
+const jacobiEigen = matrix => {
+  const n = matrix.length;
+  const a = matrix.map(r => [...r]);
+  const v = a.map((_, i) => a.map((__, j) => (i === j ? 1 : 0)));
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] ** 2;
+    if (off < 1e-12) break;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1), sn = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p], akq = a[k][q];
+          a[k][p] = c * akp - sn * akq; a[k][q] = sn * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k], aqk = a[q][k];
+          a[p][k] = c * apk - sn * aqk; a[q][k] = sn * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p], vkq = v[k][q];
+          v[k][p] = c * vkp - sn * vkq; v[k][q] = sn * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return a.map((row, i) => ({ value: row[i], vector: v.map(r => r[i]) })).sort((x, y) => y.value - x.value);
+};
+
+// PCA of the standardized QC metric vectors (missing values at the metric
+// mean). Returns scores on the first two components, their share of the
+// variance and each metric's loadings, or null with too few samples or metrics.
+const qcPca = (samples, metrics) => {
+  const cols = metrics.map(m => {
+    const present = samples.map(s => s[m]).filter(v => v != null);
+    if (present.length < 2) return null;
+    const mu = present.reduce((a, v) => a + v, 0) / present.length;
+    const sd = Math.sqrt(present.reduce((a, v) => a + (v - mu) ** 2, 0) / (present.length - 1));
+    return sd ? { metric: m, values: samples.map(s => (s[m] == null ? 0 : (s[m] - mu) / sd)) } : null;
+  }).filter(Boolean);
+  if (samples.length < 3 || cols.length < 2) return null;
+  const cov = cols.map(a => cols.map(b => a.values.reduce((t, v, i) => t + v * b.values[i], 0) / (samples.length - 1)));
+  const eig = jacobiEigen(cov);
+  const total = eig.reduce((a, e) => a + Math.max(e.value, 0), 0);
+  const [pc1, pc2] = eig;
+  return {
+    points: samples.map((s, i) => ({
+      id: s.id,
+      pc1: cols.reduce((t, c, k) => t + c.values[i] * pc1.vector[k], 0),
+      pc2: cols.reduce((t, c, k) => t + c.values[i] * pc2.vector[k], 0),
+    })),
+    explained: [pc1, pc2].map(e => (total ? Math.max(e.value, 0) / total : 0)),
+    loadings: cols.map((c, k) => ({ metric: c.metric, pc1: pc1.vector[k], pc2: pc2.vector[k] })),
+  };
+};
+
+// ── Pipeline definitions ──────────────────────────────────────────────────────
+// Per assay { name, version, engine, executor, source, note, steps: [{ name,
+// tool, version, after: [step names] }] } with steps in dependency order. They
+// come from DEFAULT_PIPELINES, a config at REACT_APP_PIPELINE_CONFIG or an
+// imported one (JSON or YAML: { pipelines: { <assay>: definition }, architecture:
+// [{ service, icon, desc, color }] }), or a Nextflow trace.txt / Snakemake
+// --summary imported for one assay. Step names must match the job feed's `step`.
+const PIPELINE_CONFIG = env("REACT_APP_PIPELINE_CONFIG") || "";
+const PIPELINES_KEY = "bings.pipelines"; // imported definitions: { pipelines, architecture }
+
+// Kahn's algorithm, keeping the listed order among steps that are ready.
+const sortSteps = (steps, assay) => {
+  const sorted = [], done = new Set();
+  while (sorted.length < steps.length) {
+    const next = steps.find(s => !done.has(s.name) && s.after.every(d => done.has(d)));
+    if (!next) throw new Error(`${assay}: dependency cycle among ${steps.filter(s => !done.has(s.name)).map(s => s.name).join(", ")}`);
+    sorted.push(next);
+    done.add(next.name);
+  }
+  return sorted;
+};
+
+const normalizePipeline = (def, assay) => {
+  const text = v => (v == null || v === "" ? null : String(v));
+  const steps = (Array.isArray(def?.steps) ? def.steps : []).map(s => (typeof s === "string" ? { name: s } : s || {}));
+  if (!steps.length || steps.some(s => !text(s.name))) throw new Error(`${assay}: needs a list of steps, each with a name`);
+  const names = new Set(steps.map(s => String(s.name)));
+  if (names.size < steps.length) throw new Error(`${assay}: step names must be unique`);
+  const out = steps.map(s => ({
+    name: String(s.name), tool: text(s.tool), version: text(s.version),
+    after: [].concat(s.after ?? []).map(String),
+  }));
+  out.forEach(s => s.after.forEach(d => {
+    if (!names.has(d)) throw new Error(`${assay}: ${s.name} runs after unknown step "${d}"`);
+  }));
+  return {
+    name: text(def.name), version: text(def.version), engine: text(def.engine), executor: text(def.executor),
+    source: text(def.source), note: text(def.note), steps: sortSteps(out, assay),
+  };
+};
+
+const BUILT_IN_PIPELINES = Object.fromEntries(Object.entries(DEFAULT_PIPELINES)
+  .map(([assay, def]) => [assay, normalizePipeline({ ...def, source: "built-in" }, assay)]));
+const NO_PIPELINE = { name: null, version: null, engine: null, executor: null, source: null, note: null, steps: [] };
+
+const validateArchitecture = tiles => {
+  if (!Array.isArray(tiles) || tiles.some(t => !t?.service)) throw new Error("architecture: expected a list of tiles, each with a service");
+  return tiles.map(t => ({ service: String(t.service), icon: t.icon || "▪", desc: t.desc || "", color: t.color || PALETTE.accent }));
+};
+
+const validatePipelineConfig = (config, source) => {
+  if (!config || typeof config !== "object" || (!config.pipelines && !config.architecture)) {
+    throw new Error("expected pipelines and / or architecture");
+  }
+  return {
+    pipelines: Object.fromEntries(Object.entries(config.pipelines || {})
+      .map(([assay, def]) => [assay, normalizePipeline({ source, ...def }, assay)])),
+    architecture: config.architecture ? validateArchitecture(config.architecture) : null,
+    source,
+  };
+};
+
+// Enough YAML for pipeline configs: nested maps and "- " lists by indentation,
+// [a, b] flow lists, quoted or plain scalars (all read as text) and # comments.
+const parseYaml = text => {
+  const lines = text.split(/\r?\n/).map(l => l.replace(/(^|\s)#.*$/, "").replace(/\s+$/, ""))
+    .filter(l => l.trim() && l.trim() !== "---").map(l => ({ indent: l.search(/\S/), text: l.trim() }));
+  const KEY = /^("[^"]*"|'[^']*'|[^:[{"']+):(?:\s+(.*))?$/;
+  const isItem = line => /^-(\s|$)/.test(line.text);
+  let i = 0;
+  const scalar = v => {
+    if (/^\[.*\]$/.test(v)) return v.slice(1, -1).split(",").map(s => s.trim()).filter(Boolean).map(scalar);
+    if (/^(["']).*\1$/.test(v)) return v.slice(1, -1);
+    return v === "~" || v === "null" ? null : v;
+  };
+  const map = indent => {
+    const out = {};
+    while (i < lines.length && lines[i].indent === indent && !isItem(lines[i])) {
+      const m = KEY.exec(lines[i].text);
+      if (!m) throw new Error(`YAML: expected "key: value" at "${lines[i].text}"`);
+      i++;
+      const next = lines[i];
+      out[scalar(m[1].trim())] = m[2] ? scalar(m[2])
+        : next && (next.indent > indent || (next.indent === indent && isItem(next))) ? block(next.indent) : null;
+    }
+    return out;
+  };
+  const list = indent => {
+    const out = [];
+    while (i < lines.length && lines[i].indent === indent && isItem(lines[i])) {
+      const rest = lines[i].text.replace(/^-\s*/, "");
+      if (!rest) {
+        i++;
+        out.push(i < lines.length && lines[i].indent > indent ? block(lines[i].indent) : null);
+      } else if (KEY.test(rest)) {
+        // "- key: value" opens a map whose other keys line up with the first
+        const at = indent + lines[i].text.length - rest.length;
+        lines[i] = { indent: at, text: rest };
+        out.push(map(at));
+      } else {
+        out.push(scalar(rest));
+        i++;
+      }
+    }
+    return out;
+  };
+  const block = indent => (isItem(lines[i]) ? list(indent) : map(indent));
+  if (!lines.length) return null;
+  const doc = block(lines[0].indent);
+  if (i < lines.length) throw new Error(`YAML: unexpected indentation at "${lines[i].text}"`);
+  return doc;
+};
+
+// Nextflow durations: "1h 2m 3s", "850ms", "1.5s".
+const parseNfDuration = v => {
+  const unit = { ms: 1, s: 1e3, m: 6e4, h: 3.6e6, d: 8.64e7 };
+  let ms = 0;
+  for (const [, n, u] of String(v || "").matchAll(/([\d.]+)\s*(ms|s|m|h|d)\b/g)) ms += parseFloat(n) * unit[u];
+  return ms;
+};
+
+// Nextflow trace.txt: processes become steps, named without the workflow path
+// and the "(tag)". The trace has no dependencies, so each task votes for the
+// step of the task finishing last before it on the same tag (sample; any tag
+// for untagged tasks such as MultiQC), taken only from steps that started
+// earlier, which keeps the graph acyclic. A step runs after every step that got
+// a vote, the most voted first.
+const parseNextflowTrace = rows => {
+  const [header, ...data] = rows;
+  const col = name => header.indexOf(name);
+  if (col("name") < 0 || (col("submit") < 0 && col("start") < 0)) throw new Error("trace needs name and submit / start columns");
+  const at = (r, name) => (col(name) >= 0 && r[col(name)] && r[col(name)] !== "-" ? Date.parse(r[col(name)].replace(" ", "T")) : NaN);
+  const tasks = data.filter(r => r[col("name")]).map(r => {
+    const [, path, tag = ""] = /^(.*?)\s*(?:\((.*)\))?$/.exec(r[col("name")]);
+    const start = Number.isFinite(at(r, "start")) ? at(r, "start") : at(r, "submit");
+    const end = Number.isFinite(at(r, "complete")) ? at(r, "complete") : start + parseNfDuration(r[col("duration")] || r[col("realtime")]);
+    return { step: (r[col("process")] || path).split(":").pop(), tag, start, end };
+  }).filter(t => Number.isFinite(t.start));
+  if (!tasks.length) throw new Error("no tasks in trace");
+  const first = {};
+  tasks.forEach(t => { first[t.step] = Math.min(first[t.step] ?? Infinity, t.start); });
+  const order = Object.keys(first).sort((a, b) => first[a] - first[b]);
+  // Finished tasks by tag ("" holds all of them), each list by end time: a
+  // task's predecessor is a binary search and a short walk back past later steps.
+  const byTag = { "": [] };
+  tasks.filter(t => Number.isFinite(t.end)).forEach(t => {
+    byTag[""].push(t);
+    if (t.tag) (byTag[t.tag] ||= []).push(t);
+  });
+  Object.values(byTag).forEach(list => list.sort((a, b) => a.end - b.end));
+  const previous = t => {
+    const list = byTag[t.tag] || [];
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].end <= t.start) lo = mid + 1;
+      else hi = mid;
+    }
+    for (let i = lo - 1; i >= 0; i--) if (first[list[i].step] < first[t.step]) return list[i];
+    return null;
+  };
+  const votes = Object.fromEntries(order.map(name => [name, {}]));
+  tasks.forEach(t => {
+    const last = previous(t);
+    if (last) votes[t.step][last.step] = (votes[t.step][last.step] || 0) + 1;
+  });
+  const steps = order.map(name => ({ name, after: Object.entries(votes[name]).sort((a, b) => b[1] - a[1]).map(([parent]) => parent) }));
+  const awsBatch = col("native_id") >= 0 && data.some(r => /^[0-9a-f]{8}-[0-9a-f]{4}-/i.test(r[col("native_id")] || ""));
+  return { engine: "Nextflow", executor: awsBatch ? "AWS Batch" : null, note: "dependencies inferred from task timing", steps };
+};
+
+// snakemake --summary: one row per output file and its rule (plus a version
+// column on older releases); --detailed-summary adds input-file(s), which links
+// each rule to the rules producing its inputs. Short or ragged rows of a
+// partial summary are read as far as they go; rows without a rule or output
+// file are skipped.
+const parseSnakemakeSummary = rows => {
+  const [header, ...lines] = rows;
+  const col = name => header.indexOf(name);
+  const cell = (r, name) => (col(name) >= 0 ? r[col(name)] || "" : "");
+  if (col("output_file") < 0 || col("rule") < 0) throw new Error("summary needs output_file and rule columns");
+  const data = lines.filter(r => cell(r, "output_file") && cell(r, "rule") && cell(r, "rule") !== "-");
+  const producer = Object.fromEntries(data.map(r => [cell(r, "output_file"), cell(r, "rule")]));
+  const steps = new Map();
+  data.forEach(r => {
+    const rule = cell(r, "rule");
+    const s = steps.get(rule) || { name: rule, version: null, after: new Set() };
+    if (cell(r, "version") && cell(r, "version") !== "-") s.version = cell(r, "version");
+    cell(r, "input-file(s)").split(",").forEach(f => {
+      const from = producer[f.trim()];
+      if (from && from !== "-" && from !== rule) s.after.add(from);
+    });
+    steps.set(rule, s);
+  });
+  if (!steps.size) throw new Error("no rules in summary");
+  return {
+    engine: "Snakemake", note: col("input-file(s)") < 0 ? "no dependencies in --summary; import a --detailed-summary" : null,
+    steps: [...steps.values()].map(s => ({ ...s, after: [...s.after] })),
+  };
+};
+
+// nf-core pipeline_info/software_versions.yml: { PROCESS: { tool: version },
+// Workflow: { Nextflow: x, "nf-core/<name>": y } }. A step takes the tool named
+// most like it, else the process's first one.
+const applySoftwareVersions = (def, versions) => {
+  const key = s => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const byProcess = Object.fromEntries(Object.entries(versions).map(([p, tools]) => [key(p.split(":").pop()), tools]));
+  const workflow = Object.entries(versions.Workflow || {}).filter(([t]) => !/^nextflow$/i.test(t));
+  return {
+    ...def,
+    name: def.name || workflow[0]?.[0] || null,
+    version: def.version || workflow[0]?.[1] || null,
+    engine: versions.Workflow?.Nextflow ? `Nextflow ${versions.Workflow.Nextflow}` : def.engine,
+    steps: def.steps.map(s => {
+      const tools = Object.entries(byProcess[key(s.name)] || {});
+      const [tool, version] = tools.find(([t]) => key(s.name).includes(key(t))) || tools[0] || [];
+      return tool ? { ...s, tool, version: String(version) } : s;
+    }),
+  };
+};
+
+// Reads a config (JSON / YAML), or a trace / summary (with software_versions.yml)
+// for `assay`, into { pipelines, architecture }.
+const parsePipelineFiles = async (files, assay) => {
+  let config = { pipelines: {}, architecture: null };
+  let run = null, versions = null;
+  const source = files.map(f => f.name).join(" + ");
+  for (const file of files) {
+    try {
+      const text = await file.text();
+      const rows = () => text.split(/\r?\n/).filter(Boolean).map(l => l.split("\t"));
+      const head = text.slice(0, text.indexOf("\n") + 1 || undefined);
+      if (/^task_id\t|\tname\t/.test(head) && /\t(submit|start)\t/.test(head)) {
+        run = parseNextflowTrace(rows());
+      } else if (/^output_file\t/.test(head)) {
+        run = parseSnakemakeSummary(rows());
+      } else {
+        const doc = /^\s*[[{]/.test(text) ? JSON.parse(text) : parseYaml(text);
+        if (doc?.pipelines || doc?.architecture) {
+          const parsed = validatePipelineConfig(doc, source);
+          config = { pipelines: { ...config.pipelines, ...parsed.pipelines }, architecture: parsed.architecture || config.architecture };
+        } else if (doc?.steps) {
+          config.pipelines[assay] = normalizePipeline({ source, ...doc }, assay);
+        } else if (doc && typeof doc === "object" && Object.values(doc).every(v => v && typeof v === "object")) {
+          versions = doc;
+        } else {
+          throw new Error("not a pipeline config, Nextflow trace, Snakemake summary or software_versions.yml");
+        }
+      }
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+  }
+  if (run) config.pipelines[assay] = normalizePipeline({ ...(versions ? applySoftwareVersions(run, versions) : run), source }, assay);
+  else if (versions) {
+    if (!config.pipelines[assay]) throw new Error("software_versions.yml needs a trace.txt or definition alongside");
+    config.pipelines[assay] = applySoftwareVersions(config.pipelines[assay], versions);
+  }
+  return { ...config, source };
+};
+
+// Fetched like the project store; a failed fetch keeps the built-in definitions.
+const usePipelineConfig = url => {
+  const [state, setState] = useState({ url: "", config: null, error: null });
+  useEffect(() => {
+    if (!url) return undefined;
+    let cancelled = false;
+    fetch(url, { headers: authHeaders() })
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then(text => !cancelled && setState({
+        url, error: null, config: validatePipelineConfig(/^\s*[[{]/.test(text) ? JSON.parse(text) : parseYaml(text), url),
+      }))
+      .catch(e => !cancelled && setState({ url, config: null, error: `Pipeline config: ${e.message}` }));
+    return () => { cancelled = true; };
+  }, [url]);
+  return state.url === url ? state : { url, config: null, error: null };
+};
+
+// Columns by longest path from a root step, rows in step order.
+const dagLayout = steps => {
+  const depth = {}, rows = [];
+  const at = {};
+  steps.forEach(s => {
+    const col = Math.max(0, ...s.after.map(d => depth[d] + 1));
+    depth[s.name] = col;
+    rows[col] = (rows[col] ?? -1) + 1;
+    at[s.name] = { col, row: rows[col] };
+  });
+  return { at, cols: rows.length, rows: Math.max(0, ...rows) + 1 };
+};
+
+// ── Pipeline job feeds ────────────────────────────────────────────────────────
+// A feed reports per-sample, per-step jobs:
+//   { sample, assay, step, state, startedAt, endedAt, logUrl,
+//     exitCode?, attempts?, reason?, logTail? }
+// with state one of queued | running | succeeded | failed | retrying. logTail
+// (last lines of the log) is optional; the drill-down fetches logUrl otherwise.
+// Feeds call
+// onJobs(jobs, replace) with a full snapshot (replace) or updates, and
+// onStatus({ state, lastUpdate, error }) as the connection changes.
+const PIPELINE_API = env("REACT_APP_PIPELINE_API") || "";
+const LOG_TAIL_LINES = 20;
+const AWS_REGION = env("REACT_APP_AWS_REGION") || "us-east-1";
+const POLL_MS = 10000;
+const STALE_MS = 30000;
+
+const JOB_COLORS = themed(() => ({
+  queued: PALETTE.muted, running: PALETTE.accent, succeeded: PALETTE.green,
+  failed: PALETTE.red, retrying: PALETTE.orange,
+}));
+
+const jobKey = j => `${j.assay}/${j.sample}/${j.step}`;
+
+const upsertJobs = (prev, updates) => {
+  const byKey = new Map(prev.map(j => [jobKey(j), j]));
+  updates.forEach(j => byKey.set(jobKey(j), j));
+  return [...byKey.values()];
+};
+
+// REST: GET <base>/projects/<id>/jobs -> { jobs: [...] }, polled every POLL_MS.
+// SSE:  GET <base>/projects/<id>/events -> "snapshot" ({ jobs }), "job" (one job)
+//       and "ping" events. Used when the server offers it, polling otherwise
+//       and once the stream is closed for good.
+const createApiJobFeed = (base, project) => ({
+  subscribe({ onJobs, onStatus }) {
+    const root = `${base.replace(/\/$/, "")}/projects/${encodeURIComponent(project)}`;
+    let timer = null, source = null, closed = false;
+    const live = () => onStatus({ state: "live", lastUpdate: Date.now() });
+
+    const poll = async () => {
+      try {
+        const res = await fetch(`${root}/jobs`, { headers: authHeaders() });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = await res.json();
+        if (closed) return;
+        onJobs(body.jobs || [], true);
+        live();
+      } catch (e) {
+        if (!closed) onStatus({ state: "disconnected", error: e.message });
+      }
+      if (!closed) timer = setTimeout(poll, POLL_MS);
+    };
+
+    if (typeof EventSource === "undefined") {
+      poll();
+    } else {
+      let opened = false;
+      source = new EventSource(`${root}/events`);
+      source.onopen = () => { opened = true; live(); };
+      // A malformed event is reported like a failed poll; the next one recovers.
+      const onEvent = handle => e => {
+        try {
+          handle(JSON.parse(e.data));
+          live();
+        } catch (err) {
+          onStatus({ state: "disconnected", error: `bad ${e.type} event: ${err.message}` });
+        }
+      };
+      source.addEventListener("snapshot", onEvent(body => onJobs(body.jobs || [], true)));
+      source.addEventListener("job", onEvent(job => onJobs([job], false)));
+      source.addEventListener("ping", live);
+      source.onerror = () => {
+        if (opened && source.readyState !== EventSource.CLOSED) {
+          // EventSource reconnects by itself; report the gap meanwhile.
+          onStatus({ state: "disconnected", error: "event stream interrupted" });
+        } else {
+          // Never opened, or the browser gave up reconnecting (an HTTP error
+          // or a non-event-stream reply): poll from here on.
+          source.close();
+          source = null;
+          if (opened) onStatus({ state: "disconnected", error: "event stream closed, polling" });
+          poll();
+        }
+      };
+    }
+    onStatus({ state: "connecting" });
+    return () => {
+      closed = true;
+      clearTimeout(timer);
+      if (source) source.close();
+    };
+  },
+});
+
+const mockLog = (p, now, state) => {
+  const cmd = p.step.toLowerCase().replace(/\s+/g, "_");
+  const at = t => new Date(t).toISOString().slice(11, 19);
+  const lines = [`[${at(p.start)}] ${cmd} --threads 8 --sample ${p.sample}`, `[${at(p.start)}] reading input…`];
+  const half = p.start + (p.end - p.start) / 2;
+  if (p.retry && now >= half) {
+    lines.push(`[${at(half)}] attempt 1 exited 143: host terminated`, `[${at(half)}] retrying (attempt 2/3)…`);
+  }
+  if (state === "succeeded") lines.push(`[${at(p.end)}] ${p.step} completed`);
+  if (state === "failed") lines.push(`[${at(p.end)}] ERROR ${p.failure[1]}`, `[${at(p.end)}] exit status ${p.failure[0]}`);
+  return lines;
+};
+
+const mockJob = (p, now) => {
+  const job = mockJobAt(p, now);
+  return { ...job, logUrl: null, logTail: job.state === "queued" ? [] : mockLog(p, now, job.state) };
+};
+
+// Fixture adapter used when no REACT_APP_PIPELINE_API is configured.
+const createMockJobFeed = (project, assays, samples, pipelines) => ({
+  subscribe({ onJobs, onStatus }) {
+    const plan = assays.flatMap(a => planMockRun(project, a, Date.now(), samples, pipelines[a]?.steps || []));
+    const tick = () => {
+      onJobs(plan.map(p => mockJob(p, Date.now())), true);
+      onStatus({ state: "mock", lastUpdate: Date.now() });
+    };
+    tick();
+    const t = setInterval(tick, 1000);
+    return () => clearInterval(t);
+  },
+});
+
+const usePipelineFeed = (project, assays, endpoint, samples, pipelines) => {
+  const [feed, setFeed] = useState({ key: null, jobs: [], status: { state: "connecting" } });
+  const [now, setNow] = useState(Date.now);
+  const key = `${endpoint}|${project}`;
+  const assayList = assays.join(",");
+  const sampleList = samples.join(",");
+  // The demo feed replans when a step or dependency changes, not whenever the
+  // pipelines object is rebuilt; it reads the current one through a ref.
+  const stepList = endpoint ? "" : assays.map(a => (pipelines[a]?.steps || []).map(s => `${s.name}<${s.after.join("+")}`).join(",")).join("|");
+  const pipelinesRef = useRef(pipelines);
+  pipelinesRef.current = pipelines;
+
+  useEffect(() => {
+    const source = endpoint ? createApiJobFeed(endpoint, project)
+      : createMockJobFeed(project, assayList.split(","), sampleList.split(",").filter(Boolean), pipelinesRef.current);
+    return source.subscribe({
+      onJobs: (jobs, replace) => setFeed(f => ({
+        ...f, key, jobs: replace || f.key !== key ? jobs : upsertJobs(f.jobs, jobs),
+      })),
+      onStatus: status => setFeed(f => ({ ...f, status: { lastUpdate: f.status.lastUpdate, ...status } })),
+    });
+  }, [key, endpoint, project, assayList, sampleList, stepList]);
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(t);
+  }, []);
+
+  const jobs = feed.key === key ? feed.jobs : [];
+  const { state, lastUpdate, error } = feed.status;
+  const stale = state === "live" && lastUpdate && now - lastUpdate > STALE_MS;
+  return { jobs, connection: { state: stale ? "stale" : state, lastUpdate, error } };
+};
+
+// Worst state wins so a single failed sample is visible on the step chip.
+const stepState = jobs => {
+  const has = st => jobs.some(j => j.state === st);
+  if (has("failed")) return "failed";
+  if (has("retrying")) return "retrying";
+  if (has("running")) return "running";
+  if (jobs.length && jobs.every(j => j.state === "succeeded")) return "succeeded";
+  return has("succeeded") ? "running" : "queued";
+};
+
+const fmtDuration = ms => {
+  if (ms == null || ms < 0) return "—";
+  const sec = Math.round(ms / 1000);
+  const h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60), s = sec % 60;
+  return h ? `${h}h ${m}m` : m ? `${m}m ${s}s` : `${s}s`;
+};
+
+const jobRuntime = (job, now = Date.now()) =>
+  job.startedAt ? (job.endedAt ? Date.parse(job.endedAt) : now) - Date.parse(job.startedAt) : null;
+
+const fmtTime = iso => (iso ? new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" }) : "—");
+
+// ── Cost data ─────────────────────────────────────────────────────────────────
+// Costs are normalised to line items
+//   { date: "YYYY-MM-DD", project, assay, category, cost, spot, onDemand }
+// attributed through the `project` (and optional `assay`) resource tags.
+// category is Compute | Storage | Transfer | Other; onDemand is the public
+// on-demand price of spot usage, when the export has it.
+const COST_API = env("REACT_APP_COST_API");
+const UNTAGGED = "(untagged)";
+const COST_CATEGORIES = [
+  ["Transfer", /DataTransfer|-Bytes\b|Data Transfer|CloudFront/i],
+  ["Storage", /TimedStorage|EBS:Volume|EBS:Snapshot|AmazonS3|Simple Storage|Glacier|AmazonEFS|Elastic File|FSx/i],
+  ["Compute", /BoxUsage|SpotUsage|Fargate|vCPU|AmazonEC2|Compute Cloud|AWSBatch|Batch|Lambda|AmazonECS|Container/i],
+];
+const costCategory = (...fields) => (COST_CATEGORIES.find(([, re]) => fields.some(f => re.test(f || ""))) || ["Other"])[0];
+
+const parseCsv = text => {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c !== ""));
+};
+
+// Legacy CUR ("lineItem/UnblendedCost", "resourceTags/user:project") and CUR 2.0
+// ("line_item_unblended_cost", a "resource_tags" JSON map) column names.
+const CUR_COLUMNS = {
+  date: /^(lineItem\/UsageStartDate|line_item_usage_start_date)$/i,
+  cost: /^(lineItem\/UnblendedCost|line_item_unblended_cost)$/i,
+  product: /^(lineItem\/ProductCode|line_item_product_code)$/i,
+  usageType: /^(lineItem\/UsageType|line_item_usage_type)$/i,
+  onDemand: /^(pricing\/publicOnDemandCost|pricing_public_on_demand_cost)$/i,
+  project: /^(resourceTags\/user:project|resource_tags_user_project)$/i,
+  assay: /^(resourceTags\/user:assay|resource_tags_user_assay)$/i,
+  tags: /^resource_tags$/i,
+};
+
+const parseCurCsv = text => {
+  const [header, ...rows] = parseCsv(text);
+  const col = Object.fromEntries(Object.entries(CUR_COLUMNS).map(([k, re]) => [k, (header || []).findIndex(h => re.test(h.trim()))]));
+  if (col.date < 0 || col.cost < 0) throw new Error("not a Cost and Usage Report (no usage start date / unblended cost columns)");
+  return rows.map(r => {
+    let tags = {};
+    try { tags = col.tags >= 0 && r[col.tags] ? JSON.parse(r[col.tags]) : {}; } catch { /* unparseable tag map */ }
+    const usageType = r[col.usageType] || "";
+    const spot = /SpotUsage/i.test(usageType);
+    return {
+      date: r[col.date].slice(0, 10),
+      project: r[col.project] || tags.user_project || tags.project || UNTAGGED,
+      assay: r[col.assay] || tags.user_assay || tags.assay || null,
+      category: costCategory(usageType, r[col.product]),
+      cost: parseFloat(r[col.cost]) || 0,
+      spot,
+      onDemand: spot ? parseFloat(r[col.onDemand]) || null : null,
+    };
+  }).filter(it => /^\d{4}-\d{2}-\d{2}$/.test(it.date));
+};
+
+// `aws ce get-cost-and-usage --granularity DAILY --group-by Type=TAG,Key=project
+// Type=DIMENSION,Key=SERVICE` output; tag group keys look like "project$GBM-2024".
+const parseCostExplorerJson = json => json.ResultsByTime.flatMap(({ TimePeriod, Groups = [], Total }) =>
+  (Groups.length ? Groups : [{ Keys: [], Metrics: Total || {} }]).map(({ Keys = [], Metrics = {} }) => {
+    const metric = Metrics.UnblendedCost || Metrics.NetUnblendedCost || Metrics.AmortizedCost || Object.values(Metrics)[0];
+    const tags = {}, dims = [];
+    Keys.forEach(k => (k.includes("$") ? (tags[k.split("$")[0].toLowerCase()] = k.split("$").slice(1).join("$")) : dims.push(k)));
+    return {
+      date: TimePeriod.Start.slice(0, 10),
+      project: tags.project || UNTAGGED,
+      assay: tags.assay || null,
+      category: costCategory(...dims),
+      cost: parseFloat(metric?.Amount) || 0,
+      spot: dims.some(d => /SpotUsage/i.test(d)),
+      onDemand: null,
+    };
+  }));
+
+const parseCostJson = json => {
+  if (Array.isArray(json?.ResultsByTime)) return parseCostExplorerJson(json);
+  if (Array.isArray(json?.items)) {
+    return json.items.map(it => ({
+      date: String(it.date).slice(0, 10), project: it.project || UNTAGGED, assay: it.assay || null,
+      category: it.category || "Other", cost: +it.cost || 0, spot: !!it.spot, onDemand: it.onDemand ?? null,
+    }));
+  }
+  throw new Error("expected Cost Explorer output (ResultsByTime) or { items: [...] }");
+};
+
+const parseCostFile = async file => {
+  const text = await file.text();
+  try {
+    return /\.json$/i.test(file.name) ? parseCostJson(JSON.parse(text)) : parseCurCsv(text);
+  } catch (e) {
+    throw new Error(`${file.name}: ${e.message}`);
+  }
+};
+
+// An endpoint answers GET <url>?start=YYYY-MM-DD&end=YYYY-MM-DD with either shape.
+const useCostEndpoint = (endpoint, range) => {
+  const [state, setState] = useState({ items: null, error: null });
+  useEffect(() => {
+    if (!endpoint) return;
+    let cancelled = false;
+    fetch(`${endpoint.replace(/\/$/, "")}?start=${range.from}&end=${range.to}`, { headers: authHeaders() })
+      .then(r => { if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.json(); })
+      .then(json => !cancelled && setState({ items: parseCostJson(json), error: null }))
+      .catch(e => !cancelled && setState({ items: null, error: `Cost API: ${e.message}` }));
+    return () => { cancelled = true; };
+  }, [endpoint, range.from, range.to]);
+  return endpoint ? state : { items: null, error: null };
+};
+
+const isoDay = t => new Date(t).toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1;
+const costRangeFor = days => ({ from: isoDay(Date.now() - (days - 1) * 86400000), to: isoDay(Date.now()) });
+const sumCost = items => items.reduce((a, it) => a + it.cost, 0);
+const costBy = (items, key) => items.reduce((acc, it) => ({ ...acc, [it[key] ?? ""]: (acc[it[key] ?? ""] || 0) + it.cost }), {});
+const spotSavings = items => {
+  const spot = items.filter(it => it.spot && it.onDemand > 0);
+  const onDemand = spot.reduce((a, it) => a + it.onDemand, 0);
+  return onDemand ? 1 - sumCost(spot) / onDemand : null;
+};
+const fmtUsd = v => (v == null ? "n/a" : `$${v >= 1000 ? v.toLocaleString(undefined, { maximumFractionDigits: 0 }) : v.toFixed(2)}`);
+
+// Reads × 2×150 bp when a report has no yield of its own.
+const READ_BASES = 300;
+const sampleGb = s => s.gb ?? (s.reads != null ? (s.reads * READ_BASES) / 1000 : null);
+
+// 90 days of plausible spend per project and assay: spot compute that dips at
+// weekends, steady shared storage and a little egress.
+const demoCostCache = {};
+const demoCostItems = () => (demoCostCache.items ??= SEED_PROJECTS.flatMap(p => {
+  const rnd = seededRandom(hashString(p.id));
+  return Array.from({ length: 90 }, (_, d) => {
+    const date = isoDay(Date.now() - (89 - d) * 86400000);
+    const weekend = [0, 6].includes(new Date(date).getUTCDay());
+    return [
+      ...p.assays.map(assay => {
+        const cost = +((weekend ? 2 : 8) + rnd() * 18).toFixed(2);
+        return { date, project: p.id, assay, category: "Compute", cost, spot: true, onDemand: +(cost * (3 + rnd())).toFixed(2) };
+      }),
+      { date, project: p.id, assay: null, category: "Storage", cost: +(3 + rnd() * 1.5).toFixed(2), spot: false, onDemand: null },
+      { date, project: p.id, assay: null, category: "Transfer", cost: +(rnd() * 1.2).toFixed(2), spot: false, onDemand: null },
+    ];
+  }).flat();
+}));
+
+// ── S3 inventory ──────────────────────────────────────────────────────────────
+// Objects are { key, size, modified, storageClass, project, kind }, with the
+// project taken from the first key segment. Sources: S3 Inventory CSV (plain
+// or .csv.gz, column order from manifest.json when it is dropped alongside)
+// or `aws s3 ls --recursive` output, which has no storage class.
+const OBJECT_KINDS = [
+  ["FASTQ", /\.(fastq|fq)(\.gz)?$/i],
+  ["BAM/CRAM", /\.(bam|cram|bai|crai|csi)$/i],
+  ["Peaks", /\.(narrowPeak|broadPeak|gappedPeak|bed|bedpe)(\.gz)?$/i],
+  ["bigWig", /\.(bw|bigwig|bedgraph)(\.gz)?$/i],
+  ["Reports", /multiqc|\/reports?\/|\.(html|pdf|log|txt|tsv|csv|json)$/i],
+  ["Other", /./],
+];
+const objectKind = key => OBJECT_KINDS.find(([, re]) => re.test(key))[0];
+
+// us-east-1 list prices, USD per GB-month and per 1,000 lifecycle transitions.
+const S3_PRICES = {
+  STANDARD:            { gbMonth: 0.023,   transition: 0 },
+  INTELLIGENT_TIERING: { gbMonth: 0.023,   transition: 0.01 },
+  STANDARD_IA:         { gbMonth: 0.0125,  transition: 0.01 },
+  ONEZONE_IA:          { gbMonth: 0.01,    transition: 0.01 },
+  GLACIER_IR:          { gbMonth: 0.004,   transition: 0.02 },
+  GLACIER:             { gbMonth: 0.0036,  transition: 0.03 },
+  DEEP_ARCHIVE:        { gbMonth: 0.00099, transition: 0.05 },
+  REDUCED_REDUNDANCY:  { gbMonth: 0.024,   transition: 0 },
+};
+const S3_CLASS_COLORS = themed(() => ({
+  STANDARD: PALETTE.accent, INTELLIGENT_TIERING: PALETTE.purple, STANDARD_IA: PALETTE.green, ONEZONE_IA: PALETTE.green,
+  GLACIER_IR: PALETTE.yellow, GLACIER: PALETTE.orange, DEEP_ARCHIVE: PALETTE.red, REDUCED_REDUNDANCY: PALETTE.muted,
+}));
+const GB = 1024 ** 3;
+// s3 ls reports no class; estimates treat those objects as STANDARD.
+const effectiveClass = o => o.storageClass || "STANDARD";
+const monthlyCost = objects => objects.reduce((a, o) => a + (o.size / GB) * (S3_PRICES[effectiveClass(o)]?.gbMonth ?? S3_PRICES.STANDARD.gbMonth), 0);
+const fmtBytes = b => {
+  const units = ["B", "KB", "MB", "GB", "TB", "PB"];
+  const i = b > 0 ? Math.min(Math.floor(Math.log(b) / Math.log(1024)), units.length - 1) : 0;
+  return `${(b / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+};
+
+const s3Object = (key, size, modified, storageClass) => ({
+  key, size, modified, storageClass: storageClass || null,
+  project: key.split("/")[0], kind: objectKind(key),
+});
+
+const parseS3Ls = text => text.split(/\r?\n/).map(line => {
+  const m = /^(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2}:\d{2})\s+(\d+)\s+(.+)$/.exec(line.trim());
+  return m && !m[4].endsWith("/") ? s3Object(m[4], +m[3], `${m[1]}T${m[2]}Z`, null) : null;
+}).filter(Boolean);
+
+const INVENTORY_DEFAULT_SCHEMA = ["Bucket", "Key", "Size", "LastModifiedDate", "StorageClass"];
+
+const parseInventoryCsv = (text, schema = INVENTORY_DEFAULT_SCHEMA) => {
+  const col = name => schema.findIndex(f => f.trim().toLowerCase() === name.toLowerCase());
+  const [key, size, modified, cls] = ["Key", "Size", "LastModifiedDate", "StorageClass"].map(col);
+  if (key < 0 || size < 0) throw new Error("inventory schema needs Key and Size fields");
+  return parseCsv(text)
+    .filter(r => r[key] && /^\d+$/.test(r[size]))
+    .map(r => s3Object(decodeURIComponent(r[key].replace(/\+/g, " ")), +r[size], r[modified] || null, cls >= 0 ? r[cls] : null));
+};
+
+const gunzipText = async file => {
+  if (typeof DecompressionStream === "undefined") throw new Error("this browser can't read .gz files; decompress first");
+  return new Response(file.stream().pipeThrough(new DecompressionStream("gzip"))).text();
+};
+
+const parseInventoryFiles = async files => {
+  const manifest = files.find(f => /manifest\.json$/i.test(f.name));
+  const schema = manifest ? JSON.parse(await manifest.text()).fileSchema?.split(",") : undefined;
+  let objects = [], hasClass = true;
+  for (const file of files.filter(f => f !== manifest)) {
+    try {
+      if (/\.(parquet|orc)$/i.test(file.name)) throw new Error("Parquet/ORC inventories aren't supported; configure the inventory as CSV");
+      const text = /\.gz$/i.test(file.name) ? await gunzipText(file) : await file.text();
+      if (/\.csv(\.gz)?$/i.test(file.name)) {
+        objects = objects.concat(parseInventoryCsv(text, schema));
+      } else {
+        objects = objects.concat(parseS3Ls(text));
+        hasClass = false;
+      }
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+  }
+  if (!objects.length) throw new Error("no objects found");
+  return { objects, hasClass };
+};
+
+// Proposed moves: FASTQs older than `fastqDays` still in STANDARD go to
+// DEEP_ARCHIVE; BAMs (and their indexes) whose CRAM sits next to them go.
+const lifecycleCandidates = (objects, { fastqDays, now }) => {
+  const crams = new Set(objects.filter(o => /\.cram$/i.test(o.key)).map(o => o.key.replace(/\.cram$/i, "")));
+  const cutoff = now - fastqDays * 86400000;
+  return [
+    {
+      rule: `FASTQ older than ${fastqDays} days in STANDARD`, action: "→ DEEP_ARCHIVE", target: "DEEP_ARCHIVE",
+      objects: objects.filter(o => o.kind === "FASTQ" && effectiveClass(o) === "STANDARD" && o.modified && Date.parse(o.modified) < cutoff),
+    },
+    {
+      rule: "BAM with a CRAM alongside", action: "delete", target: null,
+      objects: objects.filter(o => crams.has(o.key.replace(/\.bam(\.bai)?$|\.bai$/i, "")) && /\.(bam|bai)$/i.test(o.key)),
+    },
+  ].map(c => ({
+    ...c,
+    bytes: c.objects.reduce((a, o) => a + o.size, 0),
+    current: monthlyCost(c.objects),
+    proposed: c.target ? monthlyCost(c.objects.map(o => ({ ...o, storageClass: c.target }))) : 0,
+    oneOff: c.target ? (c.objects.length / 1000) * S3_PRICES[c.target].transition : 0,
+  }));
+};
+
+// Per project and assay: paired FASTQs, a BAM per sample (half already
+// converted to CRAM), peaks and tracks for chromatin assays, and reports.
+const demoInventoryCache = {};
+const demoInventory = () => (demoInventoryCache.objects ??= SEED_PROJECTS.flatMap(p => {
+  const rnd = seededRandom(hashString(`s3/${p.id}`));
+  const day = d => new Date(Date.now() - d * 86400000).toISOString();
+  return p.assays.flatMap(assay => {
+    const dir = `${p.id}/${assay}`;
+    const age = 20 + Math.floor(rnd() * 380);
+    const chromatin = /ATAC|ChIP|Cut/.test(assay);
+    return Array.from({ length: 8 }, (_, i) => {
+      const s = `S${String(i + 1).padStart(2, "0")}`;
+      const cls = age > 200 && rnd() > 0.5 ? "GLACIER" : "STANDARD";
+      const bam = (3 + rnd() * 12) * GB;
+      return [
+        s3Object(`${dir}/fastq/${s}_R1.fastq.gz`, Math.round((2 + rnd() * 6) * GB), day(age), cls),
+        s3Object(`${dir}/fastq/${s}_R2.fastq.gz`, Math.round((2 + rnd() * 6) * GB), day(age), cls),
+        s3Object(`${dir}/align/${s}.bam`, Math.round(bam), day(age - 5), "STANDARD"),
+        s3Object(`${dir}/align/${s}.bam.bai`, Math.round(bam / 500), day(age - 5), "STANDARD"),
+        ...(i % 2 ? [s3Object(`${dir}/align/${s}.cram`, Math.round(bam * 0.45), day(age - 10), "INTELLIGENT_TIERING")] : []),
+        ...(chromatin ? [
+          s3Object(`${dir}/peaks/${s}_peaks.narrowPeak`, Math.round((5 + rnd() * 20) * 1024 ** 2), day(age - 12), "STANDARD"),
+          s3Object(`${dir}/tracks/${s}.bw`, Math.round((0.2 + rnd() * 0.8) * GB), day(age - 12), "STANDARD"),
+        ] : []),
+      ];
+    }).flat().concat(s3Object(`${dir}/reports/multiqc_report.html`, Math.round((3 + rnd() * 5) * 1024 ** 2), day(age - 14), "STANDARD"));
+  });
+}));
+
+// ── Alerts ────────────────────────────────────────────────────────────────────
+// Rules are checked and alerts sent by the alert backend (alert-engine.js, run
+// by mock-server.js or alerts-lambda.js), once for everyone and whether or not
+// the dashboard is open. The dashboard edits the rules and webhooks there, shows
+// the alert log and reports the QC data it imported, which the backend can't
+// see otherwise. Which alerts have been read is kept per browser.
+const ALERT_API = env("REACT_APP_ALERT_API") || "";
+const ALERT_READ_KEY = "bings.alertsRead";
+const ALERT_POLL_MS = 30000;
+const ALERT_SNOOZES = [["1 h", 3600000], ["1 d", 24 * 3600000], ["7 d", 7 * 24 * 3600000]];
+
+const fmtAlertTime = iso => new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+const alertId = e => `${e.key}/${e.firedAt}`;
+
+const ALERT_SEVERITIES = themed(() => ({ info: PALETTE.accent, warning: PALETTE.yellow, critical: PALETTE.red }));
+
+const anyAssay = r => (r.assay === "*" ? "" : `${r.assay} `);
+const ALERT_KINDS = {
+  metric: {
+    label: "Metric threshold", defaults: { assay: "*", metric: "mapped", op: "<", value: 70 },
+    describe: r => `${METRICS[r.metric]?.label || r.metric} ${r.op} ${r.value} on any ${anyAssay(r)}sample`,
+  },
+  qcFail: { label: "QC FAIL", defaults: { assay: "*" }, describe: r => `Any ${anyAssay(r)}sample graded FAIL` },
+  jobFailed: {
+    label: "Pipeline step failed", defaults: { count: 2 },
+    describe: r => `A pipeline step failed ${r.count === 1 ? "" : r.count === 2 ? "twice" : `${r.count} times`}`.trim(),
+  },
+  dailySpend: { label: "Daily spend", defaults: { value: 100 }, describe: r => `A project's daily spend > ${fmtUsd(r.value)}` },
+};
+
+const WEBHOOK_TYPES = {
+  slack: "Slack (incoming webhook)",
+  teams: "Microsoft Teams",
+  generic: "Generic JSON",
+};
+
+const METRIC_LABELS = Object.fromEntries(Object.entries(METRICS).map(([k, m]) => [k, m.label]));
+
+// Graded samples as the backend checks them: status, failed metrics and values.
+const qcSnapshot = (project, assay, graded) => ({
+  project, assay,
+  samples: graded.map(s => ({
+    id: s.id, status: s.qc.status, failed: s.qc.failed,
+    ...Object.fromEntries(Object.keys(METRICS).filter(k => s[k] != null).map(k => [k, s[k]])),
+  })),
+});
+
+// body is an object or an already serialized JSON string.
+const alertRequest = async (url, method, path, body) => {
+  const res = await fetch(`${url.replace(/\/$/, "")}/alerts${path ? `/${path}` : ""}`, {
+    method,
+    headers: { ...(body == null ? {} : { "Content-Type": "application/json" }), ...authHeaders() },
+    body: body == null ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+  return json;
+};
+
+// Polls GET /alerts -> { rules, hooks, log, snoozed }. qcReport and costReport are
+// bodies for POST /alerts/qc and /alerts/costs, sent whenever they change.
+// call(method, path, body) resolves to the response, or null after an error.
+const useAlertService = (url, qcReport, costReport) => {
+  const [state, setState] = useState({ url: null, data: null, error: null });
+  const [refresh, setRefresh] = useState(0);
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+    const load = () => alertRequest(url, "GET", "")
+      .then(data => !cancelled && setState({ url, data, error: null }))
+      .catch(e => !cancelled && setState(s => ({ url, data: s.url === url ? s.data : null, error: `Alert service: ${e.message}` })));
+    load();
+    const timer = setInterval(load, ALERT_POLL_MS);
+    return () => { cancelled = true; clearInterval(timer); };
+  }, [url, refresh]);
+  useEffect(() => {
+    if (!url || !qcReport) return;
+    alertRequest(url, "POST", "qc", qcReport)
+      .then(() => setRefresh(r => r + 1))
+      .catch(e => setState(s => ({ ...s, error: `Alert service: QC not reported, ${e.message}` })));
+  }, [url, qcReport]);
+  useEffect(() => {
+    if (!url || !costReport) return;
+    alertRequest(url, "POST", "costs", costReport)
+      .then(() => setRefresh(r => r + 1))
+      .catch(e => setState(s => ({ ...s, error: `Alert service: costs not reported, ${e.message}` })));
+  }, [url, costReport]);
+  const call = (method, path, body) => alertRequest(url, method, path, body)
+    .then(out => {
+      setState(s => (out.rules ? { url, data: out, error: null } : { ...s, error: null }));
+      return out;
+    })
+    .catch(e => {
+      setState(s => ({ ...s, error: `Alert service: ${e.message}` }));
+      return null;
+    });
+  const current = url && state.url === url;
+  return { state: current ? state.data : null, error: current ? state.error : null, call };
+};
+
+// ── Sub-components ─────────────────────────────────────────────────────────────
+const Tag = ({ label, color }) => (
+  <span style={{
+    background: color + "22", color, border: `1px solid ${color}55`,
+    borderRadius: 4, padding: "2px 8px", fontSize: 11, fontFamily: "monospace",
+    letterSpacing: "0.05em",
+  }}>{label}</span>
+);
+
+// Colored by a QC profile `rule` when given, otherwise by the good/warn cutoffs.
+const StatCard = ({ label, value, unit, good, warn, rule }) => {
+  const color = value == null ? PALETTE.muted
+    : rule ? gradeColor(parseFloat(value), rule) : statusColor(parseFloat(value), warn, good);
+  return (
+    <div style={{
+      background: PALETTE.panel, border: `1px solid ${PALETTE.border}`,
+      borderRadius: 8, padding: "14px 16px", flex: 1, minWidth: 120,
+    }}>
+      <div style={{ color: PALETTE.textDim, fontSize: 11, marginBottom: 6, letterSpacing: "0.08em", textTransform: "uppercase" }}>{label}</div>
+      <div style={{ color, fontSize: 26, fontFamily: "'Space Mono', monospace", fontWeight: 700 }}>
+        {fmt(value)}{value != null && <span style={{ fontSize: 13, marginLeft: 3, opacity: 0.7 }}>{unit}</span>}
+      </div>
+    </div>
+  );
+};
+
+const DAG_NODE = { width: 150, height: 40, gapX: 36, gapY: 10 };
+
+// The pipeline's steps as a DAG, one column per dependency level; edges take the
+// state color of the step they come from.
+const PipelineTracker = ({ pipeline, jobs }) => {
+  const [open, setOpen] = useState(null);
+  const openJobs = jobs.filter(j => j.step === open).sort((a, b) => a.sample.localeCompare(b.sample));
+  const { steps } = pipeline;
+  const { at, cols, rows } = dagLayout(steps);
+  const x = name => at[name].col * (DAG_NODE.width + DAG_NODE.gapX);
+  const y = name => at[name].row * (DAG_NODE.height + DAG_NODE.gapY);
+  const states = Object.fromEntries(steps.map(s => [s.name, stepState(jobs.filter(j => j.step === s.name))]));
+  const width = cols * (DAG_NODE.width + DAG_NODE.gapX) - DAG_NODE.gapX;
+  const height = rows * (DAG_NODE.height + DAG_NODE.gapY) - DAG_NODE.gapY;
+  if (!steps.length) return <div style={{ color: PALETTE.textDim, fontSize: 11, marginTop: 8 }}>No pipeline is defined for this assay.</div>;
+  return (
+    <div>
+      <div style={{ overflowX: "auto", marginTop: 8 }}>
+        <div style={{ position: "relative", width, height }}>
+          <svg width={width} height={height} style={{ position: "absolute", left: 0, top: 0 }}>
+            {steps.flatMap(s => s.after.map(d => {
+              const [x1, y1, x2, y2] = [x(d) + DAG_NODE.width, y(d) + DAG_NODE.height / 2, x(s.name), y(s.name) + DAG_NODE.height / 2];
+              const mid = (x1 + x2) / 2;
+              return (
+                <path key={`${d}>${s.name}`} d={`M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x2},${y2}`} fill="none"
+                  stroke={states[d] === "queued" ? PALETTE.border : JOB_COLORS[states[d]] + "88"} strokeWidth={1.5} />
+              );
+            }))}
+          </svg>
+          {steps.map(s => {
+            const stepJobs = jobs.filter(j => j.step === s.name);
+            const state = states[s.name];
+            const color = JOB_COLORS[state];
+            const done = stepJobs.filter(j => j.state === "succeeded").length;
+            const active = state === "running" || state === "retrying";
+            const tool = s.tool && s.tool.toLowerCase() !== s.name.toLowerCase() ? `${s.tool} ` : "";
+            return (
+              <div key={s.name} onClick={() => setOpen(open === s.name ? null : s.name)}
+                title={`${s.name}${s.tool ? ` · ${s.tool}` : ""}${s.version ? ` ${s.version}` : ""}: ${state}${s.after.length ? `\nafter ${s.after.join(", ")}` : ""}`} style={{
+                  position: "absolute", left: x(s.name), top: y(s.name), width: DAG_NODE.width, height: DAG_NODE.height, boxSizing: "border-box",
+                  padding: "4px 10px", borderRadius: 4, fontSize: 11, fontFamily: "monospace", cursor: "pointer",
+                  display: "flex", flexDirection: "column", justifyContent: "center", overflow: "hidden",
+                  background: state === "queued" ? PALETTE.border : color + "22",
+                  border: `1px solid ${open === s.name || active ? color : state === "queued" ? PALETTE.border : color + "44"}`,
+                  color: state === "queued" ? PALETTE.muted : color,
+                  boxShadow: active ? `0 0 8px ${color}66` : "none",
+                }}>
+                <div style={{ whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                  {active && <span style={{ marginRight: 4, animation: "spin 1s linear infinite", display: "inline-block" }}>⟳</span>}
+                  {state === "succeeded" && "✓ "}
+                  {state === "failed" && "✕ "}
+                  {s.name}
+                  {stepJobs.length > 0 && <span style={{ marginLeft: 6, opacity: 0.7 }}>{done}/{stepJobs.length}</span>}
+                </div>
+                {s.version && (
+                  <div style={{ fontSize: 9, color: PALETTE.textDim, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{tool}v{s.version}</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      {open && (
+        <div style={{ marginTop: 10, borderTop: `1px solid ${PALETTE.border}`, paddingTop: 8 }}>
+          {openJobs.length === 0 && <div style={{ color: PALETTE.textDim, fontSize: 11 }}>No jobs reported for {open} yet.</div>}
+          {openJobs.map(j => (
+            <div key={j.sample} style={{ display: "flex", gap: 12, fontSize: 11, fontFamily: "monospace", padding: "2px 0" }}>
+              <span style={{ color: PALETTE.accent, width: 60 }}>{j.sample}</span>
+              <span style={{ color: JOB_COLORS[j.state], width: 80 }}>{j.state}</span>
+              <span style={{ color: PALETTE.textDim }}>{fmtTime(j.startedAt)} → {fmtTime(j.endedAt)}</span>
+              {j.logUrl && <a href={j.logUrl} target="_blank" rel="noreferrer" style={{ color: PALETTE.accent }}>log ↗</a>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PipelineImport = ({ assay, onImport, onReset }) => {
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const load = async fileList => {
+    const files = [...fileList];
+    if (!files.length) return;
+    try {
+      onImport(await parsePipelineFiles(files, assay));
+      setError(null);
+    } catch (e) {
+      setError(`Could not load ${e.message}`);
+    }
+  };
+  const buttonStyle = color => ({
+    padding: "4px 10px", borderRadius: 4, border: `1px solid ${color}55`, background: "transparent",
+    color, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  return (
+    <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 6 }}>
+      {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+      <button onClick={() => inputRef.current.click()} style={buttonStyle(PALETTE.accent)}
+        title={`Pipeline config (JSON / YAML), or for ${assay}: a Nextflow trace.txt (with software_versions.yml) or a Snakemake --detailed-summary`}>
+        Load definition…
+      </button>
+      {onReset && <button onClick={onReset} style={buttonStyle(PALETTE.red)}>Reset</button>}
+      <input ref={inputRef} type="file" multiple accept=".json,.yaml,.yml,.txt,.tsv" style={{ display: "none" }}
+        onChange={e => { load(e.target.files); e.target.value = ""; }} />
+    </div>
+  );
+};
+
+const JobMatrix = ({ samples, steps, jobs, selected, onSelect }) => {
+  const byKey = new Map(jobs.map(j => [`${j.sample}/${j.step}`, j]));
+  const cell = 26;
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ borderCollapse: "separate", borderSpacing: 3 }}>
+        <thead>
+          <tr>
+            <th />
+            {steps.map(st => (
+              <th key={st} style={{ color: PALETTE.textDim, fontSize: 10, fontWeight: 400, padding: "0 4px", whiteSpace: "nowrap", textAlign: "center" }}>{st}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {samples.map(s => (
+            <tr key={s.id}>
+              <td style={{ color: PALETTE.accent, fontFamily: "monospace", fontSize: 11, paddingRight: 8 }}>{s.id}</td>
+              {steps.map(st => {
+                const job = byKey.get(`${s.id}/${st}`);
+                const color = job ? JOB_COLORS[job.state] : PALETTE.border;
+                const isSel = selected?.sample === s.id && selected?.step === st;
+                return (
+                  <td key={st} onClick={() => job && onSelect(isSel ? null : { sample: s.id, step: st })}
+                    title={job ? `${s.id} · ${st}: ${job.state}` : `${s.id} · ${st}: not scheduled`}
+                    style={{
+                      height: cell, minWidth: cell, borderRadius: 3, textAlign: "center", fontSize: 11,
+                      cursor: job ? "pointer" : "default", color,
+                      background: job ? color + (job.state === "queued" ? "11" : "33") : "transparent",
+                      border: `1px solid ${isSel ? PALETTE.text : job ? color + "66" : PALETTE.border}`,
+                    }}>
+                    {job?.state === "failed" ? "✕" : job?.state === "retrying" ? "↻" : job?.attempts > 1 ? "·" : ""}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ display: "flex", gap: 12, marginTop: 8 }}>
+        {Object.entries(JOB_COLORS).map(([st, c]) => (
+          <span key={st} style={{ color: PALETTE.textDim, fontSize: 10 }}>
+            <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: 2, background: c, marginRight: 4 }} />{st}
+          </span>
+        ))}
+        <span style={{ color: PALETTE.textDim, fontSize: 10 }}>· = retried</span>
+      </div>
+    </div>
+  );
+};
+
+const JobDetail = ({ job, onClose }) => {
+  const [fetched, setFetched] = useState({ url: null, lines: null, error: null });
+  const url = job.logTail ? null : job.logUrl;
+
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+    fetch(url)
+      .then(res => (res.ok ? res.text() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(text => !cancelled && setFetched({ url, lines: text.trimEnd().split(/\r?\n/).slice(-LOG_TAIL_LINES), error: null }))
+      .catch(e => !cancelled && setFetched({ url, lines: null, error: e.message }));
+    return () => { cancelled = true; };
+  }, [url, job.state]);
+
+  const lines = job.logTail ? job.logTail.slice(-LOG_TAIL_LINES) : fetched.url === url ? fetched.lines : null;
+  const rows = [
+    ["State", job.state, JOB_COLORS[job.state]],
+    ["Exit code", job.exitCode ?? "—"],
+    ["Runtime", fmtDuration(jobRuntime(job))],
+    ["Retries", job.attempts ? job.attempts - 1 : "—"],
+    ["Started", fmtTime(job.startedAt)],
+    ["Ended", fmtTime(job.endedAt)],
+  ];
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${JOB_COLORS[job.state]}55`, borderRadius: 8, padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: 10 }}>
+        <span style={{ fontFamily: "monospace", color: PALETTE.accent, fontSize: 13 }}>{job.sample} · {job.step}</span>
+        <span style={{ color: PALETTE.textDim, fontSize: 11, marginLeft: 8 }}>{job.assay}</span>
+        <button onClick={onClose} style={{ marginLeft: "auto", background: "transparent", border: "none", color: PALETTE.muted, cursor: "pointer", fontSize: 14 }}>×</button>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 8, marginBottom: 10 }}>
+        {rows.map(([k, v, color = PALETTE.text]) => (
+          <div key={k}>
+            <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 2 }}>{k}</div>
+            <div style={{ fontFamily: "monospace", fontSize: 12, color }}>{v}</div>
+          </div>
+        ))}
+      </div>
+      {job.reason && <div style={{ color: PALETTE.red, fontSize: 11, marginBottom: 8 }}>⚠️ {job.reason}</div>}
+      <div style={{ display: "flex", justifyContent: "space-between", color: PALETTE.textDim, fontSize: 10, marginBottom: 4 }}>
+        <span>LOG · last {LOG_TAIL_LINES} lines</span>
+        {job.logUrl && <a href={job.logUrl} target="_blank" rel="noreferrer" style={{ color: PALETTE.accent }}>full log ↗</a>}
+      </div>
+      <pre style={{
+        background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, padding: 10,
+        fontSize: 10, color: PALETTE.text, maxHeight: 220, overflow: "auto", whiteSpace: "pre-wrap",
+      }}>
+        {lines ? lines.join("\n") || "(empty)" : fetched.error && fetched.url === url ? `Could not load log: ${fetched.error}` : url ? "loading…" : "No log available."}
+      </pre>
+    </div>
+  );
+};
+
+// Header indicator for the job feed connection.
+const CONNECTION_LABELS = themed(() => ({
+  live: ["LIVE", PALETTE.green], mock: ["DEMO FEED", PALETTE.muted], connecting: ["CONNECTING", PALETTE.yellow],
+  stale: ["STALE", PALETTE.orange], disconnected: ["DISCONNECTED", PALETTE.red],
+}));
+
+const ConnectionStatus = ({ connection }) => {
+  const [label, color] = CONNECTION_LABELS[connection.state] || CONNECTION_LABELS.connecting;
+  const since = connection.lastUpdate ? ` · updated ${fmtTime(new Date(connection.lastUpdate).toISOString())}` : "";
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6 }} title={(connection.error || "") + since}>
+      <div style={{ width: 7, height: 7, borderRadius: "50%", background: color, animation: connection.state === "live" ? "pulse 2s infinite" : "none" }} />
+      <span style={{ color, fontSize: 11, fontFamily: "monospace" }}>{label} · {AWS_REGION}</span>
+    </div>
+  );
+};
+
+const RADAR_OVERLAY_COLORS = themed(() => [PALETTE.accent, PALETTE.purple, PALETTE.yellow, PALETTE.orange, PALETTE.blue, PALETTE.violet, PALETTE.green, PALETTE.red]);
+const RADAR_MAX_OVERLAY = RADAR_OVERLAY_COLORS.length;
+
+// One sample is drawn in its QC status color; several are overlaid in distinct colors.
+const RadarSample = ({ samples, assay }) => {
+  const shown = samples.slice(0, RADAR_MAX_OVERLAY);
+  const data = ASSAY_SCHEMAS[assay].metrics.map(m => {
+    const def = metricDef(assay, m);
+    const row = { metric: def.lowerIsBetter ? `Low ${def.label}` : def.label, full: 100 };
+    shown.forEach((s, i) => { row[`series${i}`] = radarValue(s[m], def); });
+    return row;
+  });
+  const colorOf = (s, i) => (shown.length === 1 ? QC_COLORS[s.qc.status] : RADAR_OVERLAY_COLORS[i]);
+  const missing = shown
+    .map(s => [s.id, ASSAY_SCHEMAS[assay].metrics.filter(m => s[m] == null).map(m => metricDef(assay, m).label)])
+    .filter(([, labels]) => labels.length);
+  return (
+    <>
+      <ResponsiveContainer width="100%" height={shown.length > 1 ? 240 : 200}>
+        <RadarChart data={data}>
+          <PolarGrid stroke={PALETTE.border} />
+          <PolarAngleAxis dataKey="metric" tick={{ fill: PALETTE.textDim, fontSize: 10 }} />
+          {shown.map((s, i) => (
+            <Radar key={s.id} name={s.id} dataKey={`series${i}`} stroke={colorOf(s, i)}
+              fill={colorOf(s, i)} fillOpacity={shown.length > 1 ? 0.05 : 0.15} strokeWidth={2} />
+          ))}
+          {shown.length > 1 && <Legend wrapperStyle={{ fontSize: 10 }} />}
+        </RadarChart>
+      </ResponsiveContainer>
+      {missing.map(([id, labels]) => (
+        <div key={id} style={{ color: PALETTE.muted, fontSize: 10 }}>n/a{shown.length > 1 ? ` for ${id}` : ""}: {labels.join(", ")}</div>
+      ))}
+    </>
+  );
+};
+
+const MetricBarChart = ({ samples, assay, metric, rule }) => {
+  const def = metricDef(assay, metric);
+  const color = ASSAY_COLORS[assay];
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>{def.title} ({assay})</div>
+      <ResponsiveContainer width="100%" height={160}>
+        <BarChart data={samples} barSize={18}>
+          <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
+          <XAxis dataKey="id" tick={{ fill: PALETTE.muted, fontSize: 10 }} />
+          <YAxis domain={def.unit === "%" ? [0, 100] : [0, "auto"]} tick={{ fill: PALETTE.muted, fontSize: 10 }} />
+          <Tooltip contentStyle={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }} />
+          <defs>{statusHatches()}</defs>
+          {rule && <ReferenceLine y={rule.pass} stroke={PALETTE.green} strokeDasharray="4 4" />}
+          <Bar dataKey={metric} name={def.label} radius={[3,3,0,0]}>
+            {samples.map((s, i) => <Cell key={i} fill={gradeFill(gradeMetric(s[metric], rule), color)} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+      <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>
+        {rule
+          ? `— Dashed line: ${def.label} ${rule.dir === "max" ? "≤" : "≥"} ${rule.pass}${def.unit || ""} · ${def.source}`
+          : `— Not scored for ${assay} · ${def.source}`}
+      </div>
+    </div>
+  );
+};
+
+const MetricScatter = ({ samples, assay, x, y }) => {
+  const dx = metricDef(assay, x), dy = metricDef(assay, y);
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>{dx.label.toUpperCase()} vs {dy.label.toUpperCase()}</div>
+      <ResponsiveContainer width="100%" height={160}>
+        <ScatterChart>
+          <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
+          <XAxis dataKey={x} name={dx.label} type="number" tick={{ fill: PALETTE.muted, fontSize: 10 }} label={{ value: dx.label, position: "insideBottom", fill: PALETTE.muted, fontSize: 10, dy: 10 }} />
+          <YAxis dataKey={y} name={dy.label} type="number" domain={["auto", "auto"]} tick={{ fill: PALETTE.muted, fontSize: 10 }} />
+          <Tooltip cursor={{ stroke: PALETTE.border }} contentStyle={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }} />
+          <Scatter data={samples.filter(s => s[x] != null && s[y] != null)} shape={(props) => {
+            const { cx, cy, payload } = props;
+            return <StatusMark status={payload.qc.status} cx={cx} cy={cy} fill={QC_COLORS[payload.qc.status]} />;
+          }} />
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// series: [{ id, points, color }]. One FastQC sample also shows its quartile and
+// 10–90% whiskers and one GC curve its theoretical distribution.
+const CurveChart = ({ kind, assay, series }) => {
+  const def = CURVE_KINDS[kind];
+  const shown = series.filter(s => s.points?.length).map(s => ({ ...s, points: def.normalize ? normalizeCurve(s.points) : s.points }));
+  const single = shown.length === 1 ? shown[0] : null;
+  const spread = kind === "baseQuality" && single?.points.some(p => p.q1 != null);
+  const ladder = kind === "insertSize" && NUCLEOSOME_ASSAYS.includes(assay);
+  const axisLabel = { fill: PALETTE.muted, fontSize: 10 };
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>{def.title}</div>
+      {shown.length === 0 ? (
+        <div style={{ color: PALETTE.textDim, fontSize: 11, height: 180 }}>No {def.source} data for the selected samples.</div>
+      ) : (
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart>
+            <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
+            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={axisLabel}
+              label={{ value: def.x, position: "insideBottom", ...axisLabel, dy: 10 }} />
+            <YAxis domain={kind === "baseQuality" ? [0, 41] : [0, "auto"]} tick={axisLabel} />
+            <Tooltip contentStyle={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }}
+              labelFormatter={x => `${def.x}: ${x}`} formatter={v => (v == null ? "n/a" : +v.toFixed(2))} />
+            {kind === "baseQuality" && [[0, 20, PALETTE.red], [20, 28, PALETTE.yellow], [28, 41, PALETTE.green]].map(([y1, y2, c]) => (
+              <ReferenceArea key={y1} y1={y1} y2={y2} fill={c} fillOpacity={0.06} stroke="none" />
+            ))}
+            {ladder && <ReferenceArea x1={0} x2={100} fill={PALETTE.accent} fillOpacity={0.06} stroke="none" label={{ value: "NFR", fill: PALETTE.textDim, fontSize: 9, position: "insideTop" }} />}
+            {ladder && [1, 2, 3].map(n => (
+              <ReferenceLine key={n} x={n * NUCLEOSOME_BP} stroke={PALETTE.muted} strokeDasharray="3 3"
+                label={{ value: `${n}N`, fill: PALETTE.textDim, fontSize: 9, position: "insideTopRight" }} />
+            ))}
+            {kind === "tss" && <ReferenceLine x={0} stroke={PALETTE.muted} strokeDasharray="3 3" />}
+            {spread && [["p10", "2 4"], ["q1", "5 3"], ["q3", "5 3"], ["p90", "2 4"]].map(([k, dash]) => (
+              <Line key={k} data={single.points} dataKey={k} name={k} stroke={single.color} strokeOpacity={0.5} strokeDasharray={dash} dot={false} isAnimationActive={false} />
+            ))}
+            {spread && <Line data={single.points} dataKey="median" name="median" stroke={single.color} strokeOpacity={0.7} dot={false} isAnimationActive={false} />}
+            {kind === "gc" && single && (
+              <Line data={theoreticalGc(single.points)} dataKey="y" name="theoretical" stroke={PALETTE.muted} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+            )}
+            {shown.map(s => (
+              <Line key={s.id} data={s.points} dataKey="y" name={s.id} stroke={s.color} strokeWidth={2} dot={false} connectNulls isAnimationActive={false} />
+            ))}
+            {shown.length > 1 && <Legend wrapperStyle={{ fontSize: 10 }} />}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+      <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>
+        — {def.y} · {def.source}
+        {spread && " · mean (bold), median, quartiles and 10th/90th percentiles"}
+        {kind === "gc" && single && " · dashed: theoretical (normal fit)"}
+        {ladder && ` · NFR < 100 bp, nucleosome ladder every ~${NUCLEOSOME_BP} bp`}
+      </div>
+    </div>
+  );
+};
+
+const SampleCurves = ({ samples, assay, curvesOf, source, demo, onLoad }) => {
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const shown = samples.slice(0, RADAR_MAX_OVERLAY);
+  const colorOf = (s, i) => (shown.length === 1 ? QC_COLORS[s.qc.status] : RADAR_OVERLAY_COLORS[i]);
+  const curves = shown.map(s => curvesOf(s));
+  const load = async fileList => {
+    const files = [...fileList];
+    if (!files.length) return;
+    try {
+      onLoad({ curves: await parseCurveFiles(files), source: files.map(f => f.name).join(" + ") });
+      setError(null);
+    } catch (e) {
+      setError(`Could not load ${e.message}`);
+    }
+  };
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+        <span style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>
+          QC CURVES · {shown.length === 1 ? shown[0].id : `${samples.length} samples${samples.length > shown.length ? ` · first ${shown.length} shown` : ""}`}
+        </span>
+        <span style={{ fontFamily: "monospace", fontSize: 10, color: demo ? PALETTE.yellow : PALETTE.textDim }}>{demo ? "demo curves (random)" : source || "no curves imported"}</span>
+        {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+        {onLoad && (
+          <button onClick={() => inputRef.current.click()} title="fastqc_data.txt, Picard *.insert_size_metrics, deepTools computeMatrix (.gz) or plotProfile --outFileNameData" style={{
+            marginLeft: "auto", padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+            color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+          }}>Load tool outputs…</button>
+        )}
+        <input ref={inputRef} type="file" multiple style={{ display: "none" }}
+          onChange={e => { load(e.target.files); e.target.value = ""; }} />
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 14 }}>
+        {ASSAY_SCHEMAS[assay].curves.map(kind => (
+          <CurveChart key={kind} kind={kind} assay={assay}
+            series={shown.map((s, i) => ({ id: s.id, points: curves[i][kind], color: colorOf(s, i) }))} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const ThresholdEditor = ({ assay, profiles, onChange, onSave, onReset, dirty }) => {
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const profile = profiles[assay] || {};
+  const unused = [...ASSAY_SCHEMAS[assay].metrics, ...CONTAMINATION_METRICS].filter(m => !profile[m]);
+  const problems = Object.fromEntries(Object.entries(profile).map(([m, rule]) => [m, ruleProblem(rule)]).filter(([, p]) => p));
+  const invalid = Object.values(profiles).some(pr => Object.values(pr).some(ruleProblem));
+  const setRule = (metric, rule) => {
+    const next = { ...profile };
+    if (rule) next[metric] = rule; else delete next[metric];
+    onChange({ ...profiles, [assay]: next });
+  };
+  const importJson = async file => {
+    try {
+      onChange({ ...profiles, ...validateProfiles(JSON.parse(await file.text())) });
+      setError(null);
+    } catch (e) {
+      setError(`Could not load ${file.name}: ${e.message}`);
+    }
+  };
+  const inputStyle = {
+    width: 80, background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4,
+    color: PALETTE.text, padding: "4px 6px", fontFamily: "monospace", fontSize: 11,
+  };
+  const buttonStyle = color => ({
+    padding: "5px 12px", borderRadius: 4, border: `1px solid ${color}55`, background: "transparent",
+    color, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12 }}>
+        <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>QC THRESHOLD PROFILE · {assay}</div>
+        {dirty && <span style={{ color: PALETTE.yellow, fontSize: 10 }}>● unsaved</span>}
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          <button onClick={onSave} disabled={invalid} title={invalid ? "Fix the highlighted cutoffs first" : undefined}
+            style={{ ...buttonStyle(PALETTE.green), opacity: invalid ? 0.4 : 1, cursor: invalid ? "default" : "pointer" }}>Save</button>
+          <button onClick={onReset} style={buttonStyle(PALETTE.muted)}>Reset {assay}</button>
+          <button onClick={() => downloadFile("qc-profiles.json", JSON.stringify(profiles, null, 2))} style={buttonStyle(PALETTE.accent)}>Export JSON</button>
+          <button onClick={() => inputRef.current.click()} style={buttonStyle(PALETTE.accent)}>Load JSON…</button>
+          <input ref={inputRef} type="file" accept=".json" style={{ display: "none" }}
+            onChange={e => { if (e.target.files[0]) importJson(e.target.files[0]); e.target.value = ""; }} />
+        </div>
+      </div>
+      {error && <div style={{ color: PALETTE.red, fontSize: 11, marginBottom: 8 }}>{error}</div>}
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+            {["Metric","Direction","Pass","Warn",""].map(h => (
+              <th key={h} style={{ padding: "8px 10px", textAlign: "left", color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", fontWeight: 400 }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(profile).map(([metric, rule]) => (
+            <tr key={metric} style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+              <td style={{ padding: "6px 10px", color: PALETTE.text }}>
+                {METRICS[metric]?.label || metric}
+                {problems[metric] && <div style={{ color: PALETTE.red, fontSize: 10 }}>✕ {problems[metric]}</div>}
+              </td>
+              <td style={{ padding: "6px 10px" }}>
+                <select value={rule.dir} onChange={e => setRule(metric, { ...rule, dir: e.target.value })} style={inputStyle}>
+                  <option value="min">≥ (min)</option>
+                  <option value="max">≤ (max)</option>
+                </select>
+              </td>
+              {["pass", "warn"].map(k => (
+                <td key={k} style={{ padding: "6px 10px" }}>
+                  <input type="number" step="any" value={rule[k] ?? ""} aria-invalid={!!problems[metric]}
+                    style={{ ...inputStyle, borderColor: problems[metric] ? PALETTE.red : PALETTE.border }}
+                    onChange={e => setRule(metric, { ...rule, [k]: e.target.value === "" ? null : parseFloat(e.target.value) })} />
+                </td>
+              ))}
+              <td style={{ padding: "6px 10px", textAlign: "right" }}>
+                <button onClick={() => setRule(metric, null)} style={buttonStyle(PALETTE.red)}>remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {unused.length > 0 && (
+        <select value="" onChange={e => setRule(e.target.value, { dir: "min", pass: 0, warn: 0 })}
+          style={{ ...inputStyle, width: "auto", marginTop: 10 }}>
+          <option value="">+ add metric…</option>
+          {unused.map(m => <option key={m} value={m}>{METRICS[m].label}</option>)}
+        </select>
+      )}
+      <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 10, lineHeight: 1.6 }}>
+        A sample is FAIL if any metric misses its warn cutoff, WARN if any misses its pass cutoff. Metrics the
+        sample doesn't report are not scored. Saved profiles are kept in this browser; use Export to share them.
+      </div>
+    </div>
+  );
+};
+
+const JobApiSettings = ({ endpoint, connection, onChange }) => {
+  const [draft, setDraft] = useState(endpoint);
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 10, padding: "8px 12px", borderRadius: 6, border: `1px solid ${PALETTE.border}` }}>
+      <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>JOB API</span>
+      <input value={draft} onChange={e => setDraft(e.target.value)} placeholder="http://localhost:4000 (empty = built-in demo feed)"
+        onKeyDown={e => e.key === "Enter" && onChange(draft.trim())}
+        style={{
+          flex: 1, background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4,
+          color: PALETTE.text, padding: "4px 8px", fontFamily: "monospace", fontSize: 11,
+        }} />
+      <button onClick={() => onChange(draft.trim())} style={{
+        padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+        color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+      }}>Connect</button>
+      {connection.error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{connection.error}</span>}
+    </div>
+  );
+};
+
+const COST_PRESETS = [["7d", 7], ["30d", 30], ["90d", 90]];
+
+const CostMonitor = ({ items, range, budget }) => {
+  const byCategory = costBy(items, "category");
+  const savings = spotSavings(items);
+  const budgetForRange = budget ? (budget * daysBetween(range.from, range.to)) / 30 : null;
+  const total = sumCost(items);
+  return (
+    <div style={{ marginTop: "auto", padding: "12px 4px", borderTop: `1px solid ${PALETTE.border}` }}>
+      <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", marginBottom: 8 }}>COST MONITOR · {daysBetween(range.from, range.to)}d</div>
+      {["Compute", "Storage", "Transfer"].map(k => (
+        <div key={k} style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+          <span style={{ color: PALETTE.textDim, fontSize: 11 }}>{k}</span>
+          <span style={{ color: PALETTE.yellow, fontFamily: "monospace", fontSize: 11 }}>{fmtUsd(byCategory[k] || 0)}</span>
+        </div>
+      ))}
+      {budgetForRange != null && total > budgetForRange && (
+        <div style={{ color: PALETTE.red, fontSize: 10, marginTop: 4 }}>⚠ {fmtUsd(total - budgetForRange)} over budget</div>
+      )}
+      {savings != null && (
+        <div style={{ marginTop: 8, padding: "6px 8px", background: PALETTE.green + "11", border: `1px solid ${PALETTE.green}33`, borderRadius: 4 }}>
+          <div style={{ color: PALETTE.green, fontSize: 10 }}>💡 Spot savings: ~{Math.round(savings * 100)}%</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// usage: { [projectId]: { [assay]: { samples, gb, estimated } } }
+const CostPanel = ({ items, project, range, onRange, budget, onBudget, usage, source, demo, error, endpoint, onEndpoint, onImport, onClearFile }) => {
+  const [draft, setDraft] = useState(endpoint);
+  const [importError, setImportError] = useState(null);
+  const inputRef = useRef(null);
+  const load = async file => {
+    try {
+      onImport({ items: await parseCostFile(file), source: file.name });
+      setImportError(null);
+    } catch (e) {
+      setImportError(`Could not import ${e.message}`);
+    }
+  };
+
+  const days = daysBetween(range.from, range.to);
+  const budgetForRange = budget ? (budget * days) / 30 : null;
+  const projectItems = items.filter(it => it.project === project.id);
+  const daily = costBy(projectItems, "date");
+  const series = Array.from({ length: days }, (_, i) => isoDay(Date.parse(range.from) + i * 86400000))
+    .reduce((acc, date) => [...acc, { date, daily: daily[date] || 0, cumulative: (acc.at(-1)?.cumulative || 0) + (daily[date] || 0) }], []);
+  const running = series.at(-1)?.cumulative || 0;
+  const over = budgetForRange != null && running > budgetForRange;
+  const totals = projectId => {
+    const u = Object.values(usage[projectId] || {});
+    const samples = u.reduce((a, x) => a + x.samples, 0), gb = u.reduce((a, x) => a + (x.gb || 0), 0);
+    return { samples, gb, estimated: u.some(x => x.estimated) };
+  };
+  const byAssay = costBy(projectItems, "assay");
+  const projects = [...new Set([...Object.keys(usage), ...items.map(it => it.project)])];
+
+  const cell = { padding: "6px 10px", fontFamily: "monospace", fontSize: 11, color: PALETTE.text, textAlign: "right" };
+  const head = { padding: "6px 10px", color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", fontWeight: 400, textAlign: "right" };
+  const inputStyle = { background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text, padding: "4px 6px", fontFamily: "monospace", fontSize: 11 };
+  const buttonStyle = active => ({
+    padding: "4px 10px", borderRadius: 4, border: `1px solid ${active ? PALETTE.accent : PALETTE.border}`, background: active ? PALETTE.accent + "22" : "transparent",
+    color: active ? PALETTE.accent : PALETTE.muted, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  const perUnit = (cost, n) => (n ? fmtUsd(cost / n) : "n/a");
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div
+        onDragOver={e => e.preventDefault()}
+        onDrop={e => { e.preventDefault(); if (e.dataTransfer.files[0]) load(e.dataTransfer.files[0]); }}
+        style={{ display: "flex", alignItems: "center", gap: 10, padding: "8px 12px", borderRadius: 6, border: `1px dashed ${PALETTE.border}`, flexWrap: "wrap" }}>
+        <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>COST DATA</span>
+        <span style={{ fontFamily: "monospace", fontSize: 11, color: demo ? PALETTE.yellow : PALETTE.text }}>{source}</span>
+        {(error || importError) && <span style={{ color: PALETTE.red, fontSize: 11 }}>{importError || error}</span>}
+        <span style={{ marginLeft: "auto", color: PALETTE.textDim, fontSize: 10 }}>drop a CUR .csv / Cost Explorer .json or</span>
+        <button onClick={() => inputRef.current.click()} style={buttonStyle(false)}>Import…</button>
+        {onClearFile && <button onClick={onClearFile} style={buttonStyle(false)}>Clear</button>}
+        <input ref={inputRef} type="file" accept=".csv,.json" style={{ display: "none" }}
+          onChange={e => { if (e.target.files[0]) load(e.target.files[0]); e.target.value = ""; }} />
+        <input value={draft} onChange={e => setDraft(e.target.value)} onKeyDown={e => e.key === "Enter" && onEndpoint(draft.trim())}
+          placeholder="cost API URL (optional)" style={{ ...inputStyle, width: 220 }} />
+        <button onClick={() => onEndpoint(draft.trim())} style={buttonStyle(false)}>Connect</button>
+      </div>
+
+      <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12, flexWrap: "wrap" }}>
+          <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>SPEND · {project.id} · USD</div>
+          {over && <span style={{ color: PALETTE.red, fontSize: 11 }}>⚠ over budget by {fmtUsd(running - budgetForRange)}</span>}
+          <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 6 }}>
+            {COST_PRESETS.map(([label, n]) => {
+              const preset = costRangeFor(n);
+              return <button key={label} onClick={() => onRange(preset)} style={buttonStyle(preset.from === range.from && preset.to === range.to)}>{label}</button>;
+            })}
+            <input type="date" value={range.from} max={range.to} onChange={e => e.target.value && onRange({ ...range, from: e.target.value })} style={inputStyle} />
+            <span style={{ color: PALETTE.textDim }}>→</span>
+            <input type="date" value={range.to} min={range.from} onChange={e => e.target.value && onRange({ ...range, to: e.target.value })} style={inputStyle} />
+            <span style={{ color: PALETTE.textDim, fontSize: 10, marginLeft: 6 }}>BUDGET $/month</span>
+            <input type="number" min="0" step="any" value={budget ?? ""} placeholder="none" onChange={e => onBudget(e.target.value === "" ? null : +e.target.value)}
+              style={{ ...inputStyle, width: 80 }} />
+          </div>
+        </div>
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart data={series}>
+            <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
+            <XAxis dataKey="date" tickFormatter={fmtDate} tick={{ fill: PALETTE.muted, fontSize: 10 }} minTickGap={20} />
+            <YAxis tick={{ fill: PALETTE.muted, fontSize: 10 }} />
+            <Tooltip contentStyle={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }} formatter={(v, name) => [fmtUsd(v), name]} />
+            <Legend wrapperStyle={{ fontSize: 10 }} />
+            {budgetForRange != null && (
+              <ReferenceLine y={budgetForRange} stroke={PALETTE.red} strokeDasharray="4 4" ifOverflow="extendDomain"
+                label={{ value: `budget ${fmtUsd(budgetForRange)}`, fill: PALETTE.red, fontSize: 10, position: "insideTopLeft" }} />
+            )}
+            <Line type="monotone" dataKey="daily" name="daily" stroke={PALETTE.accent} strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="cumulative" name="cumulative" stroke={over ? PALETTE.red : PALETTE.purple} strokeWidth={2} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1.6fr", gap: 14 }}>
+        <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+          <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 8 }}>BY ASSAY · {project.id}</div>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead><tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+              {["Assay", "Cost", "$ / sample", "$ / Gb"].map((h, i) => <th key={h} style={{ ...head, textAlign: i ? "right" : "left" }}>{h}</th>)}
+            </tr></thead>
+            <tbody>
+              {project.assays.map(a => {
+                const u = usage[project.id]?.[a] || { samples: 0, gb: 0 };
+                const cost = byAssay[a] || 0;
+                return (
+                  <tr key={a} style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                    <td style={{ ...cell, textAlign: "left", color: ASSAY_COLORS[a] }}>{a}</td>
+                    <td style={cell}>{fmtUsd(cost)}</td>
+                    <td style={cell}>{perUnit(cost, u.samples)}</td>
+                    <td style={cell}>{perUnit(cost, u.gb)}{u.estimated ? "*" : ""}</td>
+                  </tr>
+                );
+              })}
+              <tr>
+                <td style={{ ...cell, textAlign: "left", color: PALETTE.textDim }}>shared</td>
+                <td style={cell}>{fmtUsd(byAssay[""] || 0)}</td>
+                <td colSpan={2} style={{ ...cell, color: PALETTE.textDim, fontSize: 10 }}>no assay tag</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+          <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 8 }}>BY PROJECT · {range.from} → {range.to}</div>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead><tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+              {["Project", "Compute", "Storage", "Transfer", "Total", "$ / sample", "$ / Gb"].map((h, i) => <th key={h} style={{ ...head, textAlign: i ? "right" : "left" }}>{h}</th>)}
+            </tr></thead>
+            <tbody>
+              {projects.map(id => {
+                const pItems = items.filter(it => it.project === id);
+                const cat = costBy(pItems, "category");
+                const total = sumCost(pItems);
+                const t = totals(id);
+                return (
+                  <tr key={id} style={{ borderBottom: `1px solid ${PALETTE.border}`, background: id === project.id ? PALETTE.accent + "0d" : "transparent" }}>
+                    <td style={{ ...cell, textAlign: "left", color: id === UNTAGGED ? PALETTE.yellow : PALETTE.text }}>{id}</td>
+                    {["Compute", "Storage", "Transfer"].map(k => <td key={k} style={cell}>{fmtUsd(cat[k] || 0)}</td>)}
+                    <td style={{ ...cell, fontWeight: 700 }}>{fmtUsd(total)}</td>
+                    <td style={cell}>{perUnit(total, t.samples)}</td>
+                    <td style={cell}>{perUnit(total, t.gb)}{t.estimated ? "*" : ""}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>
+            — Attributed by the <code>project</code> / <code>assay</code> resource tags · * yield estimated from reads × {READ_BASES} bp
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const StoragePanel = ({ objects, hasClass, project, source, demo, onImport, onClear }) => {
+  const [scope, setScope] = useState("project"); // project | all
+  const [fastqDays, setFastqDays] = useState(90);
+  const [now] = useState(Date.now);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const load = async fileList => {
+    try {
+      onImport({ ...(await parseInventoryFiles([...fileList])), source: [...fileList].map(f => f.name).join(" + ") });
+      setError(null);
+    } catch (e) {
+      setError(`Could not import ${e.message}`);
+    }
+  };
+
+  const shown = scope === "project" ? objects.filter(o => o.project === project.id) : objects;
+  const total = shown.reduce((a, o) => a + o.size, 0);
+  const group = key => Object.entries(shown.reduce((acc, o) => {
+    const k = key(o);
+    acc[k] = acc[k] || { bytes: 0, count: 0, objects: [] };
+    acc[k].bytes += o.size; acc[k].count++; acc[k].objects.push(o);
+    return acc;
+  }, {})).sort((a, b) => b[1].bytes - a[1].bytes);
+  const byKind = group(o => o.kind);
+  const byClass = group(o => o.storageClass || "unknown");
+  const candidates = lifecycleCandidates(shown, { fastqDays, now });
+  const current = monthlyCost(shown);
+  const saving = candidates.reduce((a, c) => a + c.current - c.proposed, 0);
+  const oneOff = candidates.reduce((a, c) => a + c.oneOff, 0);
+
+  const buttonStyle = active => ({
+    padding: "4px 10px", borderRadius: 4, border: `1px solid ${active ? PALETTE.accent : PALETTE.border}`, background: active ? PALETTE.accent + "22" : "transparent",
+    color: active ? PALETTE.accent : PALETTE.muted, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  const bar = (label, value, f, color = PALETTE.accent) => (
+    <div key={label}>
+      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+        <span style={{ color: PALETTE.textDim, fontSize: 11 }}>{label}</span>
+        <span style={{ fontFamily: "monospace", color: PALETTE.text, fontSize: 11 }}>{value}</span>
+      </div>
+      <div style={{ background: PALETTE.border, borderRadius: 2, height: 4 }}>
+        <div style={{ width: `${f * 100}%`, height: "100%", background: color, borderRadius: 2, transition: "width 0.5s" }} />
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div
+        onDragOver={e => e.preventDefault()}
+        onDrop={e => { e.preventDefault(); load(e.dataTransfer.files); }}
+        style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 14, flexWrap: "wrap" }}>
+        <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>S3 STORAGE BREAKDOWN</div>
+        <span style={{ fontFamily: "monospace", fontSize: 11, color: demo ? PALETTE.yellow : PALETTE.text }}>{source} · {objects.length.toLocaleString()} objects</span>
+        {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+        <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 6 }}>
+          <button onClick={() => setScope("project")} style={buttonStyle(scope === "project")}>{project.id}</button>
+          <button onClick={() => setScope("all")} style={buttonStyle(scope === "all")}>All prefixes</button>
+          <span style={{ color: PALETTE.textDim, fontSize: 10 }}>drop a CSV inventory (.csv(.gz) + manifest.json; Parquet not supported) / s3 ls .txt or</span>
+          <button onClick={() => inputRef.current.click()} title="S3 Inventory in CSV format or an s3 ls --recursive listing. Parquet and ORC inventories are not supported." style={buttonStyle(false)}>Import…</button>
+          {onClear && <button onClick={onClear} style={buttonStyle(false)}>Clear</button>}
+          <input ref={inputRef} type="file" multiple accept=".csv,.gz,.json,.txt" style={{ display: "none" }}
+            onChange={e => { load(e.target.files); e.target.value = ""; }} />
+        </div>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24 }}>
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>BY TYPE · {fmtBytes(total)}</div>
+          {byKind.map(([kind, g]) => bar(kind, `${fmtBytes(g.bytes)} · ${g.count}`, total ? g.bytes / total : 0))}
+        </div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>BY STORAGE CLASS · ≈ {fmtUsd(current)} / month</div>
+          {byClass.map(([cls, g]) => bar(cls, `${fmtBytes(g.bytes)} · ${fmtUsd(monthlyCost(g.objects))}/mo`, total ? g.bytes / total : 0, S3_CLASS_COLORS[cls] || PALETTE.muted))}
+          {!hasClass && <div style={{ color: PALETTE.yellow, fontSize: 10 }}>s3 ls has no storage class; estimates assume STANDARD</div>}
+        </div>
+      </div>
+
+      <div style={{ borderTop: `1px solid ${PALETTE.border}`, marginTop: 16, paddingTop: 12 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+          <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>LIFECYCLE CANDIDATES</div>
+          <span style={{ color: PALETTE.textDim, fontSize: 10, marginLeft: "auto" }}>FASTQ age ≥</span>
+          <input type="number" min="0" value={fastqDays} onChange={e => setFastqDays(Math.max(0, +e.target.value || 0))}
+            style={{ width: 60, background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text, padding: "3px 6px", fontFamily: "monospace", fontSize: 11 }} />
+          <span style={{ color: PALETTE.textDim, fontSize: 10 }}>days</span>
+        </div>
+        {candidates.map(c => (
+          <details key={c.rule} style={{ marginBottom: 6 }}>
+            <summary style={{ cursor: "pointer", fontSize: 11, color: c.objects.length ? PALETTE.text : PALETTE.textDim }}>
+              {c.rule} <span style={{ color: PALETTE.accent, fontFamily: "monospace" }}>{c.action}</span>
+              {" · "}{c.objects.length} objects, {fmtBytes(c.bytes)} · {fmtUsd(c.current)} → {fmtUsd(c.proposed)} / month
+            </summary>
+            <div style={{ maxHeight: 160, overflowY: "auto", marginTop: 4, paddingLeft: 14 }}>
+              {c.objects.slice(0, 200).map(o => (
+                <div key={o.key} style={{ fontFamily: "monospace", fontSize: 10, color: PALETTE.textDim }}>
+                  {o.key} · {fmtBytes(o.size)} · {effectiveClass(o)}{o.modified ? ` · ${o.modified.slice(0, 10)}` : ""}
+                </div>
+              ))}
+              {c.objects.length > 200 && <div style={{ color: PALETTE.textDim, fontSize: 10 }}>… {c.objects.length - 200} more</div>}
+            </div>
+          </details>
+        ))}
+        <div style={{ marginTop: 8, padding: "6px 8px", background: PALETTE.green + "11", border: `1px solid ${PALETTE.green}33`, borderRadius: 4, color: PALETTE.green, fontSize: 11 }}>
+          Proposed: {fmtUsd(current)} → {fmtUsd(current - saving)} / month (saves {fmtUsd(saving)}/mo; ≈ {fmtUsd(oneOff)} one-off transition requests)
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Connecting to the URL already in use loads it again.
+const ProjectStoreField = ({ url, error, onConnect }) => {
+  const [draft, setDraft] = useState(url);
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>PROJECT STORE</span>
+      <input value={draft} onChange={e => setDraft(e.target.value)} placeholder="JSON store URL (empty = browser storage)"
+        onKeyDown={e => e.key === "Enter" && onConnect(draft.trim())} style={{
+          background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text,
+          padding: "4px 8px", fontFamily: "monospace", fontSize: 11, flex: 1,
+        }} />
+      <button onClick={() => onConnect(draft.trim())} style={{
+        padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+        color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+      }}>Connect</button>
+      {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+    </div>
+  );
+};
+
+const ProjectEditor = ({ project, isNew, projects, onSave, onDelete, onCancel, storeUrl, onStoreUrl, storeError }) => {
+  const [draft, setDraft] = useState(project);
+  const [message, setMessage] = useState(null); // { error, text }
+  const inputRef = useRef(null);
+  const set = (k, v) => setDraft(d => ({ ...d, [k]: v }));
+  const setSample = (i, k, v) => set("samples", draft.samples.map((s, j) => (j === i ? { ...s, [k]: v } : s)));
+  const importSheet = async file => {
+    try {
+      const { samples, format } = parseSampleSheet(await file.text(), draft.id);
+      set("samples", mergeSampleMeta(draft.samples, samples));
+      setMessage({ text: `${file.name}: ${samples.length} samples (${format})` });
+    } catch (e) {
+      setMessage({ error: true, text: `Could not import ${file.name}: ${e.message}` });
+    }
+  };
+  const save = () => {
+    const ids = draft.samples.map(s => s.id.trim());
+    const problem = !draft.id.trim() ? "Project ID is required"
+      : isNew && projects.some(p => p.id === draft.id.trim()) ? `Project ${draft.id} already exists`
+      : !draft.group?.trim() ? "Access group is required (e.g. pi-chen); only its members and admins see the project"
+      : !draft.assays.length ? "Pick at least one assay"
+      : ids.some(id => !id) ? "Every sample needs an ID"
+      : new Set(ids).size !== ids.length ? "Sample IDs must be unique"
+      : null;
+    if (problem) return setMessage({ error: true, text: problem });
+    setMessage(null);
+    onSave({ ...draft, id: draft.id.trim(), group: draft.group.trim(), samples: draft.samples.map(s => ({ ...s, id: s.id.trim() })) });
+  };
+
+  const inputStyle = {
+    background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4,
+    color: PALETTE.text, padding: "4px 6px", fontFamily: "monospace", fontSize: 11,
+  };
+  const buttonStyle = color => ({
+    padding: "5px 12px", borderRadius: 4, border: `1px solid ${color}55`, background: "transparent",
+    color, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12 }}>
+        <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>{isNew ? "NEW PROJECT" : `PROJECT · ${project.id}`}</div>
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          <button onClick={save} style={buttonStyle(PALETTE.green)}>Save</button>
+          <button onClick={() => { setDraft(project); setMessage(null); onCancel(); }} style={buttonStyle(PALETTE.muted)}>{isNew ? "Cancel" : "Revert"}</button>
+          {!isNew && projects.length > 1 && (
+            <button onClick={() => window.confirm(`Delete project ${project.id}? Imported QC data stays in this browser session only.`) && onDelete()}
+              style={buttonStyle(PALETTE.red)}>Delete</button>
+          )}
+        </div>
+      </div>
+      {message && <div style={{ color: message.error ? PALETTE.red : PALETTE.green, fontSize: 11, marginBottom: 8 }}>{message.text}</div>}
+
+      <div style={{ display: "grid", gridTemplateColumns: "140px 1fr 1fr 140px", gap: 10, marginBottom: 12 }}>
+        {[["id", "Project ID"], ["name", "Name"], ["pi", "PI"], ["group", "Access group"]].map(([k, label]) => (
+          <label key={k} style={{ display: "flex", flexDirection: "column", gap: 4, color: PALETTE.textDim, fontSize: 10 }}>
+            {label}
+            <input value={draft[k] ?? ""} disabled={k === "id" && !isNew} onChange={e => set(k, e.target.value)} style={inputStyle} />
+          </label>
+        ))}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
+        <span style={{ color: PALETTE.textDim, fontSize: 10, marginRight: 4 }}>ASSAYS</span>
+        {Object.keys(ASSAY_SCHEMAS).map(a => {
+          const on = draft.assays.includes(a);
+          return (
+            <button key={a} onClick={() => set("assays", on ? draft.assays.filter(x => x !== a) : [...draft.assays, a])} style={{
+              padding: "3px 10px", borderRadius: 20, border: `1px solid ${on ? ASSAY_COLORS[a] : PALETTE.border}`,
+              background: on ? ASSAY_COLORS[a] + "22" : "transparent", color: on ? ASSAY_COLORS[a] : PALETTE.muted,
+              cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+            }}>{a}</button>
+          );
+        })}
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>SAMPLES · {draft.samples.length}</div>
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          <button onClick={() => inputRef.current.click()} style={buttonStyle(PALETTE.accent)}>Import sample sheet…</button>
+          <button onClick={() => set("samples", [...draft.samples, { id: "" }])} style={buttonStyle(PALETTE.accent)}>+ Sample</button>
+          <input ref={inputRef} type="file" accept=".csv,.txt" style={{ display: "none" }}
+            onChange={e => { if (e.target.files[0]) importSheet(e.target.files[0]); e.target.value = ""; }} />
+        </div>
+      </div>
+      <div style={{ maxHeight: 360, overflowY: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+              {[...SAMPLE_FIELDS.map(([, label]) => label), ""].map(h => (
+                <th key={h} style={{ padding: "6px 4px", textAlign: "left", color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", fontWeight: 400 }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {draft.samples.map((s, i) => (
+              <tr key={i} style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                {SAMPLE_FIELDS.map(([k]) => (
+                  <td key={k} style={{ padding: "3px 4px" }}>
+                    <input value={s[k] || ""} onChange={e => setSample(i, k, e.target.value)} style={{ ...inputStyle, width: "100%", boxSizing: "border-box" }} />
+                  </td>
+                ))}
+                <td style={{ padding: "3px 4px", textAlign: "right" }}>
+                  <button onClick={() => set("samples", draft.samples.filter((_, j) => j !== i))} style={buttonStyle(PALETTE.red)}>×</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!draft.samples.length && <div style={{ color: PALETTE.textDim, fontSize: 11, padding: 8 }}>No samples yet — import an Illumina SampleSheet.csv or nf-core samplesheet, or add them by hand.</div>}
+      </div>
+
+      <div style={{ marginTop: 16, paddingTop: 12, borderTop: `1px solid ${PALETTE.border}` }}>
+        <ProjectStoreField url={storeUrl} error={storeError} onConnect={onStoreUrl} />
+      </div>
+    </div>
+  );
+};
+
+const CONTROL_FLAG_LABELS = { WARN: "beyond 2 SD of the other runs", FAIL: "beyond 3 SD of the other runs" };
+
+const TrendChart = ({ runs, assay, metric }) => {
+  const def = metricDef(assay, metric);
+  const { limits, flags } = controlChart(runs.map(r => r.means[metric] ?? null));
+  const data = runs.map((r, i) => ({ i, value: r.means[metric] ?? null, flag: flags[i] }));
+  const flagged = runs.map((r, i) => ({ run: r, flag: data[i].flag })).filter(d => d.flag === "WARN" || d.flag === "FAIL");
+  const dot = ({ cx, cy, payload, index }) => cy == null ? null : (
+    <StatusMark key={index} status={payload.flag} cx={cx} cy={cy} r={payload.flag === "FAIL" || payload.flag === "WARN" ? 5 : 3} fillOpacity={1}
+      fill={payload.flag === "FAIL" ? PALETTE.red : payload.flag === "WARN" ? PALETTE.orange : ASSAY_COLORS[assay]} />
+  );
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>{def.label} across runs ({assay})</div>
+      <ResponsiveContainer width="100%" height={170}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
+          <XAxis dataKey="i" tickFormatter={i => fmtDate(runs[i].runAt)} tick={{ fill: PALETTE.muted, fontSize: 10 }} />
+          <YAxis domain={["auto", "auto"]} tick={{ fill: PALETTE.muted, fontSize: 10 }} />
+          <Tooltip contentStyle={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }}
+            labelFormatter={i => `${runs[i].source} · ${fmtDate(runs[i].runAt)}`} formatter={v => [fmt(v, def.unit), def.label]} />
+          {limits && <ReferenceLine y={limits.mean} stroke={PALETTE.muted} ifOverflow="extendDomain" />}
+          {limits && [2, 3].flatMap(k => [-k, k]).map(k => (
+            <ReferenceLine key={k} y={limits.mean + k * limits.sd} ifOverflow="extendDomain" strokeDasharray="4 4"
+              stroke={Math.abs(k) === 3 ? PALETTE.red : PALETTE.orange} />
+          ))}
+          <Line dataKey="value" stroke={ASSAY_COLORS[assay]} strokeWidth={2} connectNulls dot={dot} isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+      <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>
+        {limits
+          ? `— Mean ${fmt(+limits.mean.toFixed(def.digits), def.unit)} · dashed: ±2 SD (orange), ±3 SD (red) over ${limits.n} in-control runs`
+          : `— Control bands need at least ${CONTROL_MIN_RUNS} runs reporting ${def.label}`}
+      </div>
+      {flagged.map(({ run, flag }) => (
+        <div key={run.id} style={{ color: flag === "FAIL" ? PALETTE.red : PALETTE.orange, fontSize: 11, marginTop: 4 }}>
+          {flag === "FAIL" ? "✕ out of control" : "⚠ warning"}: {run.source} ({fmtDate(run.runAt)}) · {fmt(run.means[metric], def.unit)}, {CONTROL_FLAG_LABELS[flag]}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const RunHistory = ({ assay, runs, demo, onLoad, onRemove, onClear, onExport }) => {
+  const [error, setError] = useState(null);
+  const dirRef = useRef(null);
+  const load = async fileList => {
+    try {
+      onLoad(await parseHistoryFiles([...fileList]));
+      setError(null);
+    } catch (e) {
+      setError(`Could not load runs: ${e.message}`);
+    }
+  };
+  const buttonStyle = color => ({
+    padding: "5px 12px", borderRadius: 4, border: `1px solid ${color}55`, background: "transparent",
+    color, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
+        <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>RUN HISTORY · {assay}</div>
+        <span style={{ color: demo ? PALETTE.yellow : PALETTE.textDim, fontSize: 10 }}>
+          {demo ? "demo runs (random) — import QC data or load a run directory" : `${runs.length} runs`}
+        </span>
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          {onLoad && <button onClick={() => dirRef.current.click()} style={buttonStyle(PALETTE.accent)}>Load run directory…</button>}
+          {!demo && <button onClick={onExport} style={buttonStyle(PALETTE.accent)}>Export JSON</button>}
+          {!demo && onClear && <button onClick={onClear} style={buttonStyle(PALETTE.red)}>Clear</button>}
+          <input ref={dirRef} type="file" webkitdirectory="" multiple style={{ display: "none" }}
+            onChange={e => { load(e.target.files); e.target.value = ""; }} />
+        </div>
+      </div>
+      {error && <div style={{ color: PALETTE.red, fontSize: 11, marginBottom: 8 }}>{error}</div>}
+      {!demo && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+          {runs.map(r => (
+            <span key={r.id} style={{ display: "inline-flex", alignItems: "center", gap: 6, padding: "2px 8px", borderRadius: 4, border: `1px solid ${PALETTE.border}`, fontFamily: "monospace", fontSize: 10, color: PALETTE.text }}>
+              {fmtDate(r.runAt)} · {r.source} · {r.n} samples
+              {onRemove && <button onClick={() => onRemove(r.id)} title="Remove run" style={{ background: "none", border: "none", color: PALETTE.muted, cursor: "pointer", padding: 0 }}>×</button>}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const fmtCount = v => (v >= 1e6 ? `${+(v / 1e6).toFixed(1)}M` : v >= 1e3 ? `${+(v / 1e3).toFixed(1)}k` : `${+(+v).toFixed(1)}`);
+
+// Every sample is filtered and summarized; only the first few are overlaid on
+// the plots (knee, histograms and the scATAC scatter, sampled to 3,000 cells).
+const scPanelData = (data, assay) => {
+  const view = SC_VIEWS[assay];
+  const sampleIds = Object.keys(data.samples).sort();
+  const ids = sampleIds.slice(0, RADAR_MAX_OVERLAY);
+  const called = Object.fromEntries(sampleIds.map(id => [id, data.samples[id].cells.filter(c => c.isCell)]));
+  const present = new Set();
+  const highest = {};
+  sampleIds.forEach(id => called[id].forEach(c => Object.keys(SC_METRICS).forEach(m => {
+    if (c[m] == null) return;
+    present.add(m);
+    highest[m] = Math.max(highest[m] ?? 0, c[m]);
+  })));
+  const plotted = Object.fromEntries(ids.map(id => [id, called[id]]));
+  const scatterCells = assay === "scATAC-seq" && present.has("frags") && present.has("tss")
+    ? ids.flatMap(id => {
+      const cells = called[id];
+      const step = Math.max(1, Math.ceil((cells.length * ids.length) / 3000));
+      return cells.filter((c, i) => i % step === 0 && c.frags > 0 && c.tss != null);
+    })
+    : null;
+  return {
+    sampleIds, ids, called, present, highest, scatterCells,
+    knees: Object.fromEntries(ids.map(id => [id, kneeCurve(data.samples[id].cells, view.rank)])),
+    histograms: view.dists.filter(m => present.has(m)).map(m => ({ metric: m, hist: scHistogram(plotted, m) })),
+  };
+};
+
+const SingleCellPanel = ({ assay, data, source, demo, onImport }) => {
+  const view = SC_VIEWS[assay];
+  const [filters, setFilters] = useState(view.filters);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const load = async fileList => {
+    const files = [...fileList];
+    if (!files.length) return;
+    try {
+      onImport({ samples: await parseScFiles(files), source: files.map(f => f.name).join(" + ") });
+      setError(null);
+    } catch (e) {
+      setError(`Could not import ${e.message}`);
+    }
+  };
+
+  // Everything that only depends on the cells is computed once per import; a
+  // slider drag only recounts the filters.
+  const { sampleIds, ids, called, present, highest, knees, histograms, scatterCells } = useMemo(() => scPanelData(data, assay), [data, assay]);
+  const hidden = sampleIds.length - ids.length;
+  const colorOf = id => (ids.includes(id) ? RADAR_OVERLAY_COLORS[ids.indexOf(id)] : PALETTE.text);
+  const has = metric => present.has(metric);
+  const active = filters.filter(([m]) => has(m));
+  const keeps = cell => active.every(f => passesScFilter(cell, f));
+  const panel = { background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 };
+  const heading = { color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 };
+  const axis = { fill: PALETTE.muted, fontSize: 10 };
+  const tooltip = { background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 };
+
+  // Sliders run over the data's range, on log10 for count metrics.
+  const slider = (f, i) => {
+    const [metric, dir, value] = f;
+    const { log, label } = SC_METRICS[metric];
+    const hi = highest[metric];
+    const max = log ? Math.log10(Math.max(hi, 10)) : Math.ceil(hi) || 100;
+    const set = v => setFilters(fs => fs.map((g, j) => (j === i ? [metric, dir, log ? Math.round(10 ** v) : +v] : g)));
+    return (
+      <label key={`${metric}/${dir}`} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 11, color: PALETTE.textDim }}>
+        <span style={{ width: 130 }}>{label} {dir === "min" ? "≥" : "≤"}</span>
+        <input type="range" min={0} max={max} step={max / 200} value={log ? Math.log10(Math.max(value, 1)) : value}
+          onChange={e => set(parseFloat(e.target.value))} style={{ flex: 1 }} />
+        <span style={{ fontFamily: "monospace", color: PALETTE.text, width: 50, textAlign: "right" }}>{fmtCount(value)}</span>
+      </label>
+    );
+  };
+
+  const kneeMetric = view.rank;
+  const scatter = scatterCells && scatterCells.map(c => ({ x: c.frags, y: c.tss, keep: keeps(c) }));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div style={{ ...panel, display: "flex", alignItems: "center", gap: 10, padding: "10px 16px" }}>
+        <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>CELL METRICS</span>
+        <span style={{ fontFamily: "monospace", fontSize: 11, color: demo ? PALETTE.yellow : PALETTE.text }}>
+          {demo ? "demo cells (random)" : source ? `${source} · ${Object.keys(data.samples).length} samples` : "no cell metrics imported"}
+        </span>
+        {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+        {onImport && (
+          <button onClick={() => inputRef.current.click()} title="CellRanger metrics_summary.csv + per-barcode CSV, or a Seurat / ArchR QC table" style={{
+            marginLeft: "auto", padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+            color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+          }}>Import…</button>
+        )}
+        <input ref={inputRef} type="file" multiple accept=".csv,.tsv,.txt,.gz" style={{ display: "none" }}
+          onChange={e => { load(e.target.files); e.target.value = ""; }} />
+      </div>
+
+      {sampleIds.length === 0 ? (
+        <div style={{ ...panel, color: PALETTE.textDim, fontSize: 11 }}>
+          Import CellRanger outputs (metrics_summary.csv with the barcode-level CSV) or a Seurat / ArchR per-cell QC export to see {assay} cells.
+        </div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 14 }}>
+            <div style={panel}>
+              <div style={heading}>FILTER PREVIEW</div>
+              <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 12 }}>
+                {filters.map((f, i) => (has(f[0]) ? slider(f, i) : null))}
+                <button onClick={() => setFilters(view.filters)} style={{ alignSelf: "flex-start", background: "transparent", border: "none", color: PALETTE.accent, cursor: "pointer", fontSize: 11, padding: 0 }}>reset</button>
+              </div>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                    {["Sample", "Called", ...active.map(([m, dir]) => `${SC_METRICS[m].label} ${dir}`), "Kept"].map(h => (
+                      <th key={h} style={{ padding: "4px 6px", color: PALETTE.textDim, fontSize: 10, fontWeight: 400, textAlign: "right" }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sampleIds.map(id => {
+                    const cells = called[id];
+                    const kept = cells.filter(keeps).length;
+                    const cell = { padding: "4px 6px", fontFamily: "monospace", fontSize: 11, textAlign: "right", color: PALETTE.text };
+                    return (
+                      <tr key={id} style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                        <td style={{ ...cell, color: colorOf(id) }}>{id}</td>
+                        <td style={cell}>{cells.length.toLocaleString()}</td>
+                        {active.map(f => (
+                          <td key={f.join("/")} style={{ ...cell, color: PALETTE.textDim }}>−{cells.filter(c => !passesScFilter(c, f)).length.toLocaleString()}</td>
+                        ))}
+                        <td style={{ ...cell, color: cells.length && kept / cells.length < 0.5 ? PALETTE.orange : PALETTE.green }}>
+                          {kept.toLocaleString()} ({cells.length ? ((kept / cells.length) * 100).toFixed(0) : 0}%)
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={panel}>
+              <div style={heading}>BARCODE RANK (KNEE) · {SC_METRICS[kneeMetric].label}</div>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart>
+                  <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
+                  <XAxis dataKey="x" type="number" scale="log" domain={[1, "dataMax"]} tick={axis} tickFormatter={fmtCount}
+                    label={{ value: "Barcode rank", position: "insideBottom", ...axis, dy: 10 }} />
+                  <YAxis type="number" scale="log" domain={[1, "dataMax"]} tick={axis} tickFormatter={fmtCount} />
+                  <Tooltip contentStyle={tooltip} labelFormatter={x => `rank ${x}`} formatter={v => fmtCount(v)} />
+                  {active.filter(([m, dir]) => m === kneeMetric && dir === "min").map(([, , v]) => (
+                    <ReferenceLine key={v} y={v} stroke={PALETTE.yellow} strokeDasharray="4 4" />
+                  ))}
+                  {ids.map(id => (
+                    <Line key={id} data={knees[id]} dataKey="y" name={id} stroke={colorOf(id)} dot={false} strokeWidth={2} isAnimationActive={false} />
+                  ))}
+                  {ids.length > 1 && <Legend wrapperStyle={{ fontSize: 10 }} />}
+                </LineChart>
+              </ResponsiveContainer>
+              <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>
+                — All barcodes, ranked by {SC_METRICS[kneeMetric].label}; dashed: minimum filter
+                {hidden > 0 && ` · plots overlay the first ${ids.length} of ${sampleIds.length} samples`}
+              </div>
+            </div>
+          </div>
+
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 14 }}>
+            {histograms.map(({ metric, hist }) => (
+              <div key={metric} style={panel}>
+                <div style={heading}>{SC_METRICS[metric].label.toUpperCase()} · CALLED CELLS</div>
+                <ResponsiveContainer width="100%" height={170}>
+                  <LineChart data={hist.rows}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
+                    <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={axis}
+                      tickFormatter={v => (SC_METRICS[metric].log ? fmtCount(10 ** v) : v.toFixed(0))} />
+                    <YAxis tick={axis} unit="%" />
+                    <Tooltip contentStyle={tooltip} formatter={v => `${v.toFixed(1)}%`}
+                      labelFormatter={v => (SC_METRICS[metric].log ? fmtCount(10 ** v) : v)} />
+                    {active.filter(([m]) => m === metric).map(([, dir, v]) => (
+                      <ReferenceLine key={dir} x={hist.tx(v)} stroke={PALETTE.yellow} strokeDasharray="4 4" ifOverflow="extendDomain" />
+                    ))}
+                    {ids.map(id => (
+                      <Line key={id} dataKey={id} stroke={colorOf(id)} dot={false} strokeWidth={1.5} isAnimationActive={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+
+          {scatter && (
+            <div style={panel}>
+              <div style={heading}>TSS ENRICHMENT vs FRAGMENTS · CALLED CELLS</div>
+              <ResponsiveContainer width="100%" height={240}>
+                <ScatterChart>
+                  <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
+                  <XAxis dataKey="x" type="number" scale="log" domain={["auto", "auto"]} tick={axis} tickFormatter={fmtCount}
+                    label={{ value: "Fragments / cell", position: "insideBottom", ...axis, dy: 10 }} />
+                  <YAxis dataKey="y" type="number" tick={axis} />
+                  {active.filter(([m]) => m === "tss").map(([, dir, v]) => <ReferenceLine key={dir} y={v} stroke={PALETTE.yellow} strokeDasharray="4 4" />)}
+                  {active.filter(([m]) => m === "frags").map(([, dir, v]) => <ReferenceLine key={dir} x={v} stroke={PALETTE.yellow} strokeDasharray="4 4" />)}
+                  {[true, false].map(keep => (
+                    <Scatter key={String(keep)} name={keep ? "kept" : "filtered"} data={scatter.filter(p => p.keep === keep)}
+                      fill={keep ? PALETTE.green : PALETTE.red} fillOpacity={0.5} shape={({ cx, cy, fill }) => <circle cx={cx} cy={cy} r={1.5} fill={fill} />}
+                      isAnimationActive={false} />
+                  ))}
+                  <Legend wrapperStyle={{ fontSize: 10 }} />
+                </ScatterChart>
+              </ResponsiveContainer>
+              <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>— Up to 3,000 cells sampled across {ids.length} samples; dashed: filters</div>
+            </div>
+          )}
+
+          <div style={panel}>
+            <div style={heading}>RUN SUMMARY</div>
+            <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(sampleIds.length, 4)}, 1fr)`, gap: 10 }}>
+              {sampleIds.map(id => (
+                <div key={id} style={{ background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 6, padding: 10 }}>
+                  <div style={{ fontFamily: "monospace", color: colorOf(id), fontSize: 12, marginBottom: 6 }}>{id}</div>
+                  {Object.keys(data.samples[id].summary).length === 0 && <div style={{ color: PALETTE.textDim, fontSize: 10 }}>no metrics_summary.csv</div>}
+                  {Object.entries(data.samples[id].summary).map(([k, v]) => (
+                    <div key={k} style={{ display: "flex", justifyContent: "space-between", gap: 6, fontSize: 10 }}>
+                      <span style={{ color: PALETTE.textDim }}>{k}</span>
+                      <span style={{ fontFamily: "monospace", color: PALETTE.text }}>{typeof v === "number" ? v.toLocaleString() : v}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const SPECIES_SHOWN = 5; // foreign taxa stacked by name; the rest pool into "Other"
+const SPECIES_COLORS = themed(() => [PALETTE.orange, PALETTE.red, PALETTE.purple, PALETTE.yellow, PALETTE.blue]);
+const UNDETERMINED_SHOWN = 12;
+
+const ContaminationPanel = ({ samples, data, profile, source, demo, onImport, onClear }) => {
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const load = async fileList => {
+    const files = [...fileList];
+    if (!files.length) return;
+    try {
+      onImport({ ...(await parseContaminationFiles(files)), source: files.map(f => f.name).join(" + ") });
+      setError(null);
+    } catch (e) {
+      setError(`Could not import ${e.message}`);
+    }
+  };
+
+  const panel = { background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 };
+  const heading = { color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 };
+  const axis = { fill: PALETTE.muted, fontSize: 10 };
+  const tooltip = { background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 };
+  const cell = { padding: "4px 6px", fontFamily: "monospace", fontSize: 11, color: PALETTE.text };
+  const buttonStyle = color => ({
+    padding: "4px 10px", borderRadius: 4, border: `1px solid ${color}55`, background: "transparent",
+    color, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+
+  const entries = Object.entries(data?.samples || {}).sort(([a], [b]) => a.localeCompare(b));
+  const withSpecies = entries.filter(([, s]) => s.species);
+  const expected = data ? expectedSpecies(data) : null;
+  const totals = {};
+  withSpecies.forEach(([, s]) => taxa(s.species).forEach(([name, v]) => { if (name !== expected) totals[name] = (totals[name] || 0) + v; }));
+  const named = Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, SPECIES_SHOWN).map(([name]) => name);
+  const series = [
+    ...(expected ? [[expected, PALETTE.green]] : []),
+    ...named.map((name, i) => [name, SPECIES_COLORS[i]]),
+    ...(Object.keys(totals).length > named.length ? [["Other", PALETTE.violet]] : []),
+    [MULTI_GENOME, PALETTE.textDim], [UNASSIGNED, PALETTE.muted],
+  ];
+  const speciesRows = withSpecies.map(([id, s]) => {
+    const row = { id };
+    Object.entries(s.species).forEach(([name, v]) => {
+      const key = series.some(([n]) => n === name) ? name : "Other";
+      row[key] = +((row[key] || 0) + v).toFixed(2);
+    });
+    return row;
+  });
+  const flagged = samples.filter(s => ["WARN", "FAIL"].includes(gradeMetric(s.foreign, profile.foreign)));
+  const adapterRows = samples.filter(s => s.adapter != null);
+
+  const demux = data?.demux;
+  const barcodes = demux ? undeterminedBarcodes(demux) : [];
+  const pairs = {};
+  barcodes.filter(b => b.hop).forEach(b => { const k = b.hop.join(" → "); pairs[k] = (pairs[k] || 0) + b.reads; });
+  const hoppedReads = Object.values(pairs).reduce((a, v) => a + v, 0);
+  const pctOf = (v, total) => (total ? `${((v / total) * 100).toFixed(v / total < 0.001 ? 3 : 2)}%` : "—");
+  const origin = b => (b.hop ? `index hop: i7 of ${b.hop[0]}, i5 of ${b.hop[1]}`
+    : /^G+(\+G+)?$/.test(b.barcode) ? "no index read (poly-G)"
+    : b.i7Of.length ? `i7 of ${b.i7Of.join("/")}, unknown i5`
+    : b.i5Of.length ? `i5 of ${b.i5Of.join("/")}, unknown i7`
+    : "—");
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div style={{ ...panel, display: "flex", alignItems: "center", gap: 10, padding: "10px 16px" }}>
+        <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>CONTAMINATION</span>
+        <span style={{ fontFamily: "monospace", fontSize: 11, color: demo ? PALETTE.yellow : PALETTE.text }}>
+          {demo ? "demo screens (random)" : source || "no contamination reports imported"}
+        </span>
+        {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          {onImport && (
+            <button onClick={() => inputRef.current.click()} style={buttonStyle(PALETTE.accent)}
+              title="FastQ Screen _screen.txt, Kraken2 reports, fastqc_data.txt, bcl2fastq Stats.json or BCL Convert Demultiplex_Stats.csv / Top_Unknown_Barcodes.csv">
+              Import…
+            </button>
+          )}
+          {!demo && source && onClear && <button onClick={onClear} style={buttonStyle(PALETTE.red)}>Clear</button>}
+        </div>
+        <input ref={inputRef} type="file" multiple style={{ display: "none" }}
+          onChange={e => { load(e.target.files); e.target.value = ""; }} />
+      </div>
+
+      {!entries.length && !demux ? (
+        <div style={{ ...panel, color: PALETTE.textDim, fontSize: 11 }}>
+          Import FastQ Screen or Kraken2 reports, FastQC data and the run's Stats.json or BCL Convert reports to screen these samples.
+          Reports can be added in several batches.
+        </div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 14 }}>
+            <div style={panel}>
+              <div style={heading}>SPECIES COMPOSITION · % OF READS{expected ? ` · EXPECTED ${expected.toUpperCase()}` : ""}</div>
+              {speciesRows.length ? (
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={speciesRows} barSize={18}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
+                    <XAxis dataKey="id" tick={axis} />
+                    <YAxis domain={[0, 100]} tick={axis} />
+                    <Tooltip contentStyle={tooltip} formatter={v => `${v}%`} />
+                    <Legend wrapperStyle={{ fontSize: 10 }} />
+                    {series.map(([name, color]) => <Bar key={name} dataKey={name} stackId="species" fill={color} />)}
+                  </BarChart>
+                </ResponsiveContainer>
+              ) : (
+                <div style={{ color: PALETTE.textDim, fontSize: 11 }}>No FastQ Screen or Kraken2 reports.</div>
+              )}
+              {flagged.length > 0 && (
+                <div style={{ display: "flex", flexDirection: "column", gap: 3, marginTop: 10, fontSize: 11 }}>
+                  {flagged.map(s => (
+                    <div key={s.id} style={{ color: QC_COLORS[gradeMetric(s.foreign, profile.foreign)] }}>
+                      {QC_ICONS[gradeMetric(s.foreign, profile.foreign)]} <span style={{ fontFamily: "monospace" }}>{s.id}</span> · {describeMetric(s, "foreign", profile.foreign)}
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>
+                — Foreign % is everything but the expected organism, unassigned, multi-genome and spike-in (PhiX, lambda) reads.
+                Kraken2 reads classified above species level are not stacked.
+              </div>
+            </div>
+
+            <div style={panel}>
+              <div style={heading}>ADAPTER CONTENT · % OF READS</div>
+              {adapterRows.length ? (
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={adapterRows} barSize={14}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
+                    <XAxis dataKey="id" tick={axis} />
+                    <YAxis domain={[0, dataMax => Math.max(20, Math.ceil(dataMax))]} tick={axis} />
+                    <Tooltip contentStyle={tooltip} formatter={(v, _, p) => [`${v}%`, p.payload.adapterType || "Adapter"]} />
+                    <defs>{statusHatches()}</defs>
+                    {profile.adapter && <ReferenceLine y={profile.adapter.pass} stroke={PALETTE.green} strokeDasharray="4 4" />}
+                    <Bar dataKey="adapter" name="Adapter %" radius={[3, 3, 0, 0]}>
+                      {adapterRows.map(s => <Cell key={s.id} fill={gradeFill(gradeMetric(s.adapter, profile.adapter), PALETTE.accent)} />)}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              ) : (
+                <div style={{ color: PALETTE.textDim, fontSize: 11 }}>No FastQC data with an Adapter Content module.</div>
+              )}
+              <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>— Share of reads with adapter by the read end, worst adapter and mate</div>
+            </div>
+          </div>
+
+          <div style={panel}>
+            <div style={heading}>UNDETERMINED BARCODES</div>
+            {!demux ? (
+              <div style={{ color: PALETTE.textDim, fontSize: 11 }}>Import the run's Stats.json, or BCL Convert's Demultiplex_Stats.csv and Top_Unknown_Barcodes.csv.</div>
+            ) : (
+              <>
+                <div style={{ display: "flex", gap: 24, flexWrap: "wrap", fontSize: 11, color: PALETTE.textDim, marginBottom: 12 }}>
+                  <span>Undetermined <span style={{ fontFamily: "monospace", color: PALETTE.text }}>{pctOf(demux.undeterminedReads, demux.totalReads)}</span> of reads</span>
+                  <span>Likely index hopping <span style={{ fontFamily: "monospace", color: hoppedReads ? PALETTE.orange : PALETTE.text }}>
+                    {fmtCount(hoppedReads)} reads ({pctOf(hoppedReads, demux.totalReads)})</span> over {Object.keys(pairs).length} pairs</span>
+                  {!Object.keys(demux.indexes).length && <span style={{ color: PALETTE.yellow }}>no sample indexes — hopping can't be traced without Stats.json or Demultiplex_Stats.csv</span>}
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 14 }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                    <thead>
+                      <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                        {["Lane", "Barcode (i7+i5)", "Reads", "% undet.", "Likely origin"].map(h => (
+                          <th key={h} style={{ padding: "4px 6px", color: PALETTE.textDim, fontSize: 10, fontWeight: 400, textAlign: "left" }}>{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {barcodes.slice(0, UNDETERMINED_SHOWN).map(b => (
+                        <tr key={`${b.lane}/${b.barcode}`} style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                          <td style={cell}>{b.lane ?? "—"}</td>
+                          <td style={cell}>{b.barcode}</td>
+                          <td style={cell}>{b.reads.toLocaleString()}</td>
+                          <td style={cell}>{pctOf(b.reads, demux.undeterminedReads)}</td>
+                          <td style={{ ...cell, fontFamily: "inherit", color: b.hop ? PALETTE.orange : PALETTE.textDim }}>{origin(b)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div>
+                    <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", marginBottom: 8 }}>HOPPING PAIRS (i7 → i5)</div>
+                    {Object.keys(pairs).length === 0 && <div style={{ color: PALETTE.textDim, fontSize: 11 }}>none among the undetermined barcodes</div>}
+                    {Object.entries(pairs).sort((a, b) => b[1] - a[1]).map(([pair, reads]) => (
+                      <div key={pair} style={{ display: "flex", justifyContent: "space-between", fontSize: 11, padding: "2px 0" }}>
+                        <span style={{ fontFamily: "monospace", color: PALETTE.text }}>{pair}</span>
+                        <span style={{ fontFamily: "monospace", color: PALETTE.orange }}>{reads.toLocaleString()}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const fmtZ = z => `${z > 0 ? "+" : ""}${z.toFixed(1)}`;
+
+const OutlierPanel = ({ samples, assay }) => {
+  const [colorBy, setColorBy] = useState("flowcell"); // a BATCH_FIELDS key or "status"
+  const metrics = ASSAY_SCHEMAS[assay].metrics;
+  const { z, outliers } = outlierScores(samples, metrics);
+  const pca = qcPca(samples, metrics);
+  const flagged = new Set(outliers.map(o => o.id));
+  const batches = BATCH_FIELDS.flatMap(([field, label]) => batchEffects(samples, z, metrics, field).map(b => ({ ...b, field, label })));
+  const groupOf = s => (colorBy === "status" ? s.qc.status : s.meta?.[colorBy] || "(none)");
+  const groups = [...new Set(samples.map(groupOf))].sort();
+  const colorOf = g => (colorBy === "status" ? QC_COLORS[g] : g === "(none)" ? PALETTE.muted : RADAR_OVERLAY_COLORS[groups.indexOf(g) % RADAR_OVERLAY_COLORS.length]);
+  const byId = Object.fromEntries(samples.map(s => [s.id, s]));
+  const label = m => metricDef(assay, m).label;
+  const topLoadings = pc => pca.loadings.slice().sort((a, b) => Math.abs(b[pc]) - Math.abs(a[pc])).slice(0, 3)
+    .map(l => `${label(l.metric)} ${l[pc] > 0 ? "+" : "−"}`).join(", ");
+  const panel = { background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 };
+  const heading = { color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 };
+
+  if (samples.length < OUTLIER_MIN_SAMPLES) {
+    return <div style={{ ...panel, color: PALETTE.textDim, fontSize: 11 }}>Outlier detection needs at least {OUTLIER_MIN_SAMPLES} samples; {assay} has {samples.length}.</div>;
+  }
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "3fr 2fr", gap: 14 }}>
+      <div style={panel}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12 }}>
+          <span style={{ ...heading, marginBottom: 0 }}>PCA OF QC METRICS · {assay}</span>
+          <span style={{ marginLeft: "auto", color: PALETTE.textDim, fontSize: 10 }}>color by</span>
+          <select value={colorBy} onChange={e => setColorBy(e.target.value)} style={{
+            background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text, fontSize: 11, fontFamily: "monospace", padding: "2px 6px",
+          }}>
+            {[...BATCH_FIELDS, ["status", "QC status"]].map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+          </select>
+        </div>
+        {pca ? (
+          <>
+            <ResponsiveContainer width="100%" height={260}>
+              <ScatterChart>
+                <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
+                <XAxis dataKey="pc1" name="PC1" type="number" tick={{ fill: PALETTE.muted, fontSize: 10 }} tickFormatter={v => v.toFixed(1)}
+                  label={{ value: `PC1 (${(pca.explained[0] * 100).toFixed(0)}%)`, position: "insideBottom", fill: PALETTE.muted, fontSize: 10, dy: 10 }} />
+                <YAxis dataKey="pc2" name="PC2" type="number" tick={{ fill: PALETTE.muted, fontSize: 10 }} tickFormatter={v => v.toFixed(1)}
+                  label={{ value: `PC2 (${(pca.explained[1] * 100).toFixed(0)}%)`, angle: -90, position: "insideLeft", fill: PALETTE.muted, fontSize: 10 }} />
+                <Tooltip cursor={{ stroke: PALETTE.border }} content={({ payload }) => {
+                  const p = payload?.[0]?.payload;
+                  return p ? (
+                    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 6, padding: "6px 8px", fontSize: 11, color: PALETTE.text }}>
+                      <div style={{ fontFamily: "monospace", color: PALETTE.accent }}>{p.id}</div>
+                      <div style={{ color: PALETTE.textDim }}>{groupOf(byId[p.id])}{flagged.has(p.id) ? " · outlier" : ""}</div>
+                    </div>
+                  ) : null;
+                }} />
+                {groups.map(g => (
+                  <Scatter key={g} name={g} data={pca.points.filter(p => groupOf(byId[p.id]) === g)} fill={colorOf(g)} isAnimationActive={false}
+                    shape={({ cx, cy, payload }) => (
+                      <g>
+                        <StatusMark status={colorBy === "status" && g} cx={cx} cy={cy} fill={colorOf(g)} />
+                        {flagged.has(payload.id) && <circle cx={cx} cy={cy} r={10} fill="none" stroke={PALETTE.red} strokeWidth={1.5} />}
+                      </g>
+                    )} />
+                ))}
+                <Legend wrapperStyle={{ fontSize: 10 }} />
+              </ScatterChart>
+            </ResponsiveContainer>
+            <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>
+              — Standardized {metrics.length}-metric QC vectors · PC1: {topLoadings("pc1")} · PC2: {topLoadings("pc2")} · red ring: outlier
+            </div>
+          </>
+        ) : (
+          <div style={{ color: PALETTE.textDim, fontSize: 11 }}>Not enough varying metrics for a PCA.</div>
+        )}
+      </div>
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+        <div style={panel}>
+          <div style={heading}>OUTLIERS · robust |z| &gt; {OUTLIER_Z}</div>
+          {outliers.length === 0 && <div style={{ color: PALETTE.green, fontSize: 11 }}>✓ No sample stands out from the other {assay} libraries.</div>}
+          {outliers.map(o => (
+            <div key={o.id} style={{ display: "flex", gap: 8, fontSize: 11, padding: "3px 0", borderBottom: `1px solid ${PALETTE.border}` }}>
+              <span style={{ fontFamily: "monospace", color: PALETTE.accent, width: 48 }}>{o.id}</span>
+              <span style={{ color: QC_COLORS[byId[o.id].qc.status], width: 48, fontSize: 10 }}>{qcLabel(byId[o.id].qc.status)}</span>
+              <span style={{ color: PALETTE.text }}>
+                {o.drivers.map(d => `${label(d.metric)} ${d.z > 0 ? "high" : "low"} (z ${fmtZ(d.z)})`).join(", ")}
+              </span>
+            </div>
+          ))}
+        </div>
+        <div style={panel}>
+          <div style={heading}>BATCH EFFECTS · group median |z| &gt; {BATCH_Z}</div>
+          {batches.length === 0 && <div style={{ color: PALETTE.green, fontSize: 11 }}>✓ No flowcell, prep date, condition, lane or kit group shifts a metric.</div>}
+          {batches.map(b => (
+            <div key={`${b.field}/${b.group}/${b.metric}`} style={{ fontSize: 11, padding: "3px 0", borderBottom: `1px solid ${PALETTE.border}`, color: PALETTE.text }}>
+              <span style={{ color: PALETTE.orange }}>⚠ {b.label} {b.group}</span>
+              <span style={{ color: PALETTE.textDim }}> · {b.n} samples · </span>
+              {label(b.metric)} {b.z > 0 ? "high" : "low"} (median z {fmtZ(b.z)})
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
 
-// ── Mock data ─────────────────────────────────────────────────────────────────
-const PROJECTS = [
-  { id: "GBM-2024", name: "Glioblastoma Radioresistance", pi: "Dr. Nakamura", assays: ["scRNA-seq","scATAC-seq"], samples: 24, status: "running" },
-  { id: "BRCA-001", name: "BRCA TNBC Epigenome", pi: "Dr. Chen", assays: ["ChIP-seq","ATAC-seq","RNA-seq"], samples: 36, status: "complete" },
-  { id: "LUAD-007", name: "Lung Adenocarcinoma WGS", pi: "Dr. Patel", assays: ["WGS","RNA-seq"], samples: 18, status: "qc" },
-  { id: "AML-003",  name: "AML Cut&Run Profiling", pi: "Dr. Torres", assays: ["Cut&Run","RNA-seq"], samples: 12, status: "pending" },
-];
+const QCImport = ({ source, onImport }) => {
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
 
-const PIPELINE_STEPS = {
-  "RNA-seq":    ["FastQC","Trim Galore","STAR","featureCounts","DESeq2","Pathway"],
-  "scRNA-seq":  ["FastQC","STARsolo","CellRanger","Seurat","DoubletFinder","Annotation"],
-  "ATAC-seq":   ["FastQC","Trim Galore","Bowtie2","Samtools","MACS3","deepTools"],
-  "scATAC-seq": ["FastQC","Trim Galore","BWA","ArchR","Peak Calling","TF Motifs"],
-  "ChIP-seq":   ["FastQC","Trim Galore","Bowtie2","Samtools","MACS3","HOMER"],
-  "Cut&Run":    ["FastQC","Trimmomatic","Bowtie2","SEACR","deepTools","Motifs"],
-  "WGS":        ["FastQC","Trim Galore","BWA-MEM2","GATK","Mutect2","Annotation"],
-  "WGBS":       ["FastQC","Trim Galore","Bismark","MethylDackel","DMRfinder","Viz"],
+  const load = async fileList => {
+    const files = [...fileList];
+    if (!files.length) return;
+    try {
+      const { samples, curves, runAt } = await parseQCFiles(files);
+      setError(null);
+      onImport({ samples, curves, runAt, source: files.map(f => f.name).join(" + "), importedAt: new Date().toISOString() });
+    } catch (e) {
+      setError(`Could not import ${e.message}`);
+    }
+  };
+
+  return (
+    <div
+      onDragOver={e => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={e => { e.preventDefault(); setDragging(false); load(e.dataTransfer.files); }}
+      style={{
+        display: "flex", alignItems: "center", gap: 10, padding: "8px 12px", borderRadius: 6,
+        border: `1px dashed ${dragging ? PALETTE.accent : PALETTE.border}`,
+        background: dragging ? PALETTE.accent + "11" : "transparent",
+      }}>
+      <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>DATA SOURCE</span>
+      <span style={{ fontFamily: "monospace", fontSize: 11, color: source ? PALETTE.text : PALETTE.yellow }}>
+        {source ? `${source.source} · ${source.samples.length} samples` : "demo data (random)"}
+      </span>
+      {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+      <span style={{ marginLeft: "auto", color: PALETTE.textDim, fontSize: 10 }}>drop multiqc_data.json / multiqc_general_stats.txt or</span>
+      <button onClick={() => inputRef.current.click()} style={{
+        padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+        color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+      }}>Import…</button>
+      <input ref={inputRef} type="file" multiple accept=".json,.txt,.tsv" style={{ display: "none" }}
+        onChange={e => { load(e.target.files); e.target.value = ""; }} />
+    </div>
+  );
 };
 
-const generateSamples = () =>
-  Array.from({ length: 8 }, (_, i) => {
-    const pass = Math.random() > 0.2;
-    return {
-      id: `S${String(i + 1).padStart(2, "0")}`,
-      reads: +(15 + Math.random() * 35).toFixed(1),
-      mapped: +(pass ? 85 + Math.random() * 12 : 55 + Math.random() * 20).toFixed(1),
-      dup: +(pass ? 5 + Math.random() * 20 : 35 + Math.random() * 30).toFixed(1),
-      q30: +(pass ? 80 + Math.random() * 18 : 50 + Math.random() * 25).toFixed(1),
-      frip: +(pass ? 0.15 + Math.random() * 0.35 : 0.04 + Math.random() * 0.1).toFixed(3),
-      tss: +(pass ? 6 + Math.random() * 10 : 2 + Math.random() * 3).toFixed(2),
-      pass,
-    };
-  });
+const ReviewBadge = ({ review }) => {
+  const d = review && REVIEW_DECISIONS[review.decision];
+  return d ? (
+    <span title={`${review.reviewer} · ${new Date(review.at).toLocaleString()} — ${review.comment}`} style={{
+      padding: "2px 8px", borderRadius: 3, fontSize: 10, fontFamily: "monospace", background: d.color + "22", color: d.color, whiteSpace: "nowrap",
+    }}>{d.label}</span>
+  ) : <span style={{ color: PALETTE.muted, fontSize: 10 }}>—</span>;
+};
 
-const AWS_ARCH = [
-  { service: "S3", icon: "🪣", desc: "Raw FASTQs, BAMs, Peaks", color: "#ff8c42" },
-  { service: "EC2/Spot", icon: "⚡", desc: "Pipeline execution nodes", color: "#00d4ff" },
-  { service: "AWS Batch", icon: "🔄", desc: "Job queue & scheduling", color: "#b48aff" },
-  { service: "Step Functions", icon: "🔗", desc: "Workflow orchestration", color: "#00ffaa" },
-  { service: "RDS Aurora", icon: "🗄️", desc: "Project & sample metadata", color: "#ffd166" },
-  { service: "CloudWatch", icon: "📊", desc: "Pipeline monitoring & alerts", color: "#ff4d6d" },
-  { service: "Lambda", icon: "λ", desc: "QC triggers & notifications", color: "#7eb8ff" },
-  { service: "CloudFront", icon: "🌐", desc: "Dashboard CDN delivery", color: "#c084fc" },
-];
+// Records one decision for every sample given; the comment is required.
+const ReviewForm = ({ samples, reviewer, error, onSubmit }) => {
+  const [decision, setDecision] = useState(null);
+  const [comment, setComment] = useState("");
+  const single = samples.length === 1 ? samples[0] : null;
+  const problem = !decision ? "Pick a decision" : !comment.trim() ? "A comment is required" : null;
+  const submit = () => {
+    if (problem) return;
+    onSubmit(decision, comment.trim());
+    setDecision(null);
+    setComment("");
+  };
+  const inputStyle = {
+    background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text,
+    padding: "4px 6px", fontFamily: "monospace", fontSize: 11, width: "100%",
+  };
+  return (
+    <div style={{ marginTop: 12, paddingTop: 10, borderTop: `1px solid ${PALETTE.border}` }}>
+      <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 6 }}>REVIEW{single ? "" : ` · ${samples.length} samples`}</div>
+      {single?.review && (
+        <div style={{ fontSize: 10, color: PALETTE.textDim, marginBottom: 8, lineHeight: 1.5 }}>
+          <ReviewBadge review={single.review} /> by {single.review.reviewer} · {fmtDate(single.review.at)}
+          <div style={{ color: PALETTE.text }}>“{single.review.comment}”</div>
+        </div>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 6 }}>
+        {Object.entries(REVIEW_DECISIONS).map(([k, d]) => (
+          <button key={k} onClick={() => setDecision(k)} style={{
+            padding: "3px 8px", borderRadius: 4, fontSize: 10, fontFamily: "monospace", cursor: "pointer",
+            border: `1px solid ${decision === k ? d.color : d.color + "44"}`, background: decision === k ? d.color + "22" : "transparent", color: d.color,
+          }}>{d.label}</button>
+        ))}
+      </div>
+      <textarea value={comment} onChange={e => setComment(e.target.value)} rows={2} placeholder="Comment (required)"
+        style={{ ...inputStyle, resize: "vertical", marginBottom: 6 }} />
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <span style={{ flex: 1, color: PALETTE.textDim, fontSize: 10 }}>as {reviewer}</span>
+        <button onClick={submit} disabled={!!problem} title={problem || ""} style={{
+          padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+          color: problem ? PALETTE.muted : PALETTE.accent, cursor: problem ? "default" : "pointer", fontSize: 11, fontFamily: "monospace", whiteSpace: "nowrap",
+        }}>Record</button>
+      </div>
+      {error && <div style={{ color: PALETTE.red, fontSize: 10, marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+};
 
-// ── Sub-components ─────────────────────────────────────────────────────────────
-const Tag = ({ label, color }) => (
-  <span style={{
-    background: color + "22", color, border: `1px solid ${color}55`,
-    borderRadius: 4, padding: "2px 8px", fontSize: 11, fontFamily: "monospace",
-    letterSpacing: "0.05em",
-  }}>{label}</span>
+const ReviewLog = ({ project, log }) => {
+  const [assay, setAssay] = useState("all");
+  const shown = log.filter(e => assay === "all" || e.assay === assay).slice().reverse();
+  const latest = latestReviews(log);
+  const buttonStyle = {
+    padding: "5px 12px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+    color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  };
+  const cell = { padding: "5px 8px", fontSize: 11, color: PALETTE.text, verticalAlign: "top" };
+  return (
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
+        <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>REVIEW AUDIT LOG · {project.id}</div>
+        <span style={{ color: PALETTE.textDim, fontSize: 10 }}>{log.length} decisions · {Object.keys(latest).length} samples reviewed</span>
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          <select value={assay} onChange={e => setAssay(e.target.value)} style={{
+            background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text, fontSize: 11, fontFamily: "monospace", padding: "2px 6px",
+          }}>
+            {["all", ...project.assays].map(a => <option key={a} value={a}>{a === "all" ? "all assays" : a}</option>)}
+          </select>
+          <button disabled={!log.length} onClick={() => downloadFile(`${project.id}-qc-reviews.csv`, buildReviewLogCsv(log), "text/csv")} style={buttonStyle}>Export CSV</button>
+          <button disabled={!log.length} onClick={() => downloadFile(`${project.id}-qc-reviews.json`,
+            JSON.stringify({ project: project.id, exportedAt: new Date().toISOString(), entries: log }, null, 2))} style={buttonStyle}>Export JSON</button>
+        </div>
+      </div>
+      {shown.length === 0 ? (
+        <div style={{ color: PALETTE.textDim, fontSize: 11 }}>No review decisions yet — select samples on the SAMPLES tab to review them.</div>
+      ) : (
+        <div style={{ maxHeight: 320, overflowY: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+                {["When", "Assay", "Sample", "Decision", "Reviewer", "Comment", "QC then"].map(h => (
+                  <th key={h} style={{ ...cell, color: PALETTE.textDim, fontSize: 10, fontWeight: 400, letterSpacing: "0.08em", textAlign: "left" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(e => (
+                <tr key={e.id} style={{ borderBottom: `1px solid ${PALETTE.border}`, opacity: latest[`${e.assay}/${e.sample}`] === e ? 1 : 0.55 }}>
+                  <td style={{ ...cell, fontFamily: "monospace", whiteSpace: "nowrap" }}>{new Date(e.at).toLocaleString()}</td>
+                  <td style={{ ...cell, color: ASSAY_COLORS[e.assay] || PALETTE.text, fontFamily: "monospace" }}>{e.assay}</td>
+                  <td style={{ ...cell, color: PALETTE.accent, fontFamily: "monospace" }}>{e.sample}</td>
+                  <td style={cell}><ReviewBadge review={e} /></td>
+                  <td style={cell} title={e.reviewerId || ""}>{e.reviewer}</td>
+                  <td style={cell}>{e.comment}</td>
+                  <td style={{ ...cell, color: QC_COLORS[e.qcStatus] || PALETTE.muted, fontFamily: "monospace", fontSize: 10 }}
+                    title={Object.entries(e.metrics).map(([m, v]) => `${METRICS[m]?.label || m}: ${fmt(v, METRICS[m]?.unit)}`).join("\n")}>{qcLabel(e.qcStatus)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>— Superseded decisions are dimmed; hover QC for the metric values at review time.</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AlertRow = ({ entry, onRead, onSnooze }) => (
+  <div style={{ display: "flex", gap: 8, padding: "8px 10px", borderBottom: `1px solid ${PALETTE.border}`, opacity: entry.resolvedAt ? 0.6 : 1 }}>
+    <span style={{ color: ALERT_SEVERITIES[entry.severity], fontSize: 10, marginTop: 2 }}>●</span>
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ fontSize: 10, color: PALETTE.textDim, fontFamily: "monospace" }}>
+        {[entry.project, entry.assay, entry.sample].filter(Boolean).join(" · ")} · {fmtAlertTime(entry.firedAt)}
+        {entry.resolvedAt && <span style={{ color: PALETTE.green }}> · resolved</span>}
+      </div>
+      <div style={{ fontSize: 11, color: entry.read ? PALETTE.textDim : PALETTE.text, fontWeight: entry.read ? 400 : 500 }}>{entry.message}</div>
+      {Object.entries(entry.deliveries).map(([hook, result]) => (
+        <div key={hook} style={{ fontSize: 9, color: result === "ok" ? PALETTE.textDim : PALETTE.red }}>→ {hook}: {result === "ok" ? "sent" : result}</div>
+      ))}
+    </div>
+    <div style={{ display: "flex", flexDirection: "column", gap: 2, alignItems: "flex-end" }}>
+      {!entry.read && <button onClick={() => onRead(entry)} style={{ background: "transparent", border: "none", color: PALETTE.accent, cursor: "pointer", fontSize: 10 }}>mark read</button>}
+      {onSnooze && (
+        <select value="" onChange={e => e.target.value && onSnooze(entry.key, +e.target.value)} title="Hold back new alerts for this sample and rule" style={{
+          background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.muted, fontSize: 10, padding: "1px 2px",
+        }}>
+          <option value="">snooze…</option>
+          {ALERT_SNOOZES.map(([label, ms]) => <option key={label} value={ms}>{label}</option>)}
+        </select>
+      )}
+    </div>
+  </div>
 );
 
-const StatCard = ({ label, value, unit, good, warn }) => {
-  const numVal = parseFloat(value);
-  const color = numVal >= good ? PALETTE.green : numVal >= warn ? PALETTE.yellow : PALETTE.red;
+// Header bell with the unread count; opens the latest alerts. onSnooze is left
+// out for users who may not change the alert settings.
+const AlertCenter = ({ state, note, onRead, onReadAll, onSnooze, onOpenRules }) => {
+  const [open, setOpen] = useState(false);
+  const unread = state.log.filter(e => !e.read).length;
   return (
-    <div style={{
-      background: PALETTE.panel, border: `1px solid ${PALETTE.border}`,
-      borderRadius: 8, padding: "14px 16px", flex: 1, minWidth: 120,
-    }}>
-      <div style={{ color: PALETTE.textDim, fontSize: 11, marginBottom: 6, letterSpacing: "0.08em", textTransform: "uppercase" }}>{label}</div>
-      <div style={{ color, fontSize: 26, fontFamily: "'Space Mono', monospace", fontWeight: 700 }}>
-        {value}<span style={{ fontSize: 13, marginLeft: 3, opacity: 0.7 }}>{unit}</span>
-      </div>
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen(o => !o)} title={`${unread} unread alerts`} style={{
+        position: "relative", background: "transparent", border: `1px solid ${open ? PALETTE.accent : PALETTE.border}`, borderRadius: 6,
+        color: PALETTE.text, cursor: "pointer", fontSize: 14, padding: "3px 8px",
+      }}>
+        🔔
+        {unread > 0 && (
+          <span style={{
+            position: "absolute", top: -6, right: -8, background: PALETTE.red, color: "#fff", borderRadius: 8,
+            fontSize: 9, fontFamily: "monospace", padding: "1px 5px",
+          }}>{unread > 99 ? "99+" : unread}</span>
+        )}
+      </button>
+      {open && (
+        <div style={{
+          position: "absolute", right: 0, top: 36, width: 400, maxHeight: 460, overflowY: "auto", zIndex: 20,
+          background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, boxShadow: "0 8px 24px #0008",
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 10px", borderBottom: `1px solid ${PALETTE.border}` }}>
+            <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>ALERTS · {unread} unread</span>
+            <button onClick={onReadAll} disabled={!unread} style={{ marginLeft: "auto", background: "transparent", border: "none", color: unread ? PALETTE.accent : PALETTE.muted, cursor: "pointer", fontSize: 10 }}>mark all read</button>
+            {onOpenRules && <button onClick={() => { setOpen(false); onOpenRules(); }} style={{ background: "transparent", border: "none", color: PALETTE.accent, cursor: "pointer", fontSize: 10 }}>rules…</button>}
+          </div>
+          {note && <div style={{ padding: 12, color: PALETTE.yellow, fontSize: 11 }}>{note}</div>}
+          {!note && state.log.length === 0 && <div style={{ padding: 12, color: PALETTE.textDim, fontSize: 11 }}>No alerts.</div>}
+          {state.log.slice(0, 50).map(e => <AlertRow key={alertId(e)} entry={e} onRead={onRead} onSnooze={onSnooze} />)}
+        </div>
+      )}
     </div>
   );
 };
 
-const PipelineTracker = ({ steps, assay }) => {
-  const [active, setActive] = useState(3);
-  useEffect(() => {
-    const t = setInterval(() => setActive(a => (a < steps.length ? a + 1 : a)), 1800);
-    return () => clearInterval(t);
-  }, [steps]);
+// Rule and webhook edits stay a draft until saved to the alert service.
+// onRules/onHooks resolve to whether the service took them, onTest to the result.
+const AlertSettings = ({ endpoint, onEndpoint, error, state, onRules, onResetRules, onHooks, onTest, onSnooze, onUnsnooze, onRead }) => {
+  const [draftEndpoint, setDraftEndpoint] = useState(endpoint);
+  const [draftRules, setDraftRules] = useState(null);
+  const [draftHooks, setDraftHooks] = useState(null);
+  const [tests, setTests] = useState({}); // hook id -> result of the last test
+  const [addKind, setAddKind] = useState("metric");
+  const panel = { background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 };
+  const heading = { color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 };
+  const input = {
+    background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text,
+    padding: "3px 6px", fontFamily: "monospace", fontSize: 11,
+  };
+  const buttonStyle = {
+    padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+    color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  };
+  const link = { background: "transparent", border: "none", color: PALETTE.muted, cursor: "pointer", fontSize: 11 };
+  const service = (
+    <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+      <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em" }}>ALERT SERVICE</span>
+      <input value={draftEndpoint} onChange={e => setDraftEndpoint(e.target.value)} placeholder="http://localhost:4000"
+        onKeyDown={e => e.key === "Enter" && onEndpoint(draftEndpoint.trim())} style={{ ...input, flex: 1, padding: "4px 8px" }} />
+      <button onClick={() => onEndpoint(draftEndpoint.trim())} style={buttonStyle}>Connect</button>
+      {error && <span style={{ color: PALETTE.red, fontSize: 11 }}>{error}</span>}
+    </div>
+  );
+  if (!state) {
+    return (
+      <div style={panel}>
+        {service}
+        <div style={{ color: PALETTE.textDim, fontSize: 11, marginTop: 10 }}>
+          {endpoint ? (error ? "The alert service did not answer." : "Connecting…")
+            : "No alert service. Rules are checked and alerts sent by the backend: run node mock-server.js and connect to http://localhost:4000, or deploy alerts-lambda.js."}
+        </div>
+      </div>
+    );
+  }
+  const rules = draftRules || state.rules;
+  const hooks = draftHooks || state.hooks;
+  const setRule = (id, patch) => setDraftRules(rules.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  // A hook's saved URL is never sent back (it is a secret); one typed here replaces it.
+  const setHook = (id, patch) => setDraftHooks(hooks.map(h => (h.id === id ? { ...h, ...patch } : h)));
+  const saveButtons = (dirty, save, discard) => dirty && (
+    <>
+      <button onClick={save} style={{ ...buttonStyle, borderColor: PALETTE.green + "55", color: PALETTE.green }}>Save</button>
+      <button onClick={discard} style={link}>Discard</button>
+    </>
+  );
+  const num = (value, onChange, width = 70) => (
+    <input type="number" value={value} step="any" onChange={e => e.target.value !== "" && onChange(parseFloat(e.target.value))} style={{ ...input, width }} />
+  );
+  const assaySelect = r => (
+    <select value={r.assay} onChange={e => setRule(r.id, { assay: e.target.value })} style={input}>
+      {["*", ...Object.keys(ASSAY_SCHEMAS)].map(a => <option key={a} value={a}>{a === "*" ? "any assay" : a}</option>)}
+    </select>
+  );
+  const params = r => {
+    if (r.kind === "metric") {
+      return (
+        <>
+          {assaySelect(r)}
+          <select value={r.metric} onChange={e => setRule(r.id, { metric: e.target.value })} style={input}>
+            {Object.entries(METRICS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+          </select>
+          <select value={r.op} onChange={e => setRule(r.id, { op: e.target.value })} style={input}>
+            {["<", ">"].map(op => <option key={op}>{op}</option>)}
+          </select>
+          {num(r.value, value => setRule(r.id, { value }))}
+        </>
+      );
+    }
+    if (r.kind === "qcFail") return assaySelect(r);
+    if (r.kind === "jobFailed") return <>attempts ≥ {num(r.count, count => setRule(r.id, { count: Math.max(1, Math.round(count)) }), 50)}</>;
+    if (r.kind === "dailySpend") return <>USD {num(r.value, value => setRule(r.id, { value }))}</>;
+    return null;
+  };
+  const test = async hook => {
+    setTests(t => ({ ...t, [hook.id]: "sending…" }));
+    const result = await onTest(hook.id);
+    setTests(t => ({ ...t, [hook.id]: result === "ok" ? "sent" : result }));
+  };
+  const snoozes = Object.entries(state.snoozed).filter(([, until]) => until > Date.now());
+
   return (
-    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
-      {steps.map((s, i) => {
-        const done = i < active;
-        const running = i === active - 1;
-        return (
-          <div key={s} style={{
-            padding: "4px 10px", borderRadius: 4, fontSize: 11, fontFamily: "monospace",
-            background: done ? PALETTE.accent + "22" : "#1a2535",
-            border: `1px solid ${running ? PALETTE.accent : done ? PALETTE.accent + "44" : PALETTE.border}`,
-            color: done ? PALETTE.accent : PALETTE.muted,
-            position: "relative",
-            boxShadow: running ? `0 0 8px ${PALETTE.accent}66` : "none",
-          }}>
-            {running && <span style={{ marginRight: 4, animation: "spin 1s linear infinite", display: "inline-block" }}>⟳</span>}
-            {done && !running && "✓ "}
-            {s}
+    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+      <div style={panel}>{service}</div>
+
+      <div style={panel}>
+        <div style={heading}>ALERT RULES</div>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {rules.map(r => {
+              const until = state.snoozed[`rule:${r.id}`];
+              return (
+                <tr key={r.id} style={{ borderBottom: `1px solid ${PALETTE.border}`, opacity: r.enabled ? 1 : 0.5 }}>
+                  <td style={{ padding: "6px 4px", width: 20 }}>
+                    <input type="checkbox" checked={r.enabled} onChange={e => setRule(r.id, { enabled: e.target.checked })} title="Enabled" />
+                  </td>
+                  <td style={{ padding: "6px 4px" }}>
+                    <div style={{ fontSize: 12, color: PALETTE.text }}>{ALERT_KINDS[r.kind].describe(r)}</div>
+                    <div style={{ display: "flex", gap: 6, alignItems: "center", marginTop: 4, fontSize: 11, color: PALETTE.textDim }}>
+                      {ALERT_KINDS[r.kind].label} · {params(r)}
+                    </div>
+                  </td>
+                  <td style={{ padding: "6px 4px", width: 100 }}>
+                    <select value={r.severity} onChange={e => setRule(r.id, { severity: e.target.value })} style={{ ...input, color: ALERT_SEVERITIES[r.severity] }}>
+                      {Object.keys(ALERT_SEVERITIES).map(sv => <option key={sv}>{sv}</option>)}
+                    </select>
+                  </td>
+                  <td style={{ padding: "6px 4px", width: 160, textAlign: "right", whiteSpace: "nowrap" }}>
+                    {until > Date.now() ? (
+                      <button onClick={() => onUnsnooze(`rule:${r.id}`)} style={{ ...link, color: PALETTE.yellow }} title="Unsnooze">snoozed until {fmtAlertTime(new Date(until).toISOString())}</button>
+                    ) : (
+                      <select value="" onChange={e => e.target.value && onSnooze(`rule:${r.id}`, +e.target.value)} style={{ ...input, color: PALETTE.muted }}>
+                        <option value="">snooze rule…</option>
+                        {ALERT_SNOOZES.map(([label, ms]) => <option key={label} value={ms}>{label}</option>)}
+                      </select>
+                    )}
+                    <button onClick={() => setDraftRules(rules.filter(x => x.id !== r.id))} style={{ ...link, marginLeft: 6 }} title="Delete rule">✕</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+          <select value={addKind} onChange={e => setAddKind(e.target.value)} style={input}>
+            {Object.entries(ALERT_KINDS).map(([k, kind]) => <option key={k} value={k}>{kind.label}</option>)}
+          </select>
+          <button onClick={() => setDraftRules([...rules, {
+            id: `${addKind}-${Date.now().toString(36)}`, kind: addKind, ...ALERT_KINDS[addKind].defaults, severity: "warning", enabled: true,
+          }])} style={buttonStyle}>+ Add rule</button>
+          {saveButtons(draftRules, () => onRules(draftRules).then(ok => ok && setDraftRules(null)), () => setDraftRules(null))}
+          <button onClick={() => onResetRules().then(ok => ok && setDraftRules(null))} style={{ ...link, marginLeft: "auto" }}>Reset to defaults</button>
+        </div>
+      </div>
+
+      <div style={panel}>
+        <div style={heading}>WEBHOOKS</div>
+        {hooks.length === 0 && <div style={{ color: PALETTE.textDim, fontSize: 11, marginBottom: 8 }}>Alerts are only shown in the dashboard until a webhook is added.</div>}
+        {hooks.map(h => (
+          <div key={h.id} style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 6, opacity: h.enabled ? 1 : 0.5 }}>
+            <input type="checkbox" checked={h.enabled} onChange={e => setHook(h.id, { enabled: e.target.checked })} title="Enabled" />
+            <input value={h.name} onChange={e => setHook(h.id, { name: e.target.value })} placeholder="Name" style={{ ...input, width: 120 }} />
+            <select value={h.type} onChange={e => setHook(h.id, { type: e.target.value })} style={input}>
+              {Object.entries(WEBHOOK_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <input value={h.url ?? ""} onChange={e => setHook(h.id, { url: e.target.value.trim() || undefined })}
+              placeholder={h.urlHint || "https://hooks.slack.com/services/…"} title={h.urlHint ? "Type a new URL to replace the saved one" : undefined} style={{ ...input, flex: 1 }} />
+            <select value={h.minSeverity} onChange={e => setHook(h.id, { minSeverity: e.target.value })} title="Lowest severity sent" style={input}>
+              {Object.keys(ALERT_SEVERITIES).map(sv => <option key={sv} value={sv}>≥ {sv}</option>)}
+            </select>
+            <button onClick={() => test(h)} disabled={!!draftHooks} title={draftHooks ? "Save the webhooks first" : "Send a test alert from the alert service"}
+              style={{ ...buttonStyle, opacity: draftHooks ? 0.5 : 1 }}>Test</button>
+            {tests[h.id] && <span style={{ fontSize: 10, color: tests[h.id] === "sent" ? PALETTE.green : tests[h.id] === "sending…" ? PALETTE.muted : PALETTE.red }}>{tests[h.id]}</span>}
+            <button onClick={() => setDraftHooks(hooks.filter(x => x.id !== h.id))} style={link} title="Remove webhook">✕</button>
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+          <button onClick={() => setDraftHooks([...hooks, {
+            id: Date.now().toString(36), name: "Local stub", type: "generic", url: "http://localhost:4000/hooks/qc", minSeverity: "info", enabled: true,
+          }])} style={buttonStyle}>+ Add webhook</button>
+          {saveButtons(draftHooks, () => onHooks(draftHooks).then(ok => ok && setDraftHooks(null)), () => setDraftHooks(null))}
+        </div>
+      </div>
+
+      <div style={panel}>
+        <div style={{ ...heading, display: "flex", gap: 8 }}>
+          <span>ALERT HISTORY</span>
+          <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: 0 }}>{state.log.filter(e => !e.resolvedAt).length} open · {state.log.length} kept</span>
+        </div>
+        {snoozes.length > 0 && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 10 }}>
+            {snoozes.map(([key, until]) => (
+              <button key={key} onClick={() => onUnsnooze(key)} title="Unsnooze" style={{ ...buttonStyle, borderColor: PALETTE.yellow + "55", color: PALETTE.yellow, fontSize: 10 }}>
+                {key.replace(/\|/g, " · ")} until {fmtAlertTime(new Date(until).toISOString())} ✕
+              </button>
+            ))}
           </div>
-        );
-      })}
+        )}
+        <div style={{ maxHeight: 360, overflowY: "auto" }}>
+          {state.log.length === 0 && <div style={{ color: PALETTE.textDim, fontSize: 11 }}>Nothing has fired yet.</div>}
+          {state.log.map(e => <AlertRow key={alertId(e)} entry={e} onRead={onRead} onSnooze={onSnooze} />)}
+        </div>
+      </div>
     </div>
   );
 };
 
-const RadarSample = ({ sample }) => {
-  const data = [
-    { metric: "Mapped%", value: sample.mapped, full: 100 },
-    { metric: "Q30%", value: sample.q30, full: 100 },
-    { metric: "Low Dup", value: 100 - sample.dup, full: 100 },
-    { metric: "Reads(M)", value: Math.min(sample.reads * 2, 100), full: 100 },
-    { metric: "FRiP×100", value: Math.min(sample.frip * 200, 100), full: 100 },
-    { metric: "TSS Score", value: Math.min(sample.tss * 7, 100), full: 100 },
-  ];
+// ── Samples table ─────────────────────────────────────────────────────────────
+const PAGE_SIZE = 50;
+const DEFAULT_TABLE_VIEW = { sort: { key: "id", dir: "asc" }, query: "", ranges: {}, failingOnly: false, page: 0 };
+const STATUS_ORDER = { FAIL: 0, WARN: 1, PASS: 2 };
+
+// Range bounds are kept as typed; blank or non-numeric bounds are ignored.
+const inRange = (v, [lo, hi] = []) => {
+  const min = parseFloat(lo), max = parseFloat(hi);
+  return (isNaN(min) || (v != null && v >= min)) && (isNaN(max) || (v != null && v <= max));
+};
+
+// Nulls ("n/a") sort last in either direction. "Failing" is anything short of
+// PASS, so WARN samples are kept too.
+const applyTableView = (samples, { sort, query, ranges, failingOnly }) => {
+  const q = query.trim().toLowerCase();
+  const value = s => (sort.key === "status" ? STATUS_ORDER[s.qc.status] : sort.key === "review" ? s.review?.decision ?? null : s[sort.key]);
+  const sign = sort.dir === "asc" ? 1 : -1;
+  return samples
+    .filter(s =>
+      (!q || s.id.toLowerCase().includes(q)) &&
+      (!failingOnly || s.qc.status !== "PASS") &&
+      Object.entries(ranges).every(([m, r]) => inRange(s[m], r)))
+    .sort((a, b) => {
+      const va = value(a), vb = value(b);
+      if (va == null || vb == null) return va == null ? (vb == null ? 0 : 1) : -1;
+      return sign * (typeof va === "string" ? va.localeCompare(vb, undefined, { numeric: true }) : va - vb);
+    });
+};
+
+const SamplesTable = ({ samples, assay, profile, view, onViewChange, selectedIds, onSelect }) => {
+  const [anchor, setAnchor] = useState(null);
+  const metrics = ASSAY_SCHEMAS[assay].metrics;
+  const rows = applyTableView(samples, view);
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const page = Math.min(view.page, pages - 1);
+  const pageRows = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const selected = new Set(selectedIds);
+  const allSelected = rows.length > 0 && rows.every(s => selected.has(s.id));
+  const filtered = view.query || view.failingOnly || Object.keys(view.ranges).length > 0;
+
+  const update = patch => onViewChange({ ...view, page: 0, ...patch });
+  const toggleSort = key => update({
+    sort: { key, dir: view.sort.key === key && view.sort.dir === "asc" ? "desc" : "asc" },
+    page,
+  });
+  const setRange = (m, i, text) => {
+    const r = [...(view.ranges[m] || ["", ""])];
+    r[i] = text;
+    const ranges = { ...view.ranges, [m]: r };
+    if (!r[0] && !r[1]) delete ranges[m];
+    update({ ranges });
+  };
+
+  // Click selects one row, Ctrl/⌘-click or the checkbox toggles, Shift-click extends.
+  const clickRow = (e, id) => {
+    if (e.shiftKey && anchor) {
+      const ids = rows.map(s => s.id);
+      const [a, b] = [ids.indexOf(anchor), ids.indexOf(id)].sort((x, y) => x - y);
+      if (a >= 0) return onSelect([...new Set([...selectedIds, ...ids.slice(a, b + 1)])]);
+    }
+    setAnchor(id);
+    if (e.ctrlKey || e.metaKey) onSelect(selected.has(id) ? selectedIds.filter(x => x !== id) : [...selectedIds, id]);
+    else onSelect(selectedIds.length === 1 && selected.has(id) ? [] : [id]);
+  };
+  // From the keyboard, arrows move between rows, Enter acts as a click, Space
+  // as Ctrl-click, and Shift extends either one.
+  const keyRow = (e, id) => {
+    if (e.target !== e.currentTarget) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      (e.key === "ArrowDown" ? e.currentTarget.nextElementSibling : e.currentTarget.previousElementSibling)?.focus();
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      clickRow({ shiftKey: e.shiftKey, ctrlKey: e.key === " " }, id);
+    }
+  };
+
+  const inputStyle = {
+    background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4,
+    color: PALETTE.text, padding: "4px 8px", fontFamily: "monospace", fontSize: 11,
+  };
+  const cellStyle = { padding: "10px 14px" };
+  const headers = [["id", "Sample"], ...metrics.map(m => [m, metricDef(assay, m).label]), ["status", "Status"], ["review", "Review"]];
+
+  return (
+    <div style={{ flex: 1, minWidth: 0, background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, overflow: "hidden" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, padding: "10px 14px", borderBottom: `1px solid ${PALETTE.border}` }}>
+        <input value={view.query} onChange={e => update({ query: e.target.value })} placeholder="Filter sample ID…" style={{ ...inputStyle, width: 160 }} />
+        <label style={{ color: PALETTE.textDim, fontSize: 11, display: "flex", alignItems: "center", gap: 4, cursor: "pointer" }}>
+          <input type="checkbox" checked={view.failingOnly} onChange={e => update({ failingOnly: e.target.checked })} />
+          WARN / FAIL only
+        </label>
+        {filtered && (
+          <button onClick={() => onViewChange({ ...DEFAULT_TABLE_VIEW, sort: view.sort })} style={{
+            background: "transparent", border: "none", color: PALETTE.accent, cursor: "pointer", fontSize: 11,
+          }}>clear filters</button>
+        )}
+        <span style={{ marginLeft: "auto", color: PALETTE.textDim, fontSize: 11 }}>
+          {rows.length} of {samples.length} samples{selectedIds.length > 0 && ` · ${selectedIds.length} selected`}
+        </span>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table role="grid" aria-multiselectable="true" aria-label={`${assay} samples`} style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+              <th style={{ ...cellStyle, width: 28 }}>
+                <input type="checkbox" aria-label="Select all samples" checked={allSelected} onChange={() => onSelect(allSelected ? [] : rows.map(s => s.id))} />
+              </th>
+              {headers.map(([key, label]) => (
+                <th key={key} onClick={() => toggleSort(key)} tabIndex={0}
+                  onKeyDown={e => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); toggleSort(key); } }}
+                  aria-sort={view.sort.key === key ? (view.sort.dir === "asc" ? "ascending" : "descending") : "none"} style={{
+                  ...cellStyle, textAlign: "left", fontSize: 10, letterSpacing: "0.08em", fontWeight: 400,
+                  cursor: "pointer", whiteSpace: "nowrap", userSelect: "none",
+                  color: view.sort.key === key ? PALETTE.accent : PALETTE.textDim,
+                }}>
+                  {label}{view.sort.key === key && (view.sort.dir === "asc" ? " ▲" : " ▼")}
+                </th>
+              ))}
+            </tr>
+            <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
+              <th />
+              <th />
+              {metrics.map(m => (
+                <th key={m} style={{ padding: "4px 14px", whiteSpace: "nowrap" }}>
+                  {["min", "max"].map((ph, i) => (
+                    <input key={ph} placeholder={ph} value={view.ranges[m]?.[i] ?? ""} onChange={e => setRange(m, i, e.target.value)}
+                      style={{ ...inputStyle, width: 44, padding: "2px 4px", fontSize: 10, marginRight: i ? 0 : 2 }} />
+                  ))}
+                </th>
+              ))}
+              <th />
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(s => (
+              <tr key={s.id} onClick={e => clickRow(e, s.id)} onKeyDown={e => keyRow(e, s.id)}
+                tabIndex={0} aria-selected={selected.has(s.id)}
+                style={{
+                  borderBottom: `1px solid ${PALETTE.border}`, cursor: "pointer",
+                  background: selected.has(s.id) ? PALETTE.accent + "11" : "transparent",
+                  transition: "background 0.1s",
+                }}>
+                <td style={cellStyle} onClick={e => e.stopPropagation()}>
+                  <input type="checkbox" aria-label={`Select ${s.id}`} checked={selected.has(s.id)}
+                    onChange={() => onSelect(selected.has(s.id) ? selectedIds.filter(x => x !== s.id) : [...selectedIds, s.id])} />
+                </td>
+                <td style={{ ...cellStyle, fontFamily: "monospace", color: PALETTE.accent }}>{s.id}</td>
+                {metrics.map(m => {
+                  const grade = gradeMetric(s[m], profile[m]);
+                  return (
+                    <td key={m} style={{ ...cellStyle, color: gradeColor(s[m], profile[m]), whiteSpace: "nowrap" }}>
+                      {fmt(s[m], METRICS[m].unit)}
+                      {(grade === "WARN" || grade === "FAIL") && <span title={grade} aria-label={grade} style={{ marginLeft: 4, fontSize: 10 }}>{QC_ICONS[grade]}</span>}
+                    </td>
+                  );
+                })}
+                <td style={cellStyle}>
+                  <span style={{
+                    padding: "2px 8px", borderRadius: 3, fontSize: 10, fontFamily: "monospace", whiteSpace: "nowrap",
+                    background: QC_COLORS[s.qc.status] + "22", color: QC_COLORS[s.qc.status],
+                  }}>{qcLabel(s.qc.status)}</span>
+                </td>
+                <td style={cellStyle}><ReviewBadge review={s.review} /></td>
+              </tr>
+            ))}
+            {pageRows.length === 0 && (
+              <tr><td colSpan={headers.length + 1} style={{ ...cellStyle, color: PALETTE.textDim }}>No samples match the filters.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {pages > 1 && (
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 8, padding: "8px 14px" }}>
+          {[["‹ prev", page - 1], ["next ›", page + 1]].map(([label, p]) => (
+            <button key={label} disabled={p < 0 || p >= pages} onClick={() => onViewChange({ ...view, page: p })} style={{
+              padding: "3px 10px", borderRadius: 4, border: `1px solid ${PALETTE.border}`, background: "transparent",
+              color: p < 0 || p >= pages ? PALETTE.muted : PALETTE.accent, cursor: "pointer", fontSize: 11,
+            }}>{label}</button>
+          ))}
+          <span style={{ color: PALETTE.textDim, fontSize: 11, fontFamily: "monospace" }}>
+            {page * PAGE_SIZE + 1}–{Math.min((page + 1) * PAGE_SIZE, rows.length)} · page {page + 1}/{pages}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ── Report export ─────────────────────────────────────────────────────────────
+// Reports are built as strings from the data, not scraped from the rendered
+// charts, so every assay is included and the file needs nothing from the network.
+const esc = v => String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+const REPORT_COLORS = { PASS: "#0a8f5a", WARN: "#b7791f", FAIL: "#c53030", bar: "#2b6cb0", grid: "#e2e8f0", text: "#1a202c", dim: "#718096" };
+
+const svgBarChart = (samples, metric, def, rule) => {
+  const W = 520, H = 200, L = 44, B = 40, T = 10;
+  const vals = samples.map(s => s[metric]).filter(v => v != null);
+  const max = def.unit === "%" ? 100 : Math.max(...vals, rule ? rule.pass : 0, 1e-9) * 1.1;
+  const y = v => T + (H - T - B) * (1 - v / max);
+  const bw = (W - L - 10) / Math.max(samples.length, 1);
+  const bars = samples.map((s, i) => {
+    const x = L + i * bw;
+    const label = `<text x="${x + bw / 2}" y="${H - B + 12}" font-size="9" fill="${REPORT_COLORS.dim}" text-anchor="end" transform="rotate(-45 ${x + bw / 2} ${H - B + 12})">${esc(s.id)}</text>`;
+    if (s[metric] == null) return label;
+    const fill = REPORT_COLORS[gradeMetric(s[metric], rule)] || REPORT_COLORS.bar;
+    return `<rect x="${x + bw * 0.15}" y="${y(s[metric])}" width="${bw * 0.7}" height="${H - B - y(s[metric])}" fill="${fill}"><title>${esc(s.id)}: ${s[metric]}</title></rect>${label}`;
+  }).join("");
+  const ticks = [0, max / 2, max].map(t =>
+    `<line x1="${L}" x2="${W - 10}" y1="${y(t)}" y2="${y(t)}" stroke="${REPORT_COLORS.grid}"/><text x="${L - 4}" y="${y(t) + 3}" font-size="9" fill="${REPORT_COLORS.dim}" text-anchor="end">${+t.toFixed(def.digits)}</text>`).join("");
+  const ref = rule ? `<line x1="${L}" x2="${W - 10}" y1="${y(rule.pass)}" y2="${y(rule.pass)}" stroke="${REPORT_COLORS.PASS}" stroke-dasharray="4 4"/>` : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">${ticks}${bars}${ref}</svg>`;
+};
+
+const svgScatter = (samples, x, y, dx, dy) => {
+  const W = 520, H = 200, L = 44, B = 30, T = 10;
+  const pts = samples.filter(s => s[x] != null && s[y] != null);
+  const range = k => {
+    const v = pts.map(s => s[k]);
+    const lo = Math.min(...v), hi = Math.max(...v);
+    return lo === hi ? [lo - 1, hi + 1] : [lo - (hi - lo) * 0.1, hi + (hi - lo) * 0.1];
+  };
+  if (!pts.length) return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="40"><text x="4" y="20" font-size="11" fill="${REPORT_COLORS.dim}">No samples report both ${esc(dx.label)} and ${esc(dy.label)}</text></svg>`;
+  const [x0, x1] = range(x), [y0, y1] = range(y);
+  const px = v => L + (W - L - 10) * (v - x0) / (x1 - x0);
+  const py = v => T + (H - T - B) * (1 - (v - y0) / (y1 - y0));
+  const dots = pts.map(s =>
+    `<circle cx="${px(s[x])}" cy="${py(s[y])}" r="5" fill="${REPORT_COLORS[s.qc.status]}" fill-opacity="0.8"><title>${esc(s.id)}: ${s[x]}, ${s[y]}</title></circle>`).join("");
+  const axes = `<line x1="${L}" x2="${W - 10}" y1="${H - B}" y2="${H - B}" stroke="${REPORT_COLORS.dim}"/><line x1="${L}" x2="${L}" y1="${T}" y2="${H - B}" stroke="${REPORT_COLORS.dim}"/>` +
+    `<text x="${(W + L) / 2}" y="${H - 6}" font-size="10" fill="${REPORT_COLORS.dim}" text-anchor="middle">${esc(dx.label)} (${+x0.toFixed(dx.digits)}–${+x1.toFixed(dx.digits)})</text>` +
+    `<text x="10" y="${(H - B) / 2}" font-size="10" fill="${REPORT_COLORS.dim}" text-anchor="middle" transform="rotate(-90 10 ${(H - B) / 2})">${esc(dy.label)}</text>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">${axes}${dots}</svg>`;
+};
+
+// sections: [{ assay, samples (graded), profile, source }]
+const buildReportHtml = (project, sections, generatedAt) => {
+  const assayHtml = ({ assay, samples, profile, source }) => {
+    const schema = ASSAY_SCHEMAS[assay];
+    const def = m => metricDef(assay, m);
+    const pass = samples.filter(s => s.qc.status !== "FAIL").length;
+    const cards = schema.cards.map(m => {
+      const v = mean(samples, m);
+      const grade = gradeMetric(v, profile[m]);
+      return `<div class="card"><div class="k">Avg ${esc(def(m).label)}</div><div class="v" style="color:${REPORT_COLORS[grade] || REPORT_COLORS.text}">${v == null ? "n/a" : v.toFixed(def(m).digits) + esc(def(m).unit || "")}</div></div>`;
+    }).join("") + `<div class="card"><div class="k">Samples pass</div><div class="v">${pass} / ${samples.length}</div></div>`;
+    const charts = [
+      ...schema.charts.map(m => `<figure><figcaption>${esc(def(m).title)}</figcaption>${svgBarChart(samples, m, def(m), profile[m])}</figure>`),
+      `<figure><figcaption>${esc(def(schema.scatter[0]).label)} vs ${esc(def(schema.scatter[1]).label)}</figcaption>${svgScatter(samples, ...schema.scatter, def(schema.scatter[0]), def(schema.scatter[1]))}</figure>`,
+    ].join("");
+    const rows = samples.map(s =>
+      `<tr><td>${esc(s.id)}</td>${schema.metrics.map(m => `<td style="color:${REPORT_COLORS[gradeMetric(s[m], profile[m])] || REPORT_COLORS.text}">${esc(fmt(s[m], def(m).unit))}</td>`).join("")}` +
+      `<td class="st" style="color:${REPORT_COLORS[s.qc.status]}">${s.qc.status}</td><td>${esc(s.qc.failed.map(m => describeMetric(s, m, profile[m])).join("; "))}</td></tr>`).join("");
+    const thresholds = Object.entries(profile).map(([m, r]) =>
+      `<tr><td>${esc(def(m).label)}</td><td>${r.dir === "max" ? "≤" : "≥"} ${r.pass}${esc(def(m).unit || "")}</td><td>${r.dir === "max" ? "≤" : "≥"} ${r.warn}${esc(def(m).unit || "")}</td></tr>`).join("");
+    return `<section><h2>${esc(assay)}</h2><div class="meta">Data source: ${esc(source)}</div>
+<div class="cards">${cards}</div><div class="charts">${charts}</div>
+<h3>Samples</h3><table><thead><tr><th>Sample</th>${schema.metrics.map(m => `<th>${esc(def(m).label)}</th>`).join("")}<th>Status</th><th>Failed metrics</th></tr></thead><tbody>${rows}</tbody></table>
+<h3>Thresholds used</h3><table class="narrow"><thead><tr><th>Metric</th><th>Pass</th><th>Warn</th></tr></thead><tbody>${thresholds}</tbody></table></section>`;
+  };
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(project.id)} · QC report</title>
+<style>
+body { font-family: -apple-system, "Helvetica Neue", Arial, sans-serif; color: ${REPORT_COLORS.text}; margin: 32px; font-size: 12px; }
+h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 16px; margin: 28px 0 4px; border-bottom: 2px solid ${REPORT_COLORS.grid}; } h3 { font-size: 13px; margin: 16px 0 6px; }
+.meta { color: ${REPORT_COLORS.dim}; margin-bottom: 8px; }
+.cards { display: flex; gap: 10px; margin: 10px 0; } .card { border: 1px solid ${REPORT_COLORS.grid}; border-radius: 6px; padding: 8px 12px; min-width: 110px; }
+.card .k { color: ${REPORT_COLORS.dim}; font-size: 10px; text-transform: uppercase; } .card .v { font-size: 18px; font-weight: 700; }
+.charts { display: flex; flex-wrap: wrap; gap: 12px; } figure { margin: 0; } figcaption { color: ${REPORT_COLORS.dim}; font-size: 10px; margin-bottom: 2px; }
+table { border-collapse: collapse; width: 100%; } table.narrow { width: auto; }
+th, td { border-bottom: 1px solid ${REPORT_COLORS.grid}; padding: 3px 8px; text-align: left; font-variant-numeric: tabular-nums; }
+th { color: ${REPORT_COLORS.dim}; font-weight: 500; } td.st { font-weight: 700; }
+@media print { body { margin: 12mm; } section { page-break-before: always; } section:first-of-type { page-break-before: auto; } tr, figure { page-break-inside: avoid; } }
+</style></head><body>
+<h1>${esc(project.name)} · QC report</h1>
+<div class="meta">${esc(project.pi)} · Project ID ${esc(project.id)} · Assays: ${esc(project.assays.join(", "))}</div>
+<div class="meta">Generated ${esc(generatedAt)} · Data sources: ${esc(sections.map(s => `${s.assay}: ${s.source}`).join("; "))}</div>
+${sections.map(assayHtml).join("\n")}
+</body></html>`;
+};
+
+// Text starting with = + - @ would run as a formula in Excel or Sheets, so it
+// gets a leading quote; numbers are written as they are.
+const csvCell = v => {
+  const text = typeof v === "string" && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildSamplesCsv = (project, sections) => {
+  const metrics = [...new Set(sections.flatMap(s => ASSAY_SCHEMAS[s.assay].metrics))];
+  const header = ["project", "assay", "sample", ...metrics, "status", "failed", "warned", "review", "source"];
+  const rows = sections.flatMap(({ assay, samples, source }) => samples.map(s => [
+    project.id, assay, s.id, ...metrics.map(m => s[m] ?? ""), s.qc.status, s.qc.failed.join(";"), s.qc.warned.join(";"),
+    s.review ? REVIEW_DECISIONS[s.review.decision]?.label : "", source,
+  ]));
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+};
+
+const buildSamplesJson = (project, sections, generatedAt) => JSON.stringify({
+  project: { id: project.id, name: project.name, pi: project.pi },
+  generatedAt,
+  assays: sections.map(({ assay, samples, profile, source }) => ({
+    assay, source, thresholds: profile,
+    samples: samples.map(({ qc, ...s }) => ({ ...s, status: qc.status, failed: qc.failed, warned: qc.warned })),
+  })),
+}, null, 2);
+
+// The print view is the same HTML; the browser's print dialog saves it as PDF.
+const printReport = html => {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  // Everything is inline, so there is nothing to wait for but layout.
+  setTimeout(() => w.print(), 500);
+  return true;
+};
+
+const ReportExport = ({ project, buildSections }) => {
+  const [blocked, setBlocked] = useState(false);
+  const run = kind => {
+    const sections = buildSections();
+    const generatedAt = new Date().toISOString();
+    const base = `${project.id}-qc-${generatedAt.slice(0, 10)}`;
+    if (kind === "html") downloadFile(`${base}.html`, buildReportHtml(project, sections, generatedAt), "text/html");
+    if (kind === "pdf") setBlocked(!printReport(buildReportHtml(project, sections, generatedAt)));
+    if (kind === "csv") downloadFile(`${base}.csv`, buildSamplesCsv(project, sections), "text/csv");
+    if (kind === "json") downloadFile(`${base}.json`, buildSamplesJson(project, sections, generatedAt));
+  };
   return (
-    <ResponsiveContainer width="100%" height={200}>
-      <RadarChart data={data}>
-        <PolarGrid stroke={PALETTE.border} />
-        <PolarAngleAxis dataKey="metric" tick={{ fill: PALETTE.textDim, fontSize: 10 }} />
-        <Radar dataKey="value" stroke={sample.pass ? PALETTE.green : PALETTE.red}
-          fill={sample.pass ? PALETTE.green : PALETTE.red} fillOpacity={0.15} strokeWidth={2} />
-      </RadarChart>
-    </ResponsiveContainer>
+    <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+      <span style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", marginRight: 2 }}>EXPORT</span>
+      {[["html", "HTML"], ["pdf", "PDF"], ["csv", "CSV"], ["json", "JSON"]].map(([k, label]) => (
+        <button key={k} onClick={() => run(k)} title={k === "pdf" ? "Opens the report and the print dialog" : `Download ${label}`} style={{
+          padding: "3px 8px", borderRadius: 4, border: `1px solid ${PALETTE.border}`, background: "transparent",
+          color: PALETTE.textDim, cursor: "pointer", fontSize: 10, fontFamily: "monospace",
+        }}>{label}</button>
+      ))}
+      {blocked && <span style={{ color: PALETTE.red, fontSize: 10 }}>allow pop-ups to print</span>}
+    </div>
   );
 };
 
+// ── URL routing ───────────────────────────────────────────────────────────────
+// /project/<id>/<assay>/<tab>?sample=S04&sort=-frip&q=S0&failing=1&page=2&range.frip=0.1..0.3
+// The path names the page; the selected samples and the samples table view are
+// query parameters, left out at their defaults. Paths are relative to the
+// build's PUBLIC_URL so the app can be served from a subdirectory.
+const ROUTE_BASE = new URL(env("PUBLIC_URL") || "/", "http://localhost").pathname.replace(/\/$/, "");
+const DASHBOARD_TABS = ["overview", "samples", "cells", "trends", "outliers", "contamination", "pipeline", "aws", "thresholds", "alerts", "project"];
+
+const parseRoute = (pathname, search) => {
+  const path = pathname.startsWith(ROUTE_BASE) ? pathname.slice(ROUTE_BASE.length) : pathname;
+  const parts = path.split("/").filter(Boolean).map(p => {
+    try {
+      return decodeURIComponent(p);
+    } catch {
+      return p;
+    }
+  });
+  if (!parts.length) return {};
+  if (parts[0] !== "project" || parts.length < 2 || parts.length > 4) return { invalid: path };
+  const q = new URLSearchParams(search);
+  const sort = q.get("sort");
+  const ranges = {};
+  q.forEach((v, k) => { if (k.startsWith("range.")) ranges[k.slice(6)] = v.split(".."); });
+  return {
+    project: parts[1], assay: parts[2], tab: parts[3], samples: q.getAll("sample"),
+    view: {
+      sort: sort ? { key: sort.replace(/^-/, ""), dir: sort.startsWith("-") ? "desc" : "asc" } : DEFAULT_TABLE_VIEW.sort,
+      query: q.get("q") || "", ranges, failingOnly: q.get("failing") === "1",
+      page: Math.max(0, (parseInt(q.get("page"), 10) || 1) - 1),
+    },
+  };
+};
+
+const NOT_FOUND = "not-found";
+
+const currentRoute = () => parseRoute(window.location.pathname, window.location.search);
+
+const buildRoute = ({ project, assay, tab, samples, view }) => {
+  const q = new URLSearchParams();
+  samples.forEach(id => q.append("sample", id));
+  const { sort } = DEFAULT_TABLE_VIEW;
+  if (view.sort.key !== sort.key || view.sort.dir !== sort.dir) q.set("sort", `${view.sort.dir === "desc" ? "-" : ""}${view.sort.key}`);
+  if (view.query) q.set("q", view.query);
+  if (view.failingOnly) q.set("failing", "1");
+  Object.entries(view.ranges).forEach(([m, [lo = "", hi = ""]]) => { if (lo !== "" || hi !== "") q.set(`range.${m}`, `${lo}..${hi}`); });
+  if (view.page) q.set("page", view.page + 1);
+  const path = [ROUTE_BASE, "project", project, assay, tab].map((p, i) => (i < 2 ? p : encodeURIComponent(p))).join("/");
+  return q.toString() ? `${path}?${q}` : path;
+};
+
+// Why a route can't be shown, or null.
+const routeProblem = (route, projects, user) => {
+  if (route.invalid) return `There is no page at ${route.invalid}.`;
+  if (!route.project) return null;
+  const project = projects.find(p => p.id === route.project);
+  if (!project) return `There is no project "${route.project}".`;
+  if (route.assay && !project.assays.includes(route.assay)) return `Project ${project.id} has no ${route.assay} assay.`;
+  if (route.assay && !ASSAY_SCHEMAS[route.assay]) return `${route.assay} is not an assay the dashboard knows.`;
+  if (route.tab && !DASHBOARD_TABS.includes(route.tab)) return `There is no "${route.tab}" tab.`;
+  if (route.tab && !canSeeTab(user, route.tab)) return `You don't have access to the ${route.tab} tab.`;
+  return null;
+};
+
+const RouteNotFound = ({ message, projects, onOpen, children }) => (
+  <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 24, animation: "fadeIn 0.3s ease" }}>
+    <div style={{ fontFamily: "'Space Mono', monospace", color: PALETTE.yellow, fontSize: 16, marginBottom: 6 }}>Not found</div>
+    <div style={{ color: PALETTE.text, fontSize: 12, marginBottom: 16 }}>{message}</div>
+    <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", marginBottom: 8 }}>OPEN A PROJECT</div>
+    <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+      {projects.map(p => (
+        <button key={p.id} onClick={() => onOpen(p)} style={{
+          padding: "5px 12px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+          color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+        }}>{p.id}</button>
+      ))}
+    </div>
+    {children}
+  </div>
+);
+
 // ── Main Dashboard ────────────────────────────────────────────────────────────
-export default function MultiOmicsQCDashboard() {
-  const [activeProject, setActiveProject] = useState(PROJECTS[0]);
-  const [activeAssay, setActiveAssay] = useState("scRNA-seq");
-  const [samples] = useState(generateSamples);
-  const [selectedSample, setSelectedSample] = useState(null);
-  const [tab, setTab] = useState("overview"); // overview | pipeline | aws | samples
+// Without a saved choice the theme follows the browser's contrast and color
+// scheme preferences.
+const THEME_KEY = "bings.theme";
+const preferredTheme = () => {
+  const prefers = query => window.matchMedia?.(query).matches;
+  return prefers("(prefers-contrast: more)") ? "contrast" : prefers("(prefers-color-scheme: light)") ? "light" : "dark";
+};
+
+// The theme is applied in a layout effect, not during render; the re-render it
+// triggers reads the new colors before the browser paints. Printing always uses
+// the light theme.
+const useTheme = () => {
+  const [theme, setTheme] = useState(() => store.get(THEME_KEY, null) || preferredTheme());
+  const [printing, setPrinting] = useState(false);
+  const [, setApplied] = useState(null);
+  useEffect(() => {
+    const before = () => flushSync(() => setPrinting(true));
+    const after = () => setPrinting(false);
+    window.addEventListener("beforeprint", before);
+    window.addEventListener("afterprint", after);
+    return () => {
+      window.removeEventListener("beforeprint", before);
+      window.removeEventListener("afterprint", after);
+    };
+  }, []);
+  const shown = printing ? "light" : theme;
+  useLayoutEffect(() => {
+    applyTheme(shown);
+    setApplied(shown);
+  }, [shown]);
+  const choose = name => { setTheme(name); store.set(THEME_KEY, name); };
+  return { theme, choose };
+};
+
+const ThemePicker = ({ theme, onChange }) => (
+  <select value={theme} onChange={e => onChange(e.target.value)} aria-label="Color theme" style={{
+    background: PALETTE.bg, border: `1px solid ${PALETTE.border}`, borderRadius: 4, color: PALETTE.text,
+    fontSize: 11, fontFamily: "monospace", padding: "3px 6px",
+  }}>
+    {Object.entries(THEME_LABELS).map(([name, label]) => <option key={name} value={name}>{label}</option>)}
+  </select>
+);
+
+// Keyboard handling for a row of tab buttons (the ARIA tabs pattern): arrows
+// and Home/End pick a neighbour and move focus to its button.
+const tabKeys = (e, items, current, pick) => {
+  const i = items.indexOf(current);
+  const next = { ArrowRight: i + 1, ArrowLeft: i - 1, Home: 0, End: items.length - 1 }[e.key];
+  if (next == null) return;
+  e.preventDefault();
+  const j = (next + items.length) % items.length;
+  pick(items[j]);
+  e.currentTarget.parentElement.children[j]?.focus();
+};
+
+// Up and down arrows move focus between sibling items of a list.
+const listKeys = e => {
+  if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+  e.preventDefault();
+  const sibling = e.key === "ArrowDown" ? "nextElementSibling" : "previousElementSibling";
+  let el = e.currentTarget[sibling];
+  while (el && el.getAttribute("role") !== e.currentTarget.getAttribute("role")) el = el[sibling];
+  el?.focus();
+};
+
+const SignIn = ({ auth }) => (
+  <div style={{
+    background: PALETTE.bg, color: PALETTE.text, minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center",
+    fontFamily: "'IBM Plex Sans', 'Helvetica Neue', sans-serif", fontSize: 13,
+  }}>
+    <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 28, width: 340, textAlign: "center" }}>
+      <div style={{ fontSize: 28, marginBottom: 8 }}>🧬</div>
+      <div style={{ fontFamily: "'Space Mono', monospace", color: PALETTE.accent, fontSize: 14, fontWeight: 700, marginBottom: 4 }}>BiNGS · QC Dashboard</div>
+      {auth.unconfigured ? (
+        <div style={{ color: PALETTE.yellow, fontSize: 11 }}>
+          Sign-in is not configured. This build has no REACT_APP_OIDC_ISSUER, so no projects are shown.
+        </div>
+      ) : (
+        <>
+          <div style={{ color: PALETTE.textDim, fontSize: 11, marginBottom: 20 }}>Sign in to see your lab's projects.</div>
+          <button onClick={auth.login} disabled={auth.busy} style={{
+            padding: "8px 20px", borderRadius: 4, border: `1px solid ${PALETTE.accent}`, background: PALETTE.accent + "22",
+            color: PALETTE.accent, cursor: auth.busy ? "default" : "pointer", fontSize: 12, fontFamily: "monospace",
+          }}>{auth.busy ? "Signing in…" : "Sign in"}</button>
+        </>
+      )}
+      {auth.error && <div style={{ color: PALETTE.red, fontSize: 11, marginTop: 12 }}>{auth.error}</div>}
+    </div>
+  </div>
+);
+
+// Nothing is loaded or shown before sign-in when OIDC is configured, nor ever
+// in a production build without it.
+export default function App() {
+  const auth = useAuth();
+  const theme = useTheme();
+  if (!auth.session) return <SignIn auth={auth} />;
+  return <MultiOmicsQCDashboard key={auth.session.user.name} user={auth.session.user} onSignOut={auth.logout} theme={theme} />;
+}
+
+// What a user without any visible project gets instead of one.
+const NO_PROJECT = { id: "", name: "", pi: "", group: "", assays: [], samples: [] };
+
+function MultiOmicsQCDashboard({ user, onSignOut, theme }) {
+  const [projectStoreUrl, setProjectStoreUrl] = useState(() => store.get("bings.projectStore", PROJECT_STORE));
+  const {
+    projects: storedProjects, save: saveProjects, retry: retryProjects,
+    error: projectsError, loadError: projectsLoadError, loading: projectsLoading,
+  } = useProjects(projectStoreUrl);
+  const connectProjectStore = url => {
+    if (url === projectStoreUrl) return retryProjects();
+    setProjectStoreUrl(url);
+    store.set("bings.projectStore", url);
+  };
+  const projects = visibleProjects(storedProjects, user);
+  // Costs, storage and alerts of projects the user can't see are left out.
+  const hiddenIds = new Set(storedProjects.filter(p => !projects.includes(p)).map(p => p.id));
+  const visible = x => !hiddenIds.has(x.project);
+  const [initialRoute] = useState(currentRoute);
+  const [activeProjectId, setActiveProjectId] = useState(initialRoute.project || SEED_PROJECTS[0].id);
+  const [newProject, setNewProject] = useState(null); // draft shown on the project tab until saved
+  const [assayChoice, setActiveAssay] = useState(initialRoute.assay || "scRNA-seq");
+  const [datasets, setDatasets] = useState({}); // "<project>/<assay>" -> imported MultiQC data
+  const [curveFiles, setCurveFiles] = useState({}); // "<project>/<assay>" -> { curves, source } from raw tool outputs
+  const [scData, setScData] = useState({}); // "<project>/<assay>" -> { samples: { id: { cells, summary } }, source }
+  const [contamination, setContamination] = useState({}); // "<project>/<assay>" -> { samples, demux, source } from screens and demux reports
+  const [selectedIds, setSelectedIds] = useState(initialRoute.samples || []);
+  const [tableView, setTableView] = useState(initialRoute.view || DEFAULT_TABLE_VIEW);
+  const [tabChoice, setTab] = useState(initialRoute.tab || "overview"); // one of DASHBOARD_TABS
+  const [routeError, setRouteError] = useState(null); // why the URL can't be shown
+  const [profiles, setProfiles] = useState(() => withDefaultProfiles(store.get("bings.qcProfiles", {})));
+  const [profilesDirty, setProfilesDirty] = useState(false);
+  const [history, setHistory] = useState(() => store.get(HISTORY_KEY, {})); // "<project>/<assay>" -> runs
+  const { reviews, append: appendReviews, error: reviewsError } = useReviews(projectStoreUrl); // project -> append-only review log
+  const [pipelineApi, setPipelineApi] = useState(() => store.get("bings.pipelineApi", PIPELINE_API));
+  const [costFile, setCostFile] = useState(null); // { items, source } from an imported CUR / Cost Explorer export
+  const [inventory, setInventory] = useState(null); // { objects, hasClass, source } from an S3 Inventory / s3 ls import
+  const [costApi, setCostApi] = useState(() => store.get("bings.costApi", COST_API));
+  const [costRange, setCostRange] = useState(() => costRangeFor(30));
+  const [budgets, setBudgets] = useState(() => store.get("bings.costBudgets", {})); // project -> USD / month
+  const costFeed = useCostEndpoint(costApi, costRange);
+  const [alertApi, setAlertApi] = useState(() => store.get("bings.alertApi", ALERT_API));
+  const [readAlerts, setReadAlerts] = useState(() => new Set(store.get(ALERT_READ_KEY, []))); // alertId()s read in this browser
+  const activeProject = projects.find(p => p.id === activeProjectId) || projects[0] || NO_PROJECT;
+  const activeAssay = activeProject.assays.includes(assayChoice) ? assayChoice : activeProject.assays[0];
+  // Imported definitions win over the configured ones, which win over the built-in ones.
+  const pipelineConfig = usePipelineConfig(PIPELINE_CONFIG);
+  const [importedPipelines, setImportedPipelines] = useState(() => store.get(PIPELINES_KEY, null)); // { pipelines, architecture }
+  const pipelines = { ...BUILT_IN_PIPELINES, ...pipelineConfig.config?.pipelines, ...importedPipelines?.pipelines };
+  const pipelineOf = assay => pipelines[assay] || NO_PIPELINE;
+  const architecture = importedPipelines?.architecture || pipelineConfig.config?.architecture || DEFAULT_ARCHITECTURE;
+  const { jobs, connection } = usePipelineFeed(activeProject.id, activeProject.assays, pipelineApi, activeProject.samples.map(s => s.id), pipelines);
+  const [selectedJob, setSelectedJob] = useState(null); // { sample, step } in the active assay
+  const notFound = !projects.length ? (projectsLoading ? "Loading projects…" : projectsLoadError ? `Could not load projects. ${projectsLoadError}`
+    : `No projects are shared with ${user.name} yet. Ask an admin to add you to your PI's group.`)
+    : routeError || (ASSAY_SCHEMAS[activeAssay] ? null : `${activeAssay} is not an assay the dashboard knows.`)
+    || (canSeeTab(user, tabChoice) ? null : `You don't have access to the ${tabChoice} tab.`);
+  const tab = notFound ? null : tabChoice;
+  const shownTabs = DASHBOARD_TABS.filter(t => canSeeTab(user, t) && (t !== "cells" || SC_ASSAYS.includes(activeAssay)));
+
+  // The URL is read when the projects have loaded and on back / forward, and
+  // written whenever the page, selection or table view changes: a new history
+  // entry for another page or selection, a replaced one for filters and sorting.
+  const pendingRoute = useRef(null); // route being applied from the URL; NOT_FOUND holds the URL as it is
+  const lastPage = useRef(null);
+  const applyRoute = r => {
+    const problem = routeProblem(r, projects, user);
+    setRouteError(problem);
+    if (problem) {
+      pendingRoute.current = NOT_FOUND;
+      return;
+    }
+    const project = projects.find(p => p.id === r.project) || projects[0];
+    if (!project) return;
+    const next = {
+      project: project.id, assay: r.assay || project.assays[0], tab: r.tab || "overview",
+      samples: r.samples || [], view: r.view || DEFAULT_TABLE_VIEW,
+    };
+    setActiveProjectId(next.project);
+    setNewProject(null);
+    setActiveAssay(next.assay);
+    setTab(next.tab);
+    setSelectedIds(next.samples);
+    setTableView(next.view);
+    pendingRoute.current = buildRoute(next);
+    lastPage.current = buildRoute({ ...next, view: DEFAULT_TABLE_VIEW });
+    if (pendingRoute.current !== window.location.pathname + window.location.search) window.history.replaceState(null, "", pendingRoute.current);
+  };
+  // The popstate listener outlives renders, so it calls the latest applyRoute
+  // (and with it the latest projects) through a ref.
+  const applyRouteRef = useRef(applyRoute);
+  applyRouteRef.current = applyRoute;
+  useEffect(() => {
+    if (projectsLoading) return undefined;
+    const onPop = () => applyRouteRef.current(currentRoute());
+    onPop();
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [projectsLoading]);
+  const routeState = { project: activeProject.id, assay: activeAssay, tab: tabChoice, samples: selectedIds, view: tableView };
+  const route = buildRoute(routeState);
+  const page = buildRoute({ ...routeState, view: DEFAULT_TABLE_VIEW });
+  useEffect(() => {
+    if (projectsLoading || routeError) return;
+    if (pendingRoute.current) {
+      if (route === pendingRoute.current) pendingRoute.current = null;
+      return;
+    }
+    if (route === window.location.pathname + window.location.search) return;
+    window.history[page === lastPage.current ? "replaceState" : "pushState"](null, "", route);
+    lastPage.current = page;
+  }, [route, page, projectsLoading, routeError]);
+  const dismissNotFound = () => {
+    setRouteError(null);
+    if (pendingRoute.current === NOT_FOUND) pendingRoute.current = null;
+  };
+  const openProject = p => { dismissNotFound(); setActiveProjectId(p.id); setNewProject(null); selectAssay(p.assays[0]); };
 
+  const datasetKey = `${activeProject.id}/${activeAssay}`;
+  const selectAssay = a => { dismissNotFound(); setActiveAssay(a); setSelectedIds([]); setTableView(DEFAULT_TABLE_VIEW); };
+  const dataset = datasets[datasetKey];
+  const schema = ASSAY_SCHEMAS[activeAssay];
+  const profile = profiles[activeAssay] || {};
+  // Demo projects fall back to generated QC; others show only what was imported.
+  // Contamination screens add the foreign and adapter metrics to the samples.
+  const contaminationOf = (project, assay) => contamination[`${project.id}/${assay}`]
+    || (project.demo && !datasets[`${project.id}/${assay}`] ? demoContaminationFor(project.id, assay, demoSamplesFor(project.id, assay).map(s => s.id)) : null);
+  const samplesOf = (project, assay) => withContamination(
+    datasets[`${project.id}/${assay}`]?.samples || (project.demo ? demoSamplesFor(project.id, assay) : []), contaminationOf(project, assay));
+  const metaById = Object.fromEntries(activeProject.samples.map(s => [s.id, s]));
+  const reviewLog = reviews[activeProject.id] || [];
+  const currentReviews = latestReviews(reviewLog);
+  const samplesFor = assay => gradeSamples(samplesOf(activeProject, assay), profiles[assay] || {})
+    .map(s => ({ ...s, meta: metaById[s.id] || null, review: currentReviews[`${assay}/${s.id}`] || null }));
+  const samples = samplesFor(activeAssay);
+  const reportSections = () => activeProject.assays.map(assay => ({
+    assay, samples: samplesFor(assay), profile: profiles[assay] || {},
+    source: datasets[`${activeProject.id}/${assay}`]?.source || (activeProject.demo ? "demo data (random)" : "no QC data"),
+  }));
+  const costItems = (costFile?.items || costFeed.items || (costApi ? [] : demoCostItems()))
+    .filter(it => visible(it) && it.date >= costRange.from && it.date <= costRange.to);
+  const costUsage = Object.fromEntries(projects.map(p => [p.id, Object.fromEntries(p.assays.map(a => {
+    const yields = samplesOf(p, a).map(sampleGb);
+    return [a, { samples: yields.length, gb: yields.reduce((t, g) => t + (g || 0), 0), estimated: samplesOf(p, a).some(s => s.gb == null) }];
+  }))]));
+  const statusOf = p => projectStatus(p,
+    Object.fromEntries(p.assays.map(a => [a, gradeSamples(samplesOf(p, a), profiles[a] || {})])), p.id === activeProject.id ? jobs : [],
+    latestReviews(reviews[p.id] || []));
+  const recordReview = (targets, decision, comment) => {
+    const at = new Date().toISOString();
+    appendReviews(targets.map(sample => reviewEntry({ project: activeProject.id, assay: activeAssay, sample, decision, comment, user, at })));
+  };
+  const reviewForm = targets => (
+    <ReviewForm key={targets.map(s => s.id).join(",")} samples={targets} reviewer={user.name} error={reviewsError}
+      onSubmit={(decision, comment) => recordReview(targets, decision, comment)} />
+  );
+  const sampleCount = p => p.samples.length || new Set(p.assays.flatMap(a => samplesOf(p, a).map(s => s.id))).size;
+  const runs = history[datasetKey] || [];
+  const trendRuns = runs.length || !activeProject.demo ? runs : demoHistoryFor(activeProject.id, activeAssay);
+  const trendMetrics = TREND_METRICS.filter(m => schema?.metrics.includes(m) || trendRuns.some(r => r.means[m] != null));
+  const saveHistory = next => { setHistory(next); store.set(HISTORY_KEY, next); };
   const passCount = samples.filter(s => s.pass).length;
+  const selectedSet = new Set(selectedIds);
+  const selectedSamples = samples.filter(s => selectedSet.has(s.id));
+  const selected = selectedSamples.length === 1 ? selectedSamples[0] : null;
+  const assayJobs = jobs.filter(j => j.assay === activeAssay);
+  const openJob = selectedJob && assayJobs.find(j => j.sample === selectedJob.sample && j.step === selectedJob.step);
+  const loadedCurves = mergeCurves(dataset?.curves || {}, curveFiles[datasetKey]?.curves || {});
+  const demoCurves = !dataset && !curveFiles[datasetKey] && activeProject.demo;
+  const curvesOf = s => (demoCurves ? demoCurvesFor(activeProject.id, activeAssay, s)
+    : Object.fromEntries(Object.keys(CURVE_KINDS).map(k => [k, loadedCurves[k]?.[s.id]])));
+  const curveSource = [dataset && Object.keys(dataset.curves || {}).length ? dataset.source : null, curveFiles[datasetKey]?.source].filter(Boolean).join(" + ");
+  const scDemo = !scData[datasetKey] && activeProject.demo;
+  const cellData = scData[datasetKey] || { samples: scDemo ? Object.fromEntries(samples.map(s => [s.id, demoCellsFor(activeProject.id, activeAssay, s)])) : {} };
+  const canImport = can(user, "import");
+  // Imported QC and costs go to the alert service, which checks the rules against
+  // them; demo data doesn't. Only users who may import can report.
+  const importedQc = projects.flatMap(p => p.assays.filter(a => datasets[`${p.id}/${a}`])
+    .map(a => qcSnapshot(p.id, a, gradeSamples(samplesOf(p, a), profiles[a] || {}))));
+  const importedCosts = costFile?.items || costFeed.items;
+  const alertService = useAlertService(alertApi,
+    canImport && importedQc.length ? JSON.stringify({ labels: METRIC_LABELS, snapshots: importedQc }) : null,
+    canImport && importedCosts ? JSON.stringify({ items: importedCosts.map(({ project, date, cost }) => ({ project, date, cost })) }) : null);
+  const alerts = alertService.state || { rules: [], hooks: [], log: [], snoozed: {} };
+  const shownAlerts = { ...alerts, log: alerts.log.filter(visible).map(e => ({ ...e, read: readAlerts.has(alertId(e)) })) };
+  // Read marks are only kept for entries still in the service's log.
+  const markRead = entries => setReadAlerts(read => {
+    const next = new Set([...read, ...entries.map(alertId)]);
+    store.set(ALERT_READ_KEY, alerts.log.map(alertId).filter(id => next.has(id)));
+    return next;
+  });
+  const canEditAlerts = canSeeTab(user, "alerts");
+  const snooze = (key, ms) => {
+    alertService.call("POST", "snooze", { key, until: Date.now() + ms });
+    markRead(shownAlerts.log.filter(e => !e.read && (e.key === key || `rule:${e.rule}` === key)));
+  };
+  const sampleJobs = id => pipelineOf(activeAssay).steps.map(st => assayJobs.find(j => j.sample === id && j.step === st.name)).filter(Boolean);
+  const saveImportedPipelines = next => { setImportedPipelines(next); store.set(PIPELINES_KEY, next); };
+  const executors = [...new Set(activeProject.assays.map(a => pipelineOf(a).executor).filter(Boolean))];
+  const engines = [...new Set(activeProject.assays.map(a => pipelineOf(a).engine?.split(" ")[0]).filter(Boolean))];
 
-  const assayColors = ASSAY_COLORS;
+  // Assays the dashboard doesn't know (from a shared project store) stay grey.
+  const assayColors = { ...Object.fromEntries(projects.flatMap(p => p.assays).map(a => [a, PALETTE.muted])), ...ASSAY_COLORS };
 
   return (
     <div style={{
@@ -177,10 +5380,11 @@ export default function MultiOmicsQCDashboard() {
       <style>{`
         @import url('https://fonts.googleapis.com/css2?family=IBM+Plex+Sans:wght@300;400;500;600&family=Space+Mono:wght@400;700&display=swap');
         * { box-sizing: border-box; margin: 0; padding: 0; }
-        ::-webkit-scrollbar { width: 4px; } ::-webkit-scrollbar-thumb { background: #1e2d4a; }
+        ::-webkit-scrollbar { width: 4px; } ::-webkit-scrollbar-thumb { background: ${PALETTE.border}; }
         @keyframes spin { to { transform: rotate(360deg); } }
         @keyframes pulse { 0%,100% { opacity:1; } 50% { opacity:0.4; } }
         @keyframes fadeIn { from { opacity:0; transform:translateY(8px); } to { opacity:1; transform:none; } }
+        :focus-visible { outline: 2px solid ${PALETTE.accent}; outline-offset: 2px; }
       `}</style>
 
       {/* Header */}
@@ -203,12 +5407,28 @@ export default function MultiOmicsQCDashboard() {
           </div>
         </div>
         <div style={{ display: "flex", alignItems: "center", gap: 20 }}>
-          <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
-            <div style={{ width: 7, height: 7, borderRadius: "50%", background: PALETTE.green, animation: "pulse 2s infinite" }} />
-            <span style={{ color: PALETTE.green, fontSize: 11, fontFamily: "monospace" }}>LIVE · us-east-1</span>
-          </div>
-          <Tag label="AWS Batch" color={PALETTE.accent} />
+          <AlertCenter state={shownAlerts} onRead={e => markRead([e])} onSnooze={canEditAlerts ? snooze : null}
+            note={!alertApi ? "No alert service connected." : alertService.error}
+            onOpenRules={canEditAlerts ? () => { dismissNotFound(); setTab("alerts"); } : null}
+            onReadAll={() => markRead(shownAlerts.log.filter(e => !e.read))} />
+          <ConnectionStatus connection={connection} />
+          {executors.map(e => <Tag key={e} label={e} color={PALETTE.accent} />)}
           <Tag label="S3 Connected" color={PALETTE.green} />
+          <ThemePicker theme={theme.theme} onChange={theme.choose} />
+          {user.local ? (
+            <Tag label="Sign-in off" color={PALETTE.yellow} />
+          ) : (
+            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <div style={{ textAlign: "right" }}>
+                <div style={{ fontSize: 11, color: PALETTE.text }}>{user.name}</div>
+                <div style={{ fontSize: 9, color: PALETTE.textDim, letterSpacing: "0.08em" }}>{user.role.toUpperCase()}</div>
+              </div>
+              <button onClick={onSignOut} style={{
+                padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.border}`, background: "transparent",
+                color: PALETTE.muted, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+              }}>Sign out</button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -223,18 +5443,22 @@ export default function MultiOmicsQCDashboard() {
           <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.12em", marginBottom: 8, paddingLeft: 4 }}>
             ACTIVE PROJECTS
           </div>
-          {PROJECTS.map(p => (
-            <div key={p.id} onClick={() => { setActiveProject(p); setActiveAssay(p.assays[0]); }}
+          {projects.map(p => ({ ...p, status: statusOf(p) })).map(p => (
+            <div key={p.id} onClick={() => openProject(p)} role="button" tabIndex={0}
+              aria-current={activeProject.id === p.id && !notFound ? "page" : undefined}
+              onKeyDown={e => {
+                if (e.key === "Enter" || e.key === " ") { e.preventDefault(); openProject(p); } else listKeys(e);
+              }}
               style={{
                 padding: "10px 12px", borderRadius: 6, cursor: "pointer",
-                background: activeProject.id === p.id ? PALETTE.accent + "18" : "transparent",
-                border: `1px solid ${activeProject.id === p.id ? PALETTE.accent + "55" : "transparent"}`,
+                background: activeProject.id === p.id && !notFound ? PALETTE.accent + "18" : "transparent",
+                border: `1px solid ${activeProject.id === p.id && !notFound ? PALETTE.accent + "55" : "transparent"}`,
                 transition: "all 0.15s",
               }}>
-              <div style={{ color: activeProject.id === p.id ? PALETTE.accent : PALETTE.text, fontWeight: 500, fontSize: 12, marginBottom: 4 }}>
+              <div style={{ color: activeProject.id === p.id && !notFound ? PALETTE.accent : PALETTE.text, fontWeight: 500, fontSize: 12, marginBottom: 4 }}>
                 {p.name}
               </div>
-              <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 6 }}>{p.pi} · {p.samples} samples</div>
+              <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 6 }}>{p.pi} · {sampleCount(p)} samples</div>
               <div style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
                 {p.assays.map(a => (
                   <span key={a} style={{
@@ -246,224 +5470,317 @@ export default function MultiOmicsQCDashboard() {
               <div style={{ marginTop: 6 }}>
                 <span style={{
                   fontSize: 9, padding: "2px 6px", borderRadius: 3,
-                  background: p.status === "complete" ? PALETTE.green + "22" : p.status === "running" ? PALETTE.accent + "22" : p.status === "qc" ? PALETTE.yellow + "22" : "#ffffff11",
+                  background: p.status === "complete" ? PALETTE.green + "22" : p.status === "running" ? PALETTE.accent + "22" : p.status === "qc" ? PALETTE.yellow + "22" : PALETTE.muted + "22",
                   color: p.status === "complete" ? PALETTE.green : p.status === "running" ? PALETTE.accent : p.status === "qc" ? PALETTE.yellow : PALETTE.muted,
                 }}>● {p.status.toUpperCase()}</span>
               </div>
             </div>
           ))}
 
-          <div style={{ marginTop: "auto", padding: "12px 4px", borderTop: `1px solid ${PALETTE.border}` }}>
-            <div style={{ color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", marginBottom: 8 }}>COST MONITOR</div>
-            {[["Compute","$42.80"],["Storage","$12.34"],["Transfer","$3.21"]].map(([k,v]) => (
-              <div key={k} style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
-                <span style={{ color: PALETTE.textDim, fontSize: 11 }}>{k}</span>
-                <span style={{ color: PALETTE.yellow, fontFamily: "monospace", fontSize: 11 }}>{v}</span>
-              </div>
-            ))}
-            <div style={{ marginTop: 8, padding: "6px 8px", background: PALETTE.green + "11", border: `1px solid ${PALETTE.green}33`, borderRadius: 4 }}>
-              <div style={{ color: PALETTE.green, fontSize: 10 }}>💡 Spot savings: ~72%</div>
-            </div>
-          </div>
+          {can(user, "editProjects") && (
+            <button onClick={() => { dismissNotFound(); setNewProject({ id: "", name: "", pi: "", group: "", assays: [activeAssay], samples: [] }); setTab("project"); }} style={{
+              marginTop: 4, padding: "6px 12px", borderRadius: 6, border: `1px dashed ${PALETTE.border}`, background: "transparent",
+              color: PALETTE.muted, cursor: "pointer", fontSize: 11, textAlign: "left",
+            }}>+ New project</button>
+          )}
+
+          <CostMonitor items={costItems.filter(it => it.project === activeProject.id)} range={costRange} budget={budgets[activeProject.id]} />
         </div>
 
         {/* Main content */}
         <div style={{ flex: 1, overflowY: "auto", padding: "20px 24px", display: "flex", flexDirection: "column", gap: 16 }}>
 
-          {/* Project header */}
-          <div style={{ display: "flex", alignItems: "flex-start", justifyContent: "space-between" }}>
-            <div>
-              <div style={{ fontFamily: "'Space Mono', monospace", fontSize: 16, color: PALETTE.text, marginBottom: 4 }}>
-                {activeProject.name}
+          {notFound ? (
+            <RouteNotFound message={notFound} projects={projects} onOpen={openProject}>
+              {projectsLoadError && can(user, "editProjects") && (
+                <div style={{ marginTop: 16 }}>
+                  <ProjectStoreField url={projectStoreUrl} error={null} onConnect={connectProjectStore} />
+                </div>
+              )}
+            </RouteNotFound>
+          ) : (
+            <>
+              {/* Project header */}
+              <div style={{ display: "flex", alignItems: "flex-start", justifyContent: "space-between" }}>
+                <div>
+                  <div style={{ fontFamily: "'Space Mono', monospace", fontSize: 16, color: PALETTE.text, marginBottom: 4 }}>
+                    {activeProject.name}
+                  </div>
+                  <div style={{ color: PALETTE.textDim, fontSize: 11 }}>{activeProject.pi} · Project ID: {activeProject.id}</div>
+                </div>
+                <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: 8 }}>
+                  <div role="tablist" aria-label="Dashboard views" style={{ display: "flex", gap: 6 }}>
+                    {shownTabs.map(t => (
+                      <button key={t} onClick={() => setTab(t)} role="tab" aria-selected={tab === t} tabIndex={tab === t ? 0 : -1}
+                        onKeyDown={e => tabKeys(e, shownTabs, tab, setTab)} style={{
+                        padding: "6px 14px", borderRadius: 4, border: `1px solid ${tab === t ? PALETTE.accent : PALETTE.border}`,
+                        background: tab === t ? PALETTE.accent + "22" : "transparent",
+                        color: tab === t ? PALETTE.accent : PALETTE.muted, cursor: "pointer",
+                        fontSize: 11, textTransform: "uppercase", letterSpacing: "0.08em",
+                        fontFamily: "'IBM Plex Sans', sans-serif",
+                      }}>
+                        {t}
+                      </button>
+                    ))}
+                  </div>
+                  <ReportExport project={activeProject} buildSections={reportSections} />
+                </div>
+              </div>
+
+              {/* Assay tabs */}
+              <div role="tablist" aria-label="Assays" style={{ display: "flex", gap: 6 }}>
+                {activeProject.assays.map(a => (
+                  <button key={a} onClick={() => selectAssay(a)} role="tab" aria-selected={activeAssay === a} tabIndex={activeAssay === a ? 0 : -1}
+                    onKeyDown={e => tabKeys(e, activeProject.assays, activeAssay, selectAssay)} style={{
+                    padding: "5px 14px", borderRadius: 20, border: `1px solid ${activeAssay === a ? assayColors[a] : PALETTE.border}`,
+                    background: activeAssay === a ? assayColors[a] + "22" : "transparent",
+                    color: activeAssay === a ? assayColors[a] : PALETTE.muted,
+                    cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+                  }}>{a}</button>
+                ))}
               </div>
-              <div style={{ color: PALETTE.textDim, fontSize: 11 }}>{activeProject.pi} · Project ID: {activeProject.id}</div>
-            </div>
-            <div style={{ display: "flex", gap: 6 }}>
-              {["overview","samples","pipeline","aws"].map(t => (
-                <button key={t} onClick={() => setTab(t)} style={{
-                  padding: "6px 14px", borderRadius: 4, border: `1px solid ${tab === t ? PALETTE.accent : PALETTE.border}`,
-                  background: tab === t ? PALETTE.accent + "22" : "transparent",
-                  color: tab === t ? PALETTE.accent : PALETTE.muted, cursor: "pointer",
-                  fontSize: 11, textTransform: "uppercase", letterSpacing: "0.08em",
-                  fontFamily: "'IBM Plex Sans', sans-serif",
-                }}>
-                  {t}
-                </button>
-              ))}
-            </div>
-          </div>
 
-          {/* Assay tabs */}
-          <div style={{ display: "flex", gap: 6 }}>
-            {activeProject.assays.map(a => (
-              <button key={a} onClick={() => setActiveAssay(a)} style={{
-                padding: "5px 14px", borderRadius: 20, border: `1px solid ${activeAssay === a ? assayColors[a] : PALETTE.border}`,
-                background: activeAssay === a ? assayColors[a] + "22" : "transparent",
-                color: activeAssay === a ? assayColors[a] : PALETTE.muted,
-                cursor: "pointer", fontSize: 11, fontFamily: "monospace",
-              }}>{a}</button>
-            ))}
-          </div>
+              {canImport && (
+                <QCImport source={dataset} onImport={d => {
+                  setDatasets(ds => ({ ...ds, [datasetKey]: d }));
+                  saveHistory(addRuns(history, datasetKey, [summarizeRun(d.samples, { source: d.source, runAt: d.runAt })]));
+                  setSelectedIds([]);
+                }} />
+              )}
+            </>
+          )}
 
           {/* ── OVERVIEW TAB ── */}
           {tab === "overview" && (
             <div style={{ display: "flex", flexDirection: "column", gap: 14, animation: "fadeIn 0.3s ease" }}>
               {/* Stat cards */}
               <div style={{ display: "flex", gap: 10 }}>
-                <StatCard label="Avg Mapped" value={(samples.reduce((a,s)=>a+s.mapped,0)/samples.length).toFixed(1)} unit="%" good={85} warn={70} />
-                <StatCard label="Avg Q30" value={(samples.reduce((a,s)=>a+s.q30,0)/samples.length).toFixed(1)} unit="%" good={80} warn={65} />
-                <StatCard label="Avg Duplication" value={(samples.reduce((a,s)=>a+s.dup,0)/samples.length).toFixed(1)} unit="%" good={90} warn={75} />
+                {schema.cards.map(m => {
+                  const def = metricDef(activeAssay, m);
+                  return <StatCard key={m} label={`Avg ${def.label.replace(/ %$/, "")}`} value={mean(samples, m)?.toFixed(def.digits)} unit={def.unit} rule={profile[m]} />;
+                })}
                 <StatCard label="Samples Pass" value={passCount} unit={`/ ${samples.length}`} good={samples.length} warn={samples.length * 0.7} />
               </div>
 
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 14 }}>
-                {/* Mapping rate bar chart */}
-                <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                  <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>ALIGNMENT RATE PER SAMPLE</div>
-                  <ResponsiveContainer width="100%" height={180}>
-                    <BarChart data={samples} barSize={18}>
-                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
-                      <XAxis dataKey="id" tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <YAxis domain={[0, 100]} tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <Tooltip contentStyle={{ background: "#0f1629", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }} />
-                      <ReferenceLine y={85} stroke={PALETTE.green} strokeDasharray="4 4" />
-                      <Bar dataKey="mapped" radius={[3,3,0,0]}>
-                        {samples.map((s, i) => <Cell key={i} fill={s.pass ? PALETTE.accent : PALETTE.red} />)}
-                      </Bar>
-                    </BarChart>
-                  </ResponsiveContainer>
-                  <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>— Dashed line: 85% threshold (Bowtie2 / STAR)</div>
-                </div>
-
-                {/* Duplication vs Q30 scatter */}
-                <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                  <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>DUPLICATION vs Q30 QUALITY</div>
-                  <ResponsiveContainer width="100%" height={180}>
-                    <ScatterChart>
-                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
-                      <XAxis dataKey="dup" name="Duplication%" tick={{ fill: PALETTE.muted, fontSize: 10 }} label={{ value: "Dup%", position: "insideBottom", fill: PALETTE.muted, fontSize: 10, dy: 10 }} />
-                      <YAxis dataKey="q30" name="Q30%" tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <Tooltip cursor={{ stroke: PALETTE.border }} contentStyle={{ background: "#0f1629", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }}
-                        formatter={(v, n) => [v + (n.includes("Q30") ? "%" : "%"), n]} />
-                      <Scatter data={samples} shape={(props) => {
-                        const { cx, cy, payload } = props;
-                        return <circle cx={cx} cy={cy} r={6} fill={payload.pass ? PALETTE.green : PALETTE.red} fillOpacity={0.8} />;
-                      }} />
-                    </ScatterChart>
-                  </ResponsiveContainer>
-                </div>
-
-                {/* TSS enrichment */}
-                <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                  <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>TSS ENRICHMENT SCORE ({activeAssay})</div>
-                  <ResponsiveContainer width="100%" height={160}>
-                    <BarChart data={samples} barSize={18}>
-                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
-                      <XAxis dataKey="id" tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <YAxis tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <ReferenceLine y={6} stroke={PALETTE.purple} strokeDasharray="4 4" />
-                      <Tooltip contentStyle={{ background: "#0f1629", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }} />
-                      <Bar dataKey="tss" radius={[3,3,0,0]}>
-                        {samples.map((s,i) => <Cell key={i} fill={s.tss >= 6 ? PALETTE.purple : PALETTE.orange} />)}
-                      </Bar>
-                    </BarChart>
-                  </ResponsiveContainer>
-                  <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>— ENCODE threshold: TSS ≥ 6 (ATAC/scATAC) · deepTools bamCompare</div>
-                </div>
-
-                {/* FRiP score */}
-                <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                  <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>FRiP SCORE (Fraction Reads in Peaks)</div>
-                  <ResponsiveContainer width="100%" height={160}>
-                    <BarChart data={samples} barSize={18}>
-                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} vertical={false} />
-                      <XAxis dataKey="id" tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <YAxis tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <ReferenceLine y={0.15} stroke={PALETTE.yellow} strokeDasharray="4 4" />
-                      <Tooltip contentStyle={{ background: "#0f1629", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }} />
-                      <Bar dataKey="frip" radius={[3,3,0,0]}>
-                        {samples.map((s,i) => <Cell key={i} fill={s.frip >= 0.15 ? PALETTE.yellow : PALETTE.red} />)}
-                      </Bar>
-                    </BarChart>
-                  </ResponsiveContainer>
-                  <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 6 }}>— ENCODE threshold: FRiP ≥ 0.15 · MACS3 peaks</div>
-                </div>
+                <MetricBarChart samples={samples} assay={activeAssay} metric={schema.charts[0]} rule={profile[schema.charts[0]]} />
+                <MetricScatter samples={samples} assay={activeAssay} x={schema.scatter[0]} y={schema.scatter[1]} />
+                {schema.charts.slice(1).map(m => (
+                  <MetricBarChart key={m} samples={samples} assay={activeAssay} metric={m} rule={profile[m]} />
+                ))}
               </div>
             </div>
           )}
 
           {/* ── SAMPLES TAB ── */}
           {tab === "samples" && (
-            <div style={{ display: "flex", gap: 14, animation: "fadeIn 0.3s ease" }}>
-              <div style={{ flex: 1, background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, overflow: "hidden" }}>
-                <table style={{ width: "100%", borderCollapse: "collapse" }}>
-                  <thead>
-                    <tr style={{ borderBottom: `1px solid ${PALETTE.border}` }}>
-                      {["Sample","Reads (M)","Mapped %","Dup %","Q30 %","FRiP","TSS","Status"].map(h => (
-                        <th key={h} style={{ padding: "10px 14px", textAlign: "left", color: PALETTE.textDim, fontSize: 10, letterSpacing: "0.08em", fontWeight: 400 }}>{h}</th>
+            <div style={{ display: "flex", flexDirection: "column", gap: 14, animation: "fadeIn 0.3s ease" }}>
+              <div style={{ display: "flex", gap: 14 }}>
+                <SamplesTable samples={samples} assay={activeAssay} profile={profile}
+                  view={tableView} onViewChange={setTableView} selectedIds={selectedIds} onSelect={setSelectedIds} />
+                {selectedSamples.length > 1 && (
+                  <div style={{ width: 280, background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16, flexShrink: 0 }}>
+                    <div style={{ fontFamily: "monospace", color: PALETTE.accent, fontSize: 14, marginBottom: 4 }}>{selectedSamples.length} samples</div>
+                    <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 12 }}>
+                      QC Radar Overlay{selectedSamples.length > RADAR_MAX_OVERLAY && ` · first ${RADAR_MAX_OVERLAY} shown`}
+                    </div>
+                    <RadarSample samples={selectedSamples} assay={activeAssay} />
+                    <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 8, maxHeight: 200, overflowY: "auto" }}>
+                      {selectedSamples.map(s => (
+                        <div key={s.id} style={{ display: "flex", gap: 8, fontSize: 10 }}>
+                          <span style={{ fontFamily: "monospace", color: PALETTE.accent, width: 48 }}>{s.id}</span>
+                          <span style={{ color: QC_COLORS[s.qc.status], width: 48 }}>{qcLabel(s.qc.status)}</span>
+                          <span style={{ color: PALETTE.textDim }}>{s.qc.failed.map(m => METRICS[m]?.label || m).join(", ")}</span>
+                        </div>
                       ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {samples.map(s => (
-                      <tr key={s.id} onClick={() => setSelectedSample(s)}
-                        style={{
-                          borderBottom: `1px solid ${PALETTE.border}`, cursor: "pointer",
-                          background: selectedSample?.id === s.id ? PALETTE.accent + "11" : "transparent",
-                          transition: "background 0.1s",
-                        }}>
-                        <td style={{ padding: "10px 14px", fontFamily: "monospace", color: PALETTE.accent }}>{s.id}</td>
-                        <td style={{ padding: "10px 14px", color: statusColor(s.reads, 20, 30) }}>{s.reads}</td>
-                        <td style={{ padding: "10px 14px", color: statusColor(s.mapped, 70, 85) }}>{s.mapped}%</td>
-                        <td style={{ padding: "10px 14px", color: statusColor(100-s.dup, 70, 85) }}>{s.dup}%</td>
-                        <td style={{ padding: "10px 14px", color: statusColor(s.q30, 65, 80) }}>{s.q30}%</td>
-                        <td style={{ padding: "10px 14px", color: statusColor(s.frip, 0.05, 0.15) }}>{s.frip}</td>
-                        <td style={{ padding: "10px 14px", color: statusColor(s.tss, 3, 6) }}>{s.tss}</td>
-                        <td style={{ padding: "10px 14px" }}>
-                          <span style={{
-                            padding: "2px 8px", borderRadius: 3, fontSize: 10, fontFamily: "monospace",
-                            background: s.pass ? PALETTE.green + "22" : PALETTE.red + "22",
-                            color: s.pass ? PALETTE.green : PALETTE.red,
-                          }}>{s.pass ? "PASS" : "FAIL"}</span>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-              {selectedSample && (
-                <div style={{ width: 260, background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16, flexShrink: 0 }}>
-                  <div style={{ fontFamily: "monospace", color: PALETTE.accent, fontSize: 14, marginBottom: 4 }}>Sample {selectedSample.id}</div>
-                  <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 12 }}>QC Radar Profile</div>
-                  <RadarSample sample={selectedSample} />
-                  <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 8, lineHeight: 1.6 }}>
-                    {selectedSample.pass
-                      ? "✅ Sample passes all ENCODE QC thresholds. Ready for downstream analysis."
-                      : "⚠️ Sample fails one or more QC metrics. Review alignment logs and consider re-sequencing."}
+                    </div>
+                    {can(user, "review") && reviewForm(selectedSamples)}
                   </div>
-                </div>
+                )}
+                {selected && (
+                  <div style={{ width: 260, background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16, flexShrink: 0 }}>
+                    <div style={{ fontFamily: "monospace", color: PALETTE.accent, fontSize: 14, marginBottom: 4 }}>Sample {selected.id}</div>
+                    {selected.meta && (
+                      <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 4, lineHeight: 1.5 }}>
+                        {[selected.meta.condition, selected.meta.replicate && `rep ${selected.meta.replicate}`, selected.meta.tissue].filter(Boolean).join(" · ")}
+                        {(selected.meta.libraryKit || selected.meta.flowcell) && <div>{[selected.meta.libraryKit, selected.meta.flowcell && `${selected.meta.flowcell}${selected.meta.lane ? ` L${selected.meta.lane}` : ""}`].filter(Boolean).join(" · ")}</div>}
+                      </div>
+                    )}
+                    <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 12 }}>QC Radar Profile</div>
+                    <RadarSample samples={[selected]} assay={activeAssay} />
+                    <div style={{ color: PALETTE.textDim, fontSize: 10, marginTop: 8, lineHeight: 1.6 }}>
+                      {selected.qc.status === "PASS" && `✅ Sample passes all ${activeAssay} QC thresholds. Ready for downstream analysis.`}
+                      {selected.qc.failed.length > 0 && (
+                        <div>⚠️ Fails {selected.qc.failed.map(m => describeMetric(selected, m, profile[m])).join(", ")}. Review alignment logs and consider re-sequencing.</div>
+                      )}
+                      {selected.qc.warned.length > 0 && (
+                        <div style={{ color: PALETTE.yellow }}>Below target: {selected.qc.warned.map(m => describeMetric(selected, m, profile[m])).join(", ")}.</div>
+                      )}
+                    </div>
+                    {(() => {
+                      const sj = sampleJobs(selected.id);
+                      const failed = sj.find(j => j.state === "failed");
+                      const done = sj.filter(j => j.state === "succeeded").length;
+                      return (
+                        <div style={{ marginTop: 12, paddingTop: 10, borderTop: `1px solid ${PALETTE.border}` }}>
+                          <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 4 }}>PIPELINE</div>
+                          <div style={{ fontSize: 11, color: failed ? PALETTE.red : PALETTE.text, marginBottom: 6 }}>
+                            {sj.length === 0 ? "No jobs reported" : failed ? `✕ Failed at ${failed.step}${failed.reason ? `: ${failed.reason}` : ""}` : `${done} / ${pipelineOf(activeAssay).steps.length} steps done`}
+                          </div>
+                          {sj.length > 0 && (
+                            <button onClick={() => { setSelectedJob({ sample: selected.id, step: (failed || sj[sj.length - 1]).step }); setTab("pipeline"); }} style={{
+                              padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.accent}55`, background: "transparent",
+                              color: PALETTE.accent, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+                            }}>View steps →</button>
+                          )}
+                        </div>
+                      );
+                    })()}
+                    {can(user, "review") && reviewForm([selected])}
+                  </div>
+                )}
+              </div>
+              {selectedSamples.length > 0 && (
+                <SampleCurves samples={selectedSamples} assay={activeAssay} curvesOf={curvesOf} source={curveSource} demo={demoCurves}
+                  onLoad={canImport ? c => setCurveFiles(cf => ({ ...cf, [datasetKey]: cf[datasetKey]
+                    ? { curves: mergeCurves(cf[datasetKey].curves, c.curves), source: `${cf[datasetKey].source} + ${c.source}` } : c })) : null} />
+              )}
+            </div>
+          )}
+
+          {/* ── TRENDS TAB ── */}
+          {tab === "trends" && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 14, animation: "fadeIn 0.3s ease" }}>
+              <RunHistory assay={activeAssay} runs={runs} demo={!runs.length && activeProject.demo}
+                onLoad={canImport ? loaded => saveHistory(addRuns(history, datasetKey, loaded)) : null}
+                onRemove={canImport ? id => saveHistory({ ...history, [datasetKey]: runs.filter(r => r.id !== id) }) : null}
+                onClear={canImport ? () => saveHistory({ ...history, [datasetKey]: [] }) : null}
+                onExport={() => downloadFile(`${activeProject.id}-${activeAssay}-runs.json`,
+                  JSON.stringify({ project: activeProject.id, assay: activeAssay, runs }, null, 2))} />
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+                {trendMetrics.map(m => <TrendChart key={m} runs={trendRuns} assay={activeAssay} metric={m} />)}
+              </div>
+            </div>
+          )}
+
+          {tab === "cells" && (
+            <div style={{ animation: "fadeIn 0.3s ease" }}>
+              {SC_ASSAYS.includes(activeAssay) ? (
+                <SingleCellPanel key={datasetKey} assay={activeAssay} data={cellData} source={scData[datasetKey]?.source} demo={scDemo}
+                  onImport={canImport ? d => setScData(sd => ({ ...sd, [datasetKey]: d })) : null} />
+              ) : (
+                <div style={{ color: PALETTE.textDim, fontSize: 11 }}>Single-cell QC applies to {SC_ASSAYS.join(" and ")}.</div>
+              )}
+            </div>
+          )}
+
+          {tab === "outliers" && (
+            <div style={{ animation: "fadeIn 0.3s ease" }}>
+              <OutlierPanel samples={samples} assay={activeAssay} />
+            </div>
+          )}
+
+          {tab === "contamination" && (
+            <div style={{ animation: "fadeIn 0.3s ease" }}>
+              <ContaminationPanel key={datasetKey} samples={samples} data={contaminationOf(activeProject, activeAssay)} profile={profile}
+                source={contamination[datasetKey]?.source} demo={!contamination[datasetKey] && !!contaminationOf(activeProject, activeAssay)}
+                onImport={canImport ? d => setContamination(c => ({ ...c, [datasetKey]: mergeContamination(c[datasetKey], d) })) : null}
+                onClear={canImport ? () => setContamination(c => ({ ...c, [datasetKey]: null })) : null} />
+            </div>
+          )}
+
+          {tab === "project" && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 14, animation: "fadeIn 0.3s ease" }}>
+              {can(user, "editProjects") && (
+                <ProjectEditor key={newProject ? "new" : activeProject.id} project={newProject || activeProject} isNew={!!newProject} projects={projects}
+                  onSave={p => {
+                    if (!saveProjects(newProject ? [...storedProjects, p] : storedProjects.map(x => (x.id === p.id ? p : x)))) return;
+                    setNewProject(null);
+                    setActiveProjectId(p.id);
+                  }}
+                  onCancel={() => { setNewProject(null); if (newProject) setTab("overview"); }}
+                  onDelete={() => {
+                    if (!saveProjects(storedProjects.filter(x => x.id !== activeProject.id))) return;
+                    setActiveProjectId(projects.find(x => x.id !== activeProject.id)?.id || "");
+                    setTab("overview");
+                  }}
+                  storeUrl={projectStoreUrl} storeError={projectsError}
+                  onStoreUrl={connectProjectStore} />
               )}
+              {!newProject && <ReviewLog key={activeProject.id} project={activeProject} log={reviewLog} />}
+            </div>
+          )}
+
+          {/* ── THRESHOLDS TAB ── */}
+          {tab === "thresholds" && (
+            <div style={{ animation: "fadeIn 0.3s ease" }}>
+              <ThresholdEditor assay={activeAssay} profiles={profiles} dirty={profilesDirty}
+                onChange={p => { setProfiles(p); setProfilesDirty(true); }}
+                onSave={() => { store.set("bings.qcProfiles", profiles); setProfilesDirty(false); }}
+                onReset={() => { setProfiles(p => ({ ...p, [activeAssay]: DEFAULT_QC_PROFILES[activeAssay] })); setProfilesDirty(true); }} />
+            </div>
+          )}
+
+          {tab === "alerts" && (
+            <div style={{ animation: "fadeIn 0.3s ease" }}>
+              <AlertSettings endpoint={alertApi} onEndpoint={url => { setAlertApi(url); store.set("bings.alertApi", url); }}
+                error={alertService.error} state={alertService.state && shownAlerts} onSnooze={snooze} onRead={e => markRead([e])}
+                onUnsnooze={key => alertService.call("POST", "unsnooze", { key })}
+                onRules={rules => alertService.call("PUT", "rules", { rules }).then(Boolean)}
+                onResetRules={() => alertService.call("POST", "rules/reset").then(Boolean)}
+                onHooks={hooks => alertService.call("PUT", "hooks", { hooks }).then(Boolean)}
+                onTest={id => alertService.call("POST", `hooks/${encodeURIComponent(id)}/test`).then(out => (out ? out.result : "not sent"))} />
             </div>
           )}
 
           {/* ── PIPELINE TAB ── */}
           {tab === "pipeline" && (
             <div style={{ display: "flex", flexDirection: "column", gap: 12, animation: "fadeIn 0.3s ease" }}>
-              {activeProject.assays.map(assay => (
-                <div key={assay} style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                  <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 10 }}>
-                    <span style={{ background: assayColors[assay] + "22", color: assayColors[assay], borderRadius: 4, padding: "3px 10px", fontSize: 11, fontFamily: "monospace" }}>{assay}</span>
-                    <span style={{ color: PALETTE.textDim, fontSize: 11 }}>Automated pipeline · AWS Batch · Snakemake</span>
+              {canImport && (
+                <JobApiSettings endpoint={pipelineApi} connection={connection}
+                  onChange={url => { setPipelineApi(url); store.set("bings.pipelineApi", url); }} />
+              )}
+              {pipelineConfig.error && <div style={{ color: PALETTE.red, fontSize: 11 }}>{pipelineConfig.error}</div>}
+              {activeProject.assays.map(assay => {
+                const pipeline = pipelineOf(assay);
+                return (
+                  <div key={assay} style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+                    <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 10 }}>
+                      <span style={{ background: assayColors[assay] + "22", color: assayColors[assay], borderRadius: 4, padding: "3px 10px", fontSize: 11, fontFamily: "monospace" }}>{assay}</span>
+                      <span style={{ color: PALETTE.textDim, fontSize: 11 }}>
+                        {["Automated pipeline", pipeline.name && `${pipeline.name}${pipeline.version ? ` ${pipeline.version}` : ""}`, pipeline.executor, pipeline.engine]
+                          .filter(Boolean).join(" · ")}
+                      </span>
+                      {pipeline.source && <span style={{ color: PALETTE.muted, fontSize: 10, fontFamily: "monospace" }}>{pipeline.source}</span>}
+                      {pipeline.note && <span style={{ color: PALETTE.yellow, fontSize: 10 }}>{pipeline.note}</span>}
+                      {canImport && (
+                        <PipelineImport assay={assay}
+                          onImport={d => saveImportedPipelines({
+                            pipelines: { ...importedPipelines?.pipelines, ...d.pipelines },
+                            architecture: d.architecture || importedPipelines?.architecture || null,
+                          })}
+                          onReset={importedPipelines?.pipelines?.[assay] ? () => saveImportedPipelines({
+                            ...importedPipelines, pipelines: Object.fromEntries(Object.entries(importedPipelines.pipelines).filter(([a]) => a !== assay)),
+                          }) : null} />
+                      )}
+                    </div>
+                    <PipelineTracker pipeline={pipeline} jobs={jobs.filter(j => j.assay === assay)} />
                   </div>
-                  <PipelineTracker steps={PIPELINE_STEPS[assay] || []} assay={assay} />
-                </div>
-              ))}
+                );
+              })}
+
+              <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
+                <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>SAMPLE × STEP · {activeAssay}</div>
+                <JobMatrix samples={samples} steps={pipelineOf(activeAssay).steps.map(st => st.name)} jobs={assayJobs}
+                  selected={selectedJob} onSelect={setSelectedJob} />
+              </div>
+              {openJob && <JobDetail job={openJob} onClose={() => setSelectedJob(null)} />}
 
               <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
                 <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>RESOURCE UTILIZATION · LIVE</div>
                 <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10 }}>
                   {[["vCPUs Active","48 / 96",PALETTE.accent],["Memory Used","312 GB",PALETTE.purple],["Jobs Queued","7",PALETTE.yellow],["S3 Writes","2.3 TB",PALETTE.green]].map(([l,v,c]) => (
-                    <div key={l} style={{ background: "#0a0e1a", borderRadius: 6, padding: 12, border: `1px solid ${PALETTE.border}` }}>
+                    <div key={l} style={{ background: PALETTE.bg, borderRadius: 6, padding: 12, border: `1px solid ${PALETTE.border}` }}>
                       <div style={{ color: PALETTE.textDim, fontSize: 10, marginBottom: 6 }}>{l}</div>
                       <div style={{ fontFamily: "monospace", color: c, fontSize: 18, fontWeight: 700 }}>{v}</div>
                     </div>
@@ -477,11 +5794,19 @@ export default function MultiOmicsQCDashboard() {
           {tab === "aws" && (
             <div style={{ display: "flex", flexDirection: "column", gap: 14, animation: "fadeIn 0.3s ease" }}>
               <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 14 }}>CLOUD ARCHITECTURE · BiNGS INFRASTRUCTURE</div>
+                <div style={{ display: "flex", alignItems: "center", marginBottom: 14 }}>
+                  <span style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em" }}>CLOUD ARCHITECTURE · BiNGS INFRASTRUCTURE</span>
+                  {canImport && importedPipelines?.architecture && (
+                    <button onClick={() => saveImportedPipelines({ ...importedPipelines, architecture: null })} title="Back to the configured or built-in tiles" style={{
+                      marginLeft: "auto", padding: "4px 10px", borderRadius: 4, border: `1px solid ${PALETTE.red}55`, background: "transparent",
+                      color: PALETTE.red, cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+                    }}>Reset tiles</button>
+                  )}
+                </div>
                 <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10 }}>
-                  {AWS_ARCH.map(({ service, icon, desc, color }) => (
+                  {architecture.map(({ service, icon, desc, color }) => (
                     <div key={service} style={{
-                      background: "#0a0e1a", border: `1px solid ${color}33`, borderRadius: 8,
+                      background: PALETTE.bg, border: `1px solid ${color}33`, borderRadius: 8,
                       padding: 14, transition: "border-color 0.2s", cursor: "default",
                     }}
                       onMouseEnter={e => e.currentTarget.style.borderColor = color + "88"}
@@ -494,46 +5819,21 @@ export default function MultiOmicsQCDashboard() {
                 </div>
               </div>
 
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 14 }}>
-                <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                  <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>DAILY COMPUTE SPEND · USD</div>
-                  <ResponsiveContainer width="100%" height={160}>
-                    <LineChart data={[
-                      { day: "M", cost: 38 }, { day: "T", cost: 52 }, { day: "W", cost: 61 },
-                      { day: "Th", cost: 44 }, { day: "F", cost: 58 }, { day: "Sa", cost: 23 },
-                      { day: "Su", cost: 15 },
-                    ]}>
-                      <CartesianGrid strokeDasharray="3 3" stroke={PALETTE.border} />
-                      <XAxis dataKey="day" tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <YAxis tick={{ fill: PALETTE.muted, fontSize: 10 }} />
-                      <Tooltip contentStyle={{ background: "#0f1629", border: `1px solid ${PALETTE.border}`, borderRadius: 6, color: PALETTE.text, fontSize: 11 }} />
-                      <Line type="monotone" dataKey="cost" stroke={PALETTE.accent} strokeWidth={2} dot={{ fill: PALETTE.accent, r: 3 }} />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </div>
+              <CostPanel items={costItems} project={activeProject} range={costRange} onRange={setCostRange} usage={costUsage}
+                budget={budgets[activeProject.id]}
+                onBudget={v => { const next = { ...budgets, [activeProject.id]: v }; setBudgets(next); store.set("bings.costBudgets", next); }}
+                source={costFile ? costFile.source : costApi || "demo costs (random)"} demo={!costFile && !costApi} error={!costFile && costFeed.error}
+                endpoint={costApi} onEndpoint={url => { setCostApi(url); store.set("bings.costApi", url); }}
+                onImport={setCostFile} onClearFile={costFile ? () => setCostFile(null) : null} />
 
-                <div style={{ background: PALETTE.panel, border: `1px solid ${PALETTE.border}`, borderRadius: 8, padding: 16 }}>
-                  <div style={{ color: PALETTE.textDim, fontSize: 11, letterSpacing: "0.08em", marginBottom: 12 }}>S3 STORAGE BREAKDOWN</div>
-                  <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 8 }}>
-                    {[["Raw FASTQs","4.2 TB",0.72],["BAM Files","2.8 TB",0.48],["Peak Calls","120 GB",0.02],["Results/Reports","340 GB",0.06]].map(([l,v,f]) => (
-                      <div key={l}>
-                        <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
-                          <span style={{ color: PALETTE.textDim, fontSize: 11 }}>{l}</span>
-                          <span style={{ fontFamily: "monospace", color: PALETTE.text, fontSize: 11 }}>{v}</span>
-                        </div>
-                        <div style={{ background: PALETTE.border, borderRadius: 2, height: 4 }}>
-                          <div style={{ width: `${f * 100}%`, height: "100%", background: PALETTE.accent, borderRadius: 2, transition: "width 0.5s" }} />
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              </div>
+              <StoragePanel objects={(inventory ? inventory.objects : demoInventory()).filter(visible)} hasClass={inventory ? inventory.hasClass : true}
+                project={activeProject} source={inventory ? inventory.source : "demo inventory (random)"} demo={!inventory}
+                onImport={setInventory} onClear={inventory ? () => setInventory(null) : null} />
 
-              <div style={{ background: "#0a1a0f", border: `1px solid ${PALETTE.green}33`, borderRadius: 8, padding: 16 }}>
+              <div style={{ background: PALETTE.green + "0d", border: `1px solid ${PALETTE.green}33`, borderRadius: 8, padding: 16 }}>
                 <div style={{ color: PALETTE.green, fontSize: 11, fontFamily: "monospace", marginBottom: 10 }}>$ aws batch submit-job --job-name GBM-2024-scATAC --job-queue bioinformatics-high-priority</div>
                 <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
-                  {["Snakemake Orchestration","Spot Instance Fleet","Auto-scaling Workers","S3 Lifecycle Policies","CloudWatch Alarms","IAM Role Isolation","VPC Private Subnet","Cost Budgets"].map(f => (
+                  {[`${engines.join(" / ") || "Workflow"} Orchestration`,"Spot Instance Fleet","Auto-scaling Workers","S3 Lifecycle Policies","CloudWatch Alarms","IAM Role Isolation","VPC Private Subnet","Cost Budgets"].map(f => (
                     <span key={f} style={{ background: PALETTE.green + "15", color: PALETTE.green, border: `1px solid ${PALETTE.green}33`, borderRadius: 4, padding: "3px 10px", fontSize: 10, fontFamily: "monospace" }}>✓ {f}</span>
                   ))}
                 </div>